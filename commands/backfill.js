@@ -0,0 +1,168 @@
+// commands/backfill.js (過去の月の成果を管理画面から集め直して台帳に足す)
+//   node commands/backfill.js --from 2025-01 --to 2025-12            取り込む（通知はしない）
+//   node commands/backfill.js --from 2026-01 --to 2026-02 --dry-run  件数と売上を表示するだけ
+//   --replace       見つかった月の台帳を作り直す（既定は足りない成果の追加とステータスの更新だけ）
+//   --max-pages N   期間指定が無い時に辿る最大ページ数（既定 200）
+//   --source <id>   sources.json のソースだけ（省略時はすべてのソース）
+//
+// sources.json の dateFilter（または DATE_FILTER_* ）があれば月ごとに期間を絞って全ページを読む。
+// 無ければ CVログを新しい順に辿り、--from より前の月が出たところで止める。
+// csv が設定されたソースは、テーブルの代わりに（絞り込んだ）CSV ダウンロードを読む。
+const { parseArgs } = require("util");
+const { fmtYen, monthsBetween, lastDayOfMonth } = require("../lib/util");
+const { resetLedger } = require("../lib/ledger");
+const { loadPrices } = require("../lib/prices");
+const { launchBrowser, normalizeRows, uniqByKey, applyDateFilter, collectRowsInRange } = require("../lib/scraper");
+const { downloadCsvRows } = require("../lib/csvimport");
+const { openCvLog } = require("../lib/login");
+const { ingestRows } = require("../lib/ingest");
+const { loadSources, checkSourceEnv, pickSources } = require("../lib/sources");
+const { withLockedBook, saveBook } = require("../lib/storage");
+const { checkUnparsed } = require("../lib/diagnostics");
+
+/**
+ * CVログ画面（絞り込み済み）から期間内の行を読む
+ * - invalid: 日時が読めなかった行を入れる配列
+ */
+async function readRows(page, src, prices, fromMonth, toMonth, maxPages, invalid) {
+  if (src.csv) {
+    const rows = normalizeRows(await downloadCsvRows(page, src.csv, src.headerMap), prices, src.time, invalid);
+    return rows.filter((x) => x.monthKey >= fromMonth && x.monthKey <= toMonth);
+  }
+  return await collectRowsInRange(page, src.headerMap, prices, fromMonth, toMonth, maxPages, src.pagination.nextSelectors, src.time, invalid);
+}
+
+/**
+ * 1ソース分の過去分を集めて台帳に取り込む
+ * - 戻り値: { months: { [monthKey]: { found, added, statusChanges, total } }, failed: [monthKey], unparsed: [日時が読めなかった行] }
+ * - 期間指定がある時は月ごとに読むので、1か月の失敗で他の月を止めない
+ * - 画面を読み終えてからロックを取って取り込む（長い補完の間も監視を止めない）
+ */
+async function backfillSource(browser, src, { from, to, replace = false, dryRun = false, maxPages = 200 }) {
+  const prices = src.pricesFile ? loadPrices(src.pricesFile) : {};
+  const months = monthsBetween(from, to);
+  const failed = [];
+  const unparsed = [];
+  let rows = [];
+
+  const context = await browser.createBrowserContext();
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(60000);
+    page.setDefaultNavigationTimeout(60000);
+
+    await openCvLog(page, src);
+
+    if (src.dateFilter) {
+      for (const m of months) {
+        try {
+          await page.goto(src.cvLogUrl, { waitUntil: "networkidle2" });
+          await applyDateFilter(page, src.dateFilter, `${m}-01`, lastDayOfMonth(m));
+          const found = await readRows(page, src, prices, m, m, maxPages, unparsed);
+          console.log(`[INFO] ${src.id} ${m}: ${found.length} row(s)`);
+          rows.push(...found);
+        } catch (err) {
+          console.warn(`[WARN] ${src.id} ${m} failed: ${err?.message || err}`);
+          failed.push(m);
+        }
+      }
+    } else {
+      rows = await readRows(page, src, prices, from, to, maxPages, unparsed);
+    }
+  } finally {
+    await context.close().catch(() => {});
+  }
+
+  rows = uniqByKey(rows);
+
+  return await withLockedBook(src, async (book, store) => {
+    const out = backfillBook(book, prices, rows, months, { replace });
+    if (!dryRun && book.dirty.size > 0) await saveBook(store, book);
+    return { months: out, failed, unparsed };
+  });
+}
+
+/**
+ * 集めた行を台帳に取り込む（book を書き換える。保存は呼び出し側）
+ * - replace: 行が見つかった月の台帳を作り直し、seenKeys にあっても新規として数え直す（読めなかった月の台帳は消さない）
+ * - 戻り値: { [monthKey]: { found, added, statusChanges, total } }（months の月ごと）
+ */
+function backfillBook(book, prices, rows, months, { replace = false } = {}) {
+  const { state } = book;
+  const foundMonths = new Set(rows.map((x) => x.monthKey));
+  if (replace) for (const m of foundMonths) resetLedger(book, m);
+
+  const { added, statusChanges } = ingestRows(state, book, prices, rows, { recount: replace ? foundMonths : undefined });
+
+  const out = {};
+  for (const m of months) {
+    out[m] = {
+      found: rows.filter((x) => x.monthKey === m).length,
+      added: added.filter((x) => x.monthKey === m).length,
+      statusChanges: statusChanges.filter((x) => x.monthKey === m).length,
+      total: state.monthly?.[m] || null,
+    };
+  }
+  return out;
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      replace: { type: "boolean", default: false },
+      "max-pages": { type: "string", default: "200" },
+      source: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+
+  (async () => {
+    const from = values.from;
+    const to = values.to || from;
+    if (!/^\d{4}-\d{2}$/.test(from || "") || !/^\d{4}-\d{2}$/.test(to) || from > to) {
+      throw new Error("Usage: node commands/backfill.js --from YYYY-MM [--to YYYY-MM] [--replace] [--max-pages N] [--source id] [--dry-run]");
+    }
+
+    const sources = pickSources(loadSources(), values.source);
+    for (const src of sources) checkSourceEnv(src);
+
+    const opts = { from, to, replace: values.replace, dryRun: values["dry-run"], maxPages: Number(values["max-pages"]) };
+    const browser = await launchBrowser();
+    let failed = 0;
+
+    try {
+      for (const src of sources) {
+        try {
+          const r = await backfillSource(browser, src, opts);
+          if (sources.length > 1) console.log(`\n#### Source: ${src.id}`);
+          for (const [m, x] of Object.entries(r.months)) {
+            const t = x.total;
+            console.log(
+              `  ${m}: found ${x.found}, new ${x.added}, status ${x.statusChanges}` +
+                (t ? ` -> ${fmtYen(t.revenue)} / ${t.count}件` : "") +
+                (r.failed.includes(m) ? " [FAILED]" : "")
+            );
+          }
+          const issue = checkUnparsed(r.unparsed);
+          if (issue) console.warn(`[WARN] ${src.id}: ${issue.detail}. Not counted.`);
+          failed += r.failed.length;
+        } catch (err) {
+          console.error(`[ERROR] Source ${src.id} failed:`, err);
+          failed += 1;
+        }
+      }
+    } finally {
+      await browser.close().catch(() => {});
+    }
+
+    console.log(opts.dryRun ? "[INFO] Dry run. Nothing saved." : "[INFO] Backfill done (no notify).");
+    if (failed > 0) process.exitCode = 1;
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { backfillSource, backfillBook };
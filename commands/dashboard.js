@@ -0,0 +1,357 @@
+// commands/dashboard.js (売上と成果の推移を見るローカルのダッシュボード)
+//   node commands/dashboard.js                    http://127.0.0.1:8080/ で配信する
+//   --port N / --host ADDR                        待ち受け（既定 8080 / 127.0.0.1。DASHBOARD_PORT / DASHBOARD_HOST でも可）
+//
+// 保存先（STORAGE_BACKEND）の状態と台帳をリクエストのたびに読み直す（書き込みはしない）。
+// DASHBOARD_TOKEN を設定すると、Authorization: Bearer <token> か ?token= が無いリクエストを 401 にする。
+//
+// JSON API（source 省略時はすべてのソースの合計、month 省略時は JST の今月）
+//   GET /api/sources                               ソースの一覧
+//   GET /api/months?source=&from=&to=              月ごとの売上・件数（state.monthly）
+//   GET /api/days?source=&month=                   日ごとの売上・件数（台帳）
+//   GET /api/breakdown?source=&month=&by=          by = ad / site / os / referrer ごとの売上・件数
+//   GET /api/unpriced?source=&month=               単価が未設定の広告（監視の「単価が未設定」通知と同じ判定）
+//   GET /api/recent?source=&hours=                 直近 hours 時間（既定 24）の成果（新しい順）
+//   GET /api/overview?source=&month=               上の全部（ダッシュボードの画面が使う）
+//   GET /api/runs?source=&limit=                   ソースごとの実行の記録（新しい順、既定 50 件）と最後に成功した時刻
+//
+// GET /metrics?source=                             監視そのものの状態（Prometheus のテキスト形式。lib/metrics.js）
+const http = require("http");
+const { parseArgs } = require("util");
+const { eventTime, eventDateKey, dateKeyJst, addDays, lastDayOfMonth, getNowMonthKeyJst, compareEventTime } = require("../lib/util");
+const { emptyMonth } = require("../lib/ledger");
+const { loadPrices, isUnpriced } = require("../lib/prices");
+const { conversionsBetween, totalsOf, groupTotals, adLabel } = require("../lib/report");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook, readRuns } = require("../lib/storage");
+const { renderMetrics } = require("../lib/metrics");
+
+// 13月のような月を通すと lastDayOfMonth が RangeError を投げるので 01〜12 に限る
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const BREAKDOWNS = {
+  ad: adLabel,
+  site: (r) => r.siteName,
+  os: (r) => r.os,
+  referrer: (r) => referrerHost(r.referrer),
+};
+
+/** リファラは URL のままだとばらけるのでホスト名にまとめる */
+function referrerHost(ref) {
+  if (!ref) return "(なし)";
+  try {
+    return new URL(ref).hostname || ref;
+  } catch {
+    return ref;
+  }
+}
+
+/** 選んだソースの台帳と単価表を読む */
+async function loadViews(sources) {
+  const views = [];
+  for (const src of sources) {
+    views.push({ src, book: await readBook(src), prices: src.pricesFile ? loadPrices(src.pricesFile) : {} });
+  }
+  return views;
+}
+
+/** 月ごとの合計（ソースをまたいで足す） */
+function monthsOf(views, { from, to } = {}) {
+  const out = new Map();
+  for (const { book } of views) {
+    for (const [m, t] of Object.entries(book.state.monthly || {})) {
+      if ((from && m < from) || (to && m > to)) continue;
+      const cur = out.get(m) || { month: m, ...emptyMonth() };
+      for (const k of Object.keys(emptyMonth())) cur[k] += Number(t[k]) || 0;
+      out.set(m, cur);
+    }
+  }
+  return [...out.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+function recordsOf(views, month) {
+  return views.flatMap(({ book }) => conversionsBetween(book, `${month}-01`, lastDayOfMonth(month)));
+}
+
+/** 月内の日ごとの合計（成果の無い日も 0 で並べる） */
+function daysOf(views, month) {
+  const byDay = new Map();
+  for (const r of recordsOf(views, month)) {
+    const d = eventDateKey(r);
+    if (!byDay.has(d)) byDay.set(d, []);
+    byDay.get(d).push(r);
+  }
+
+  const out = [];
+  for (let d = `${month}-01`; d <= lastDayOfMonth(month); d = addDays(d, 1)) {
+    out.push({ date: d, ...totalsOf(byDay.get(d) || []) });
+  }
+  return out;
+}
+
+function breakdownOf(views, month, by) {
+  const keyFn = BREAKDOWNS[by];
+  if (!keyFn) throw new Error(`Unknown breakdown: ${by} (use ${Object.keys(BREAKDOWNS).join(" / ")})`);
+  return groupTotals(recordsOf(views, month), keyFn);
+}
+
+/** 台帳に 0円で入っている成果のうち、prices.json に載っていない広告 */
+function unpricedOf(views, month) {
+  const out = new Map();
+  for (const { src, book, prices } of views) {
+    for (const r of conversionsBetween(book, `${month}-01`, lastDayOfMonth(month))) {
+      if (!isUnpriced(prices, r)) continue;
+      const k = `${src.id}|${r.adId}|${r.adName}`;
+      const cur = out.get(k) || { source: src.id, adId: r.adId || "", adName: r.adName || "", count: 0 };
+      cur.count += 1;
+      out.set(k, cur);
+    }
+  }
+  return [...out.values()].sort((a, b) => b.count - a.count);
+}
+
+/** 直近 hours 時間の成果（台帳の日時はタイムゾーンを直した eventTs で比べる） */
+function recentOf(views, hours, now = Date.now()) {
+  const since = now - hours * 60 * 60 * 1000;
+  const out = [];
+  for (const { src, book } of views) {
+    for (const r of conversionsBetween(book, dateKeyJst(since), dateKeyJst(now))) {
+      const t = eventTime(r);
+      if (t == null || t < since || t > now) continue;
+      out.push({ source: src.id, ...r });
+    }
+  }
+  return out.sort(compareEventTime).reverse();
+}
+
+function overviewOf(views, month) {
+  const total = monthsOf(views, { from: month, to: month })[0] || { month, ...emptyMonth() };
+  return {
+    month,
+    total,
+    months: monthsOf(views),
+    days: daysOf(views, month),
+    ads: breakdownOf(views, month, "ad").slice(0, 20),
+    sites: breakdownOf(views, month, "site").slice(0, 20),
+    os: breakdownOf(views, month, "os"),
+    referrers: breakdownOf(views, month, "referrer").slice(0, 20),
+    unpriced: unpricedOf(views, month),
+  };
+}
+
+/** ソースごとの実行の記録（新しい順に limit 件） */
+async function runsOf(sources, limit) {
+  const out = [];
+  for (const src of sources) {
+    const runs = await readRuns(src);
+    out.push({ source: src.id, lastSuccessAt: runs.lastSuccessAt, runs: [...runs.runs].reverse().slice(0, limit) });
+  }
+  return out;
+}
+
+/** /metrics の中身（選んだソースの state と実行の記録から作る） */
+async function metricsOf(sources) {
+  const entries = [];
+  for (const src of sources) entries.push({ src, state: (await readBook(src)).state, runs: await readRuns(src) });
+  return renderMetrics(entries);
+}
+
+/** 画面（表とグラフを /api/overview から描く） */
+const PAGE = `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>CV ダッシュボード</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+  .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 10px 14px; min-width: 120px; }
+  .card b { display: block; font-size: 20px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 24px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #eee; padding: 4px 6px; text-align: left; }
+  td.n { text-align: right; font-variant-numeric: tabular-nums; }
+  .bar { background: #4a90d9; height: 10px; }
+  .chart { display: flex; align-items: flex-end; gap: 2px; height: 140px; border-bottom: 1px solid #ccc; }
+  .chart div { flex: 1; background: #4a90d9; min-height: 1px; }
+  .warn { color: #b00; }
+</style>
+</head>
+<body>
+<h1>CV ダッシュボード</h1>
+<form id="f">
+  ソース <select name="source" id="source"><option value="">すべて</option></select>
+  月 <input name="month" id="month" type="month">
+  <button>表示</button>
+</form>
+<div id="app">読み込み中…</div>
+<script>
+const yen = (n) => new Intl.NumberFormat("ja-JP").format(Math.round(n || 0)) + "円";
+const esc = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const params = new URLSearchParams(location.search);
+
+function chart(rows, label) {
+  const max = Math.max(1, ...rows.map((r) => r.revenue));
+  return '<div class="chart">' + rows.map((r) =>
+    '<div title="' + esc(label(r)) + ' ' + yen(r.revenue) + ' / ' + r.count + '件" style="height:' + (r.revenue / max * 100) + '%"></div>').join("") + "</div>";
+}
+
+function table(rows) {
+  if (rows.length === 0) return "<p>なし</p>";
+  const max = Math.max(1, ...rows.map((r) => r.revenue));
+  return "<table><tr><th></th><th>件数</th><th>売上</th><th></th></tr>" + rows.map((r) =>
+    "<tr><td>" + esc(r.label) + '</td><td class="n">' + r.count + '</td><td class="n">' + yen(r.revenue) +
+    '</td><td style="width:30%"><div class="bar" style="width:' + (r.revenue / max * 100) + '%"></div></td></tr>').join("") + "</table>";
+}
+
+async function api(path) {
+  const q = new URLSearchParams(params);
+  const res = await fetch(path + "?" + q);
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+  return res.json();
+}
+
+(async () => {
+  // DASHBOARD_TOKEN を ?token= で渡している時は、表示ボタンでも引き継ぐ
+  if (params.get("token")) {
+    document.getElementById("f").insertAdjacentHTML("beforeend", '<input type="hidden" name="token" value="' + esc(params.get("token")) + '">');
+  }
+  for (const s of await api("/api/sources")) {
+    document.getElementById("source").insertAdjacentHTML("beforeend", '<option value="' + esc(s.id) + '">' + esc(s.name || s.id) + "</option>");
+  }
+  document.getElementById("source").value = params.get("source") || "";
+
+  const o = await api("/api/overview");
+  document.getElementById("month").value = o.month;
+  const t = o.total;
+  document.getElementById("app").innerHTML =
+    '<div class="cards">' +
+    '<div class="card">売上（見込み）<b>' + yen(t.revenue) + "</b></div>" +
+    '<div class="card">件数<b>' + t.count + "件</b></div>" +
+    '<div class="card">承認<b>' + yen(t.approved) + "</b></div>" +
+    '<div class="card">未確定<b>' + yen(t.pending) + "</b></div>" +
+    '<div class="card">否認<b>' + yen(t.rejected) + "</b></div></div>" +
+    "<h2>月ごとの売上</h2>" + chart(o.months, (r) => r.month) +
+    "<h2>" + esc(o.month) + " の日ごとの売上</h2>" + chart(o.days, (r) => r.date) +
+    '<div class="grid">' +
+    "<div><h2>広告 上位</h2>" + table(o.ads) + "</div>" +
+    "<div><h2>サイト 上位</h2>" + table(o.sites) + "</div>" +
+    "<div><h2>OS</h2>" + table(o.os) + "</div>" +
+    "<div><h2>リファラ</h2>" + table(o.referrers) + "</div></div>" +
+    '<h2 class="warn">単価が未設定の広告</h2>' +
+    (o.unpriced.length === 0 ? "<p>なし</p>" : "<ul>" + o.unpriced.map((u) =>
+      "<li>" + esc(u.adId || "(no id)") + " " + esc(u.adName || "(no name)") + "（" + u.count + "件 / " + esc(u.source) + "）</li>").join("") + "</ul>");
+})().catch((err) => {
+  document.getElementById("app").textContent = "読み込めませんでした: " + err.message;
+});
+</script>
+</body>
+</html>
+`;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+function authorized(req, url, token) {
+  if (!token) return true;
+  return req.headers.authorization === `Bearer ${token}` || url.searchParams.get("token") === token;
+}
+
+/**
+ * ダッシュボードのサーバーを作る（listen は呼び出し側）
+ * - sources: loadSources の配列
+ * - token: 設定すると API と画面に認証を求める
+ */
+function createDashboardServer(sources, { token = "" } = {}) {
+  const routes = {
+    "/api/sources": async () => sources.map((s) => ({ id: s.id, name: s.name })),
+    "/api/months": async (views, q) => monthsOf(views, { from: q.get("from"), to: q.get("to") }),
+    "/api/days": async (views, q, month) => daysOf(views, month),
+    "/api/breakdown": async (views, q, month) => breakdownOf(views, month, q.get("by") || "ad"),
+    "/api/unpriced": async (views, q, month) => unpricedOf(views, month),
+    "/api/overview": async (views, q, month) => overviewOf(views, month),
+    "/api/recent": async (views, q) => recentOf(views, Number(q.get("hours") || 24)),
+  };
+  // 台帳を読まずに済むもの
+  const plain = {
+    "/api/runs": async (picked, q) => runsOf(picked, Number(q.get("limit") || 50)),
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET") return sendJson(res, 405, { error: "GET only" });
+      if (!authorized(req, url, token)) return sendJson(res, 401, { error: "Unauthorized" });
+
+      if (url.pathname === "/") {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        return res.end(PAGE);
+      }
+
+      const route = routes[url.pathname];
+      if (!route && !plain[url.pathname] && url.pathname !== "/metrics") return sendJson(res, 404, { error: "Not found" });
+
+      const q = url.searchParams;
+      const month = q.get("month") || getNowMonthKeyJst();
+      for (const name of ["month", "from", "to"]) {
+        if (q.has(name) && !MONTH_RE.test(q.get(name))) return sendJson(res, 400, { error: `${name} must be YYYY-MM` });
+      }
+
+      let picked;
+      try {
+        picked = pickSources(sources, q.get("source") || undefined);
+      } catch (err) {
+        return sendJson(res, 400, { error: err.message });
+      }
+      if (q.has("hours") && !(Number(q.get("hours")) > 0 && Number(q.get("hours")) <= 24 * 93)) {
+        return sendJson(res, 400, { error: "hours must be a number between 0 and 2232" });
+      }
+      if (q.has("by") && !BREAKDOWNS[q.get("by")]) return sendJson(res, 400, { error: `by must be ${Object.keys(BREAKDOWNS).join(" / ")}` });
+      if (q.has("limit") && !(Number.isInteger(Number(q.get("limit"))) && Number(q.get("limit")) > 0)) {
+        return sendJson(res, 400, { error: "limit must be a positive integer" });
+      }
+
+      if (url.pathname === "/metrics") {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Cache-Control": "no-store" });
+        return res.end(await metricsOf(picked));
+      }
+      if (plain[url.pathname]) return sendJson(res, 200, await plain[url.pathname](picked, q));
+
+      const views = url.pathname === "/api/sources" ? [] : await loadViews(picked);
+      sendJson(res, 200, await route(views, q, month));
+    } catch (err) {
+      console.error(`[ERROR] ${req.method} ${url.pathname}:`, err);
+      sendJson(res, 500, { error: err?.message || String(err) });
+    }
+  });
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: process.env.DASHBOARD_PORT || "8080" },
+      host: { type: "string", default: process.env.DASHBOARD_HOST || "127.0.0.1" },
+    },
+  });
+
+  try {
+    const sources = loadSources();
+    const token = process.env.DASHBOARD_TOKEN || "";
+    if (!token && values.host !== "127.0.0.1" && values.host !== "localhost") {
+      console.warn("[WARN] Listening on a non-local address without DASHBOARD_TOKEN.");
+    }
+
+    const server = createDashboardServer(sources, { token });
+    server.listen(Number(values.port), values.host, () => {
+      console.log(`[INFO] Dashboard: http://${values.host}:${server.address().port}/ (${sources.length} source(s))`);
+    });
+  } catch (err) {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { monthsOf, daysOf, breakdownOf, unpricedOf, recentOf, runsOf, metricsOf, createDashboardServer };
@@ -0,0 +1,188 @@
+// commands/export.js (成果と月次集計を CSV / JSON に書き出す)
+//   node commands/export.js                                  今月1日〜今日（JST）
+//   node commands/export.js --month 2026-01                  1か月分
+//   node commands/export.js --from 2026-01-01 --to 2026-03-31
+//   --format csv|json|both  出力形式（既定 both）
+//   --out <dir>             出力先（既定 export/）
+//   --source <id>           sources.json のソースだけ（省略時はすべてのソースをまとめて出す）
+//
+// conversions_<from>_<to>.csv/.json  成果1件1行（項目名は normalizeRows と同じ）
+// monthly_<from>_<to>.csv/.json      月 × 広告ID × 広告名 × サイト の集計
+// CSV は Excel で開けるよう UTF-8（BOM つき）
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { ROOT, fmtYen, monthsBetween, lastDayOfMonth, getNowDateKeyJst, compareEventTime } = require("../lib/util");
+const { emptyMonth, hasLedger, getLedger } = require("../lib/ledger");
+const { conversionsBetween } = require("../lib/report");
+const { loadSources, pickSources } = require("../lib/sources");
+const { toCsv } = require("../lib/csv");
+const { readBook } = require("../lib/storage");
+
+const FORMATS = ["csv", "json", "both"];
+
+const CONVERSION_COLUMNS = [
+  "key",
+  "orderId",
+  "eventAt",
+  "eventTs",
+  "orderAt",
+  "orderTs",
+  "clickAt",
+  "clickTs",
+  "adId",
+  "adName",
+  "siteName",
+  "os",
+  "referrer",
+  "status",
+  "statusClass",
+  "amount",
+  "unit",
+  "monthKey",
+  "firstSeenAt",
+];
+
+const MONTHLY_COLUMNS = ["monthKey", "adId", "adName", "siteName", "count", "revenue", "pending", "approved", "rejected"];
+
+// 台帳導入前に数えた分（明細なし）の行
+const CARRY_OVER_LABEL = "(台帳導入前の繰越)";
+
+/**
+ * 月 × 広告ID × 広告名 × サイト で集計する
+ * - revenue は未確定 + 承認（否認は rejected に分ける）。state.monthly と同じ数え方
+ * - 期間が月をまるごと含む時は繰越も1行で足す（月の合計が state.monthly と合うように）
+ * - source: 複数ソースの時のソース ID（1ソースなら undefined）
+ */
+function monthlyRollup(records, book, from, to, source) {
+  const groups = new Map();
+  for (const r of records) {
+    const k = JSON.stringify([r.source, r.monthKey, r.adId, r.adName, r.siteName]);
+    if (!groups.has(k)) {
+      groups.set(k, { source: r.source, monthKey: r.monthKey, adId: r.adId, adName: r.adName, siteName: r.siteName, ...emptyMonth() });
+    }
+    const g = groups.get(k);
+    g.count += 1;
+    g[r.statusClass || "pending"] += Number(r.unit) || 0;
+    g.revenue = g.pending + g.approved;
+  }
+
+  const rows = [...groups.values()];
+  for (const m of monthsBetween(from.slice(0, 7), to.slice(0, 7))) {
+    if (from > `${m}-01` || to < lastDayOfMonth(m) || !hasLedger(book, m)) continue;
+    const c = getLedger(book, m).data.carryOver;
+    if (!c || !c.count) continue;
+    const pending = Number(c.pending) || 0;
+    const approved = Number(c.approved) || 0;
+    rows.push({
+      source,
+      monthKey: m,
+      adId: "",
+      adName: CARRY_OVER_LABEL,
+      siteName: "",
+      count: Number(c.count) || 0,
+      revenue: pending + approved,
+      pending,
+      approved,
+      rejected: Number(c.rejected) || 0,
+    });
+  }
+
+  return rows.sort(
+    (a, b) => String(a.source).localeCompare(String(b.source)) || a.monthKey.localeCompare(b.monthKey) || b.revenue - a.revenue
+  );
+}
+
+/**
+ * 期間内の成果と月次集計を集める
+ * - sources: loadSources の配列（2つ以上ならすべての行に source を付ける）
+ * - 戻り値: { from, to, conversions, monthly, totals }（totals は月ごとの state.monthly）
+ */
+async function collectExport(sources, { from, to }) {
+  const multi = sources.length > 1;
+  const conversions = [];
+  const monthly = [];
+  const totals = {};
+
+  for (const src of sources) {
+    const book = await readBook(src);
+    const { state } = book;
+
+    const records = conversionsBetween(book, from, to)
+      .map((r) => (multi ? { source: src.id, ...r } : { ...r }))
+      .sort(compareEventTime);
+
+    conversions.push(...records);
+    monthly.push(...monthlyRollup(records, book, from, to, multi ? src.id : undefined));
+
+    for (const m of monthsBetween(from.slice(0, 7), to.slice(0, 7))) {
+      const t = state.monthly?.[m];
+      if (!t) continue;
+      if (multi) (totals[src.id] ||= {})[m] = t;
+      else totals[m] = t;
+    }
+  }
+
+  return { from, to, conversions, monthly, totals };
+}
+
+/** ファイルに書き出して、書いたパスを返す */
+function writeExport(data, { out, format = "both", multi = false }) {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (use ${FORMATS.join(" / ")})`);
+  fs.mkdirSync(out, { recursive: true });
+
+  const suffix = `${data.from}_${data.to}`;
+  const cols = (c) => (multi ? ["source", ...c] : c);
+  const files = [];
+  const write = (name, body) => {
+    const file = path.join(out, name);
+    fs.writeFileSync(file, body, "utf8");
+    files.push(file);
+  };
+
+  if (format === "csv" || format === "both") {
+    write(`conversions_${suffix}.csv`, toCsv(data.conversions, cols(CONVERSION_COLUMNS)));
+    write(`monthly_${suffix}.csv`, toCsv(data.monthly, cols(MONTHLY_COLUMNS)));
+  }
+  if (format === "json" || format === "both") {
+    const meta = { from: data.from, to: data.to, exportedAt: new Date().toISOString() };
+    write(`conversions_${suffix}.json`, JSON.stringify({ ...meta, conversions: data.conversions }, null, 2) + "\n");
+    write(`monthly_${suffix}.json`, JSON.stringify({ ...meta, monthly: data.monthly, totals: data.totals }, null, 2) + "\n");
+  }
+  return files;
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      month: { type: "string" },
+      format: { type: "string", default: "both" },
+      out: { type: "string", default: "export" },
+      source: { type: "string" },
+    },
+  });
+
+  (async () => {
+    const today = getNowDateKeyJst();
+    const from = values.month ? `${values.month}-01` : values.from || `${today.slice(0, 7)}-01`;
+    const to = values.month ? lastDayOfMonth(values.month) : values.to || today;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+      throw new Error("Usage: node commands/export.js [--month YYYY-MM | --from YYYY-MM-DD --to YYYY-MM-DD] [--format csv|json|both] [--out dir]");
+    }
+
+    const sources = pickSources(loadSources(), values.source);
+    const data = await collectExport(sources, { from, to });
+    const files = writeExport(data, { out: path.resolve(ROOT, values.out), format: values.format, multi: sources.length > 1 });
+
+    const revenue = data.conversions.filter((r) => r.statusClass !== "rejected").reduce((s, r) => s + (Number(r.unit) || 0), 0);
+    console.log(`[INFO] Exported ${data.conversions.length} conversion(s) (${fmtYen(revenue)}) for ${from}..${to}.`);
+    for (const f of files) console.log(`  ${path.relative(ROOT, f)}`);
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { CONVERSION_COLUMNS, MONTHLY_COLUMNS, monthlyRollup, collectExport, writeExport };
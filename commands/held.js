@@ -0,0 +1,80 @@
+// commands/held.js (サーキットブレーカーで保留した成果を確認・解除する)
+//   node commands/held.js             保留中の成果を表示する
+//   node commands/held.js --accept    成果として台帳に数える（通知はしない）
+//   node commands/held.js --discard   既知として捨てる（表の形式が変わってキーが変わっただけの時）
+//   --source <id>                     sources.json のソースだけ（省略時はすべてのソース）
+//
+// 1回の実行で MAX_NEW_PER_RUN（既定 50）件を超える新規が出ると、監視は通知と集計を止めて state.held に置く。
+const { parseArgs } = require("util");
+const { fmtYen } = require("../lib/util");
+const { loadPrices } = require("../lib/prices");
+const { ingestRows } = require("../lib/ingest");
+const { mergeSeenKeys } = require("../lib/monitor");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook, withLockedBook, saveBook } = require("../lib/storage");
+
+/**
+ * 保留を解除する
+ * - action: "accept"（台帳に数える）/ "discard"（seenKeys にだけ足す）
+ * - 戻り値: 解除した件数
+ */
+async function releaseHeld(src, action) {
+  return await withLockedBook(src, async (book, store) => {
+    const { state } = book;
+    const rows = state.held?.rows || [];
+    if (rows.length === 0) return 0;
+
+    if (action === "accept") {
+      const prices = src.pricesFile ? loadPrices(src.pricesFile) : {};
+      ingestRows(state, book, prices, rows);
+    } else {
+      state.seenKeys = mergeSeenKeys(state.seenKeys, rows.map((x) => x.key));
+    }
+
+    delete state.held;
+    await saveBook(store, book);
+    return rows.length;
+  });
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      accept: { type: "boolean", default: false },
+      discard: { type: "boolean", default: false },
+      source: { type: "string" },
+    },
+  });
+
+  (async () => {
+    if (values.accept && values.discard) throw new Error("Use either --accept or --discard");
+    const action = values.accept ? "accept" : values.discard ? "discard" : null;
+
+    for (const src of pickSources(loadSources(), values.source)) {
+      const { held } = (await readBook(src)).state;
+      const label = src.name ? `${src.id}: ` : "";
+      if (!held || held.rows.length === 0) {
+        console.log(`[INFO] ${label}No held conversions.`);
+        continue;
+      }
+
+      if (!action) {
+        const total = held.rows.reduce((sum, x) => sum + (Number(x.unit) || 0), 0);
+        console.log(`[INFO] ${label}${held.rows.length} conversion(s) held since ${held.since} (${fmtYen(total)})`);
+        for (const x of held.rows.slice(0, 20)) {
+          console.log(`  ${x.eventAt} ${x.adId || "(no id)"} ${x.adName || "(no name)"} / ${x.siteName || "-"} / ${x.status || "-"} ${fmtYen(x.unit)}`);
+        }
+        if (held.rows.length > 20) console.log(`  ... and ${held.rows.length - 20} more`);
+        continue;
+      }
+
+      const n = await releaseHeld(src, action);
+      console.log(`[INFO] ${label}${action === "accept" ? "Accepted" : "Discarded"} ${n} held conversion(s).`);
+    }
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { releaseHeld };
@@ -0,0 +1,75 @@
+// commands/import.js (管理画面からダウンロードした CSV を台帳に取り込む)
+//   node commands/import.js --file cv_log.csv                 取り込む（通知はしない）
+//   node commands/import.js --file cv_log.csv --dry-run       何件増えるかを表示するだけ
+//   --encoding auto|utf8|shift_jis  文字コード（既定 auto）
+//   --source <id>                   sources.json のソース（複数ソースの時は必須）
+//
+// 列は HEADER_* / sources.json の headers で対応づける（画面のテーブルと同じ見出し名）。
+// 既に数えた成果はステータスの変化だけ反映するので、同じ CSV を何度取り込んでも二重計上しない。
+const path = require("path");
+const { parseArgs } = require("util");
+const { ROOT, fmtYen } = require("../lib/util");
+const { loadPrices } = require("../lib/prices");
+const { normalizeRows } = require("../lib/scraper");
+const { readCsvFile } = require("../lib/csvimport");
+const { ingestRows } = require("../lib/ingest");
+const { loadSources, pickSources } = require("../lib/sources");
+const { withLockedBook, saveBook } = require("../lib/storage");
+const { checkUnparsed } = require("../lib/diagnostics");
+
+/**
+ * CSV を読んでソースの台帳に取り込む
+ * - 戻り値: { rows, added, statusChanges, known, months, saved, unparsed }（months は取り込み後の state.monthly のうち変わった月、unparsed は日時が読めずに飛ばした行）
+ */
+async function importCsv(src, { file, encoding = "auto", dryRun = false }) {
+  const prices = src.pricesFile ? loadPrices(src.pricesFile) : {};
+  const unparsed = [];
+  const rows = normalizeRows(readCsvFile(file, src.headerMap, encoding), prices, src.time, unparsed);
+
+  return await withLockedBook(src, async (book, store) => {
+    const { state } = book;
+    const { added, statusChanges, known } = ingestRows(state, book, prices, rows);
+
+    const touched = [...new Set(added.concat(statusChanges).map((x) => x.monthKey))].sort();
+    const months = Object.fromEntries(touched.map((m) => [m, state.monthly[m]]));
+
+    const saved = !dryRun && book.dirty.size > 0;
+    if (saved) await saveBook(store, book);
+    return { rows: rows.length, added, statusChanges, known: known.length, months, saved, unparsed };
+  });
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      file: { type: "string" },
+      encoding: { type: "string", default: "auto" },
+      source: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+
+  (async () => {
+    if (!values.file) throw new Error("Usage: node commands/import.js --file <csv> [--encoding auto|utf8|shift_jis] [--source id] [--dry-run]");
+
+    const sources = pickSources(loadSources(), values.source);
+    if (sources.length > 1) throw new Error(`Choose a source with --source (${sources.map((s) => s.id).join(" / ")})`);
+
+    const dryRun = values["dry-run"];
+    const r = await importCsv(sources[0], { file: path.resolve(ROOT, values.file), encoding: values.encoding, dryRun });
+
+    console.log(`[INFO] Read ${r.rows} row(s): ${r.added.length} new, ${r.known} already counted, ${r.statusChanges.length} status change(s).`);
+    const issue = checkUnparsed(r.unparsed);
+    if (issue) console.warn(`[WARN] ${issue.detail}. Not counted.`);
+    for (const [m, t] of Object.entries(r.months)) {
+      console.log(`  ${m}: ${fmtYen(t.revenue)} / ${t.count}件 (pending ${fmtYen(t.pending)}, approved ${fmtYen(t.approved)}, rejected ${fmtYen(t.rejected)})`);
+    }
+    if (dryRun) console.log("[INFO] Dry run. Nothing saved.");
+    else console.log(r.saved ? "[INFO] Saved to ledger (no notify)." : "[INFO] No changes.");
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { importCsv };
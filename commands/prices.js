@@ -0,0 +1,68 @@
+// commands/prices.js (単価設定の確認。node index.js prices check から呼ぶ)
+//   node index.js prices check           台帳に出てきた広告のうち、prices.json に単価が無いものを一覧する
+//   --month YYYY-MM                      その月の台帳だけ見る（省略時はすべての月）
+//   --source <id>                        sources.json のソースだけ（省略時はすべてのソース）
+//
+// 1件でも見つかれば終了コード 1（CI で prices.json の書き忘れに気付けるように）。
+// defaultUnitPrice があるソースでは既定の単価が付いているので、その旨も出す。
+const { fmtYen, eventTime } = require("../lib/util");
+const { ledgerMonths, getLedger } = require("../lib/ledger");
+const { loadPrices, hasUnitPrice } = require("../lib/prices");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook } = require("../lib/storage");
+
+/**
+ * 台帳から単価設定の無い広告を集める
+ * - 戻り値: [{ adId, adName, count, revenue, months: [monthKey], lastSeen }]（件数の多い順）
+ */
+function findUnpricedAds(book, prices, month = null) {
+  const ads = new Map();
+  for (const m of ledgerMonths(book)) {
+    if (month && m !== month) continue;
+    for (const r of getLedger(book, m).data.conversions) {
+      if (hasUnitPrice(prices, r.adId, r.adName)) continue;
+      const k = `${r.adId || ""}|${r.adName || ""}`;
+      const a = ads.get(k) || { adId: r.adId || "", adName: r.adName || "", count: 0, revenue: 0, months: [], lastSeen: "", lastTime: -Infinity };
+      a.count += 1;
+      a.revenue += Number(r.unit) || 0;
+      if (!a.months.includes(m)) a.months.push(m);
+      const t = eventTime(r) ?? -Infinity;
+      if (t >= a.lastTime) {
+        a.lastTime = t;
+        a.lastSeen = r.eventAt;
+      }
+      ads.set(k, a);
+    }
+  }
+  return [...ads.values()].map(({ lastTime, ...a }) => a).sort((a, b) => b.count - a.count);
+}
+
+/** 全ソースの単価の無い広告を表示する（戻り値: 見つかった広告の数） */
+async function checkPrices(values = {}) {
+  const sources = pickSources(loadSources(), values.source);
+  let found = 0;
+
+  for (const src of sources) {
+    const label = sources.length > 1 ? `${src.id}: ` : "";
+    if (!src.pricesFile) {
+      console.log(`[INFO] ${label}No prices file configured. Skipped.`);
+      continue;
+    }
+    const prices = loadPrices(src.pricesFile);
+    const ads = findUnpricedAds(await readBook(src), prices, values.month || null);
+    if (ads.length === 0) {
+      console.log(`[INFO] ${label}All ads in the ledger have a price.`);
+      continue;
+    }
+
+    found += ads.length;
+    const fallback = prices.defaultUnitPrice != null ? " (defaultUnitPrice applies)" : "";
+    console.log(`[WARN] ${label}${ads.length} ad(s) have no price in ${src.pricesFile}${fallback}:`);
+    for (const a of ads) {
+      console.log(`  ${a.adId || "(no id)"} ${a.adName || "(no name)"}: ${a.count}件 ${fmtYen(a.revenue)} / ${a.months.join(", ")} / last ${a.lastSeen || "-"}`);
+    }
+  }
+  return found;
+}
+
+module.exports = { findUnpricedAds, checkPrices };
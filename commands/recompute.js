@@ -0,0 +1,118 @@
+// commands/recompute.js (prices.json の変更を保存済みの成果に反映する)
+//   node commands/recompute.js --from 2026-01 --to 2026-02          差分を表示するだけ
+//   node commands/recompute.js --from 2026-01 --to 2026-02 --apply  台帳と月次集計を書き換える
+//   --source <id>  sources.json のソースだけ（省略時はすべてのソース）
+const { parseArgs } = require("util");
+const { PRICE_FILE, fmtYen, monthsBetween, getNowMonthKeyJst } = require("../lib/util");
+const { hasLedger, getLedger, syncMonthly } = require("../lib/ledger");
+const { loadPrices, priceInOrder } = require("../lib/prices");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook, withLockedBook, saveBook } = require("../lib/storage");
+
+/**
+ * 指定月の台帳を現在の prices.json で再計算する（apply の時だけ book を書き換える。保存は呼び出し側）
+ * - 戻り値: 月ごと・広告ごとの before / after
+ * - 繰越（台帳導入前に数えた分）は明細が無いので対象外
+ * - pricesFile: ソースの単価表（省略時は prices.json）
+ */
+function recompute(book, { from, to, apply = false, pricesFile = PRICE_FILE }) {
+  const prices = loadPrices(pricesFile);
+  const months = [];
+
+  for (const m of monthsBetween(from, to)) {
+    if (!hasLedger(book, m)) continue;
+    const { data } = getLedger(book, m);
+
+    const byAd = new Map();
+    let before = 0;
+    let after = 0;
+
+    // 段階単価があるので月単位で時系列順に付け直す
+    const repriced = new Map(priceInOrder(prices, data.conversions.map((r) => ({ ...r }))).map((x) => [x.key, x.unit]));
+
+    for (const r of data.conversions) {
+      const unit = repriced.get(r.key);
+      const adKey = r.adId || r.adName;
+      const cur = byAd.get(adKey) || { adId: r.adId, adName: r.adName, count: 0, before: 0, after: 0 };
+      cur.count += 1;
+      cur.before += Number(r.unit) || 0;
+      cur.after += unit;
+      byAd.set(adKey, cur);
+
+      before += Number(r.unit) || 0;
+      after += unit;
+
+      if (apply && unit !== r.unit) {
+        r.unit = unit;
+        r.repricedAt = new Date().toISOString();
+        book.dirty.add(m);
+      }
+    }
+
+    months.push({ month: m, before, after, carryOver: data.carryOver?.count || 0, byAd: [...byAd.values()] });
+  }
+
+  if (apply) syncMonthly(book);
+  return months;
+}
+
+function printReport(months, apply) {
+  if (months.length === 0) {
+    console.log("[INFO] No ledger found in the given range.");
+    return;
+  }
+
+  const sign = (n) => (n > 0 ? `+${fmtYen(n)}` : fmtYen(n));
+
+  for (const m of months) {
+    console.log(`\n== ${m.month}: ${fmtYen(m.before)} -> ${fmtYen(m.after)} (${sign(m.after - m.before)})`);
+    for (const a of m.byAd) {
+      if (a.before === a.after) continue;
+      console.log(
+        `  ${a.adId || "(no id)"} ${a.adName || "(no name)"}: ${a.count}件 ${fmtYen(a.before)} -> ${fmtYen(a.after)} (${sign(a.after - a.before)})`
+      );
+    }
+    if (m.carryOver > 0) console.log(`  [WARN] ${m.carryOver} conversion(s) counted before the ledger existed are not repriced.`);
+  }
+
+  console.log(apply ? "\n[INFO] Applied to ledger and state." : "\n[INFO] Dry run. Re-run with --apply to save.");
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      apply: { type: "boolean", default: false },
+      source: { type: "string" },
+    },
+  });
+  const from = values.from || getNowMonthKeyJst();
+  const to = values.to || from;
+
+  (async () => {
+    const sources = pickSources(loadSources(), values.source);
+    for (const src of sources) {
+      // 単価表の無いソースは付け直しようがないので飛ばす
+      if (!src.pricesFile) {
+        console.log(`[INFO] Skip ${src.id}: no prices file.`);
+        continue;
+      }
+      if (sources.length > 1) console.log(`\n#### Source: ${src.id}`);
+      const opts = { from, to, apply: values.apply, pricesFile: src.pricesFile };
+      const months = values.apply
+        ? await withLockedBook(src, async (book, store) => {
+            const r = recompute(book, opts);
+            if (book.dirty.size > 0) await saveBook(store, book);
+            return r;
+          })
+        : recompute(await readBook(src), opts);
+      printReport(months, values.apply);
+    }
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { recompute };
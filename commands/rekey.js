@@ -0,0 +1,95 @@
+// commands/rekey.js (保存済みの成果のキーを今の作り方に移す)
+//   node commands/rekey.js             移す件数を表示するだけ
+//   node commands/rekey.js --apply     台帳と cv_data.json の seenKeys を書き換える
+//   --source <id>                      sources.json のソースだけ（省略時はすべてのソース）
+//
+// 台帳に残っている項目（日時・広告・サイト・OS・リファラ）から v2 のキーを作り直す。
+// 旧キーは legacyKey として残すので、注文ID 列がある画面でも監視の実行時に ID ベースのキーへ移る。
+const { parseArgs } = require("util");
+const { ledgerMonths, getLedger } = require("../lib/ledger");
+const { KEY_VERSION, conversionKey } = require("../lib/scraper");
+const { loadSources, pickSources } = require("../lib/sources");
+const { withLockedBook, saveBook } = require("../lib/storage");
+
+/**
+ * 1ソース分のキーを移す（ロックを取った book を書き換える）
+ * - 戻り値: { from, months: { [monthKey]: 件数 }, total }（from は移す前の版。既に今の版なら total 0）
+ */
+function rekeyBook(book) {
+  const { state } = book;
+  if ((state.seenKeys || []).length === 0 && ledgerMonths(book).length === 0) return { from: null, months: {}, total: 0 };
+
+  const from = state.keyVersion || 1;
+  const out = { from, months: {}, total: 0 };
+  if (from >= KEY_VERSION) return out;
+
+  const renamed = new Map();
+  for (const m of ledgerMonths(book)) {
+    const l = getLedger(book, m);
+    const dup = new Map();
+    const sorted = [...l.data.conversions].sort((a, b) => String(a.eventAt).localeCompare(String(b.eventAt)));
+
+    for (const r of sorted) {
+      // 同じ内容の成果は normalizeRows と同じく2件目以降を nth で区別する
+      const base = conversionKey(r);
+      const nth = (dup.get(base) || 0) + 1;
+      dup.set(base, nth);
+
+      const key = conversionKey(r, nth);
+      if (key === r.key) continue;
+      renamed.set(r.key, key);
+      r.legacyKey ||= r.key;
+      r.key = key;
+      out.months[m] = (out.months[m] || 0) + 1;
+      out.total += 1;
+    }
+
+    l.index = new Map(l.data.conversions.map((r) => [r.key, r]));
+    if (out.months[m]) book.dirty.add(m);
+  }
+
+  state.seenKeys = [...new Set((state.seenKeys || []).map((k) => renamed.get(k) || k))];
+  state.keyVersion = KEY_VERSION;
+  return out;
+}
+
+/** 1ソース分のキーを移す（apply の時だけ保存する） */
+async function rekeySource(src, { apply = false } = {}) {
+  return await withLockedBook(src, async (book, store) => {
+    const out = rekeyBook(book);
+    if (apply && out.from != null && out.from < KEY_VERSION) await saveBook(store, book);
+    return out;
+  });
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      apply: { type: "boolean", default: false },
+      source: { type: "string" },
+    },
+  });
+
+  (async () => {
+    for (const src of pickSources(loadSources(), values.source)) {
+      const r = await rekeySource(src, { apply: values.apply });
+      const label = src.name ? `${src.id}: ` : "";
+      if (r.from == null) {
+        console.log(`[INFO] ${label}No state yet.`);
+        continue;
+      }
+      if (r.from >= KEY_VERSION) {
+        console.log(`[INFO] ${label}Already on key version ${KEY_VERSION}.`);
+        continue;
+      }
+      console.log(`[INFO] ${label}Key version ${r.from} -> ${KEY_VERSION}: ${r.total} conversion(s)`);
+      for (const [m, n] of Object.entries(r.months)) console.log(`  ${m}: ${n}`);
+    }
+    if (!values.apply) console.log("[INFO] Dry run. Re-run with --apply to save.");
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { rekeySource };
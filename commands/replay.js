@@ -0,0 +1,263 @@
+// commands/replay.js (保存した CVログ画面で監視処理をオフライン実行する)
+//   node commands/replay.js --dir fixtures/case1                 cv_data.json の状態から通常チェック
+//   node commands/replay.js --dir fixtures/case1 --bootstrap     空の状態から初回ブートストラップ
+//   node commands/replay.js --dir fixtures/case1 --json          レポートを JSON で出力
+//   node commands/replay.js --dir fixtures/case1 --expect expected.json
+//                                                                期待値と違えば exit 1（回帰テスト用）
+//
+// --dir の *.html をファイル名順に 1ページ目, 2ページ目… としてローカルで配信する。
+// 「次へ」のクリックは次のファイルへの遷移に差し替え、最後のページでは無効化する。
+// ディレクトリに state.json / prices.json / targets.json があればそれを使う（無ければ保存先の状態や prices.json などの本番用）。
+// ログイン・Slack 通知・状態の保存は行わない。
+//
+// fixtures/replay/ に表の選び方とページ送りの回帰テスト用の保存ページと期待値がある（npm run test:replay で全部回す）。
+//   datatables    件数表示・paginate_button・別の小さな表があり、月の境目で止まる
+//   plain-pager   「次へ」ボタンだけ・見出しに補足つき・件数表示なし・同じ内容の行（ページの境目をまたぐものも）と返金の金額
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { parseArgs } = require("util");
+const { PRICE_FILE, TARGET_FILE, readJson, fmtYen } = require("../lib/util");
+const { loadPrices } = require("../lib/prices");
+const { loadTargets } = require("../lib/targets");
+const { launchBrowser, headerMapFromEnv } = require("../lib/scraper");
+const { runMonitor } = require("../lib/monitor");
+const { loadSources } = require("../lib/sources");
+const { emptyState, migrateState, readBook } = require("../lib/storage");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+};
+
+/** 保存したページに差し込むページ送りスクリプト */
+function pagerScript(nextUrl) {
+  return `<script>
+(() => {
+  const next = ${JSON.stringify(nextUrl)};
+  const NEXT_SEL = 'a.paginate_button.next, a.next, li.next a, a[rel="next"], button[aria-label="Next"], a[aria-label="Next"]';
+  const isNext = (el) => el.matches(NEXT_SEL) || ["次へ", "Next", "›", ">"].includes((el.textContent || "").trim());
+
+  document.addEventListener("DOMContentLoaded", () => {
+    const els = Array.from(document.querySelectorAll("a,button")).filter(isNext);
+    if (!next) {
+      for (const el of els) {
+        el.classList.add("disabled");
+        el.setAttribute("aria-disabled", "true");
+      }
+    } else if (els.length === 0) {
+      const a = document.createElement("a");
+      a.className = "paginate_button next";
+      a.href = next;
+      a.textContent = "次へ";
+      document.body.appendChild(a);
+    }
+  });
+
+  document.addEventListener(
+    "click",
+    (e) => {
+      const el = e.target.closest("a,button");
+      if (!el || !isNext(el)) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (next) location.href = next;
+    },
+    true
+  );
+})();
+</script>`;
+}
+
+/** ディレクトリを 127.0.0.1 の空きポートで配信する */
+function serveDir(dir) {
+  const pages = fs
+    .readdirSync(dir)
+    .filter((f) => f.toLowerCase().endsWith(".html"))
+    .sort((a, b) => a.localeCompare(b, "en", { numeric: true }));
+  if (pages.length === 0) throw new Error(`No *.html pages in ${dir}`);
+
+  const server = http.createServer((req, res) => {
+    const name = decodeURIComponent(new URL(req.url, "http://localhost").pathname.slice(1)) || pages[0];
+    const file = path.join(dir, path.basename(name));
+    if (!fs.existsSync(file)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const ext = path.extname(file).toLowerCase();
+    res.setHeader("Content-Type", CONTENT_TYPES[ext] || "application/octet-stream");
+
+    const i = pages.indexOf(path.basename(file));
+    if (i < 0) {
+      res.end(fs.readFileSync(file));
+      return;
+    }
+
+    const next = pages[i + 1] ? `/${encodeURIComponent(pages[i + 1])}` : "";
+    const html = fs.readFileSync(file, "utf8");
+    const inject = pagerScript(next);
+    res.end(/<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${inject}</body>`) : html + inject);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({ server, url: `http://127.0.0.1:${port}/`, pages });
+    });
+  });
+}
+
+/** 回帰テストで比べやすい形にまとめる */
+function summarize(report, state, messages) {
+  const months = [...new Set(report.newOnes.concat(report.statusChanges).map((x) => x.monthKey))].sort();
+  return {
+    mode: report.mode,
+    uiTotal: report.uiTotal,
+    pages: report.pages,
+    rows: report.rows,
+    newCount: report.newOnes.length,
+    newOnes: report.newOnes.map((x) => ({
+      key: x.key,
+      eventAt: x.eventAt,
+      adId: x.adId,
+      adName: x.adName,
+      siteName: x.siteName,
+      status: x.status,
+      unit: x.unit,
+    })),
+    statusChanges: report.statusChanges.map((x) => ({ key: x.key, from: x.prevStatus, to: x.status })),
+    unknown: report.unknown,
+    unparsed: (report.unparsed || []).map((x) => x.orderAt || x.clickAt),
+    monthly: Object.fromEntries(months.map((m) => [m, state.monthly?.[m] || null])),
+    messages,
+  };
+}
+
+/** expected に書いたキーだけを比べる（書いていない項目は無視） */
+function diffExpected(actual, expected) {
+  const diffs = [];
+  for (const [k, v] of Object.entries(expected)) {
+    if (JSON.stringify(actual[k]) !== JSON.stringify(v)) {
+      diffs.push(`${k}: expected ${JSON.stringify(v)} but got ${JSON.stringify(actual[k])}`);
+    }
+  }
+  return diffs;
+}
+
+async function replay({ dir, bootstrap = false, month }) {
+  const localState = path.join(dir, "state.json");
+  const localPrices = path.join(dir, "prices.json");
+  const localTargets = path.join(dir, "targets.json");
+
+  // 台帳は本番の保存先から読む（書き戻さない）
+  const saved = bootstrap ? null : await readBook(loadSources()[0]);
+  const state = bootstrap
+    ? emptyState()
+    : fs.existsSync(localState)
+      ? migrateState(readJson(localState, emptyState()), { quiet: true })
+      : saved.state;
+  const prices = loadPrices(fs.existsSync(localPrices) ? localPrices : PRICE_FILE);
+  const targets = loadTargets(fs.existsSync(localTargets) ? localTargets : TARGET_FILE);
+
+  const { server, url } = await serveDir(dir);
+  const messages = [];
+  let browser;
+
+  // 送らずに集めるだけの notify（createNotifier と同じ形）
+  const collect = async (msg) => {
+    messages.push(msg.text);
+    return { sent: ["replay"], failed: [] };
+  };
+  collect.channels = ["replay"];
+
+  try {
+    // Chrome が起動できなくてもサーバーは閉じる（閉じないとプロセスが終わらない）
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+    page.setDefaultTimeout(15000);
+    page.setDefaultNavigationTimeout(15000);
+
+    // 保存ページが本番のスクリプトや画像を読みに行かないようにする
+    await page.setRequestInterception(true);
+    page.on("request", (req) => {
+      if (req.url().startsWith(url)) req.continue();
+      else req.abort();
+    });
+
+    await page.goto(url, { waitUntil: "networkidle2" });
+
+    const report = await runMonitor(page, {
+      state,
+      prices,
+      targets,
+      headerMap: headerMapFromEnv(),
+      cvLogUrl: url,
+      notify: collect,
+      save: false,
+      monthKey: month,
+      ledgers: saved ? saved.stored : new Map(),
+    });
+
+    return summarize(report, state, messages);
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+    server.close();
+  }
+}
+
+function printReport(r) {
+  console.log(`\n== Replay (${r.mode}) uiTotal=${r.uiTotal ?? "-"}`);
+  console.log(`[INFO] ${r.newCount} conversion(s) would be counted.`);
+  for (const x of r.newOnes) {
+    console.log(`  ${x.eventAt} ${x.adId || "(no id)"} ${x.adName || "(no name)"} / ${x.siteName || "-"} / ${x.status || "-"} ${fmtYen(x.unit)}`);
+  }
+  for (const x of r.statusChanges) console.log(`  status ${x.key.slice(0, 8)}: ${x.from || "(none)"} -> ${x.to}`);
+  for (const s of r.unknown) console.log(`  [WARN] no price: ${s}`);
+  for (const s of r.unparsed) console.log(`  [WARN] unreadable date/time: ${s}`);
+  for (const [m, t] of Object.entries(r.monthly)) {
+    if (t) console.log(`  ${m}: ${fmtYen(t.revenue)} / ${t.count}件 (pending ${fmtYen(t.pending)}, approved ${fmtYen(t.approved)}, rejected ${fmtYen(t.rejected)})`);
+  }
+  console.log(`[INFO] ${r.messages.length} message(s) would be sent.`);
+  for (const msg of r.messages) console.log(`\n---\n${msg}`);
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: "string" },
+      bootstrap: { type: "boolean", default: false },
+      month: { type: "string" },
+      json: { type: "boolean", default: false },
+      expect: { type: "string" },
+    },
+  });
+
+  (async () => {
+    if (!values.dir) throw new Error("Usage: node commands/replay.js --dir <saved pages> [--bootstrap] [--month YYYY-MM] [--json] [--expect file]");
+
+    const r = await replay({ dir: path.resolve(values.dir), bootstrap: values.bootstrap, month: values.month });
+    if (values.json) console.log(JSON.stringify(r, null, 2));
+    else printReport(r);
+
+    if (values.expect) {
+      const expected = readJson(path.resolve(values.expect), null);
+      if (!expected) throw new Error(`Cannot read ${values.expect}`);
+      const diffs = diffExpected(r, expected);
+      if (diffs.length > 0) {
+        for (const d of diffs) console.error(`[FAIL] ${d}`);
+        process.exitCode = 1;
+      } else {
+        console.log("[OK] Matches expected.");
+      }
+    }
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { replay, serveDir, summarize, diffExpected };
@@ -0,0 +1,61 @@
+// commands/reset.js (月の台帳と集計を消す。node index.js reset-month から呼ぶ)
+//   node index.js reset-month --yes             今月（JST）の台帳と集計を消し、次の run で今月分を集め直す（通知なし）
+//   node index.js reset-month --month 2026-01 --yes
+//                                               過去の月を消す（集め直しは node commands/backfill.js --from 2026-01 --to 2026-01 --replace）
+//   --source <id>                               sources.json のソースだけ（省略時はすべてのソース）
+//   --yes を付けない時は消す件数を表示するだけ
+//
+// seenKeys はそのまま残すので、消した月の成果が次の実行で新規として通知されることはない。
+// 目標の到達通知の記録（targetAlerts）も残す（集め直した後に同じ到達を二度知らせない）。
+const { fmtYen, getNowMonthKeyJst } = require("../lib/util");
+const { emptyMonth, hasLedger, getLedger, resetLedger, syncMonthly } = require("../lib/ledger");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook, withLockedBook, saveBook } = require("../lib/storage");
+
+/**
+ * 1ソースの月の台帳を空にして集計を作り直す
+ * - 今月なら initialized を外し、次の監視で今月分を集め直させる
+ * - 戻り値: 消す前の集計
+ */
+async function resetMonth(src, monthKey) {
+  return await withLockedBook(src, async (book, store) => {
+    const { state } = book;
+    const before = { ...(state.monthly?.[monthKey] || emptyMonth()) };
+
+    resetLedger(book, monthKey);
+    syncMonthly(book);
+    if (monthKey === getNowMonthKeyJst()) state.initialized = false;
+
+    await saveBook(store, book);
+    return before;
+  });
+}
+
+/** 月の台帳を消す（values: --month / --source / --yes） */
+async function resetMonthCommand(values = {}) {
+  const monthKey = values.month || getNowMonthKeyJst();
+  const sources = pickSources(loadSources(), values.source);
+
+  for (const src of sources) {
+    const label = sources.length > 1 ? `${src.id}: ` : "";
+    if (!values.yes) {
+      const book = await readBook(src);
+      const t = book.state.monthly?.[monthKey] || emptyMonth();
+      const records = hasLedger(book, monthKey) ? getLedger(book, monthKey).data.conversions.length : 0;
+      console.log(`[INFO] ${label}${monthKey}: would remove ${records} ledger record(s) (${t.count}件 / ${fmtYen(t.revenue)}). Add --yes to reset.`);
+      continue;
+    }
+
+    const before = await resetMonth(src, monthKey);
+    console.log(`[INFO] ${label}Reset ${monthKey} (was ${before.count}件 / ${fmtYen(before.revenue)}).`);
+  }
+
+  if (!values.yes) return;
+  if (monthKey === getNowMonthKeyJst()) {
+    console.log("[INFO] The next run bootstraps this month again without notifications (or run: node index.js bootstrap).");
+  } else {
+    console.log(`[INFO] To fill it again, run: node commands/backfill.js --from ${monthKey} --to ${monthKey} --replace`);
+  }
+}
+
+module.exports = { resetMonth, resetMonthCommand };
@@ -0,0 +1,211 @@
+// commands/run.js (監視を1回回す。node index.js run / bootstrap から呼ぶ)
+//   node index.js run                  ログインして新規の成果を通知する（状態が無ければ今月分で初期化）
+//   node index.js bootstrap            今月分を集め直して台帳と集計を作り直す（通知なし）
+//   --source <id>                      sources.json のソースだけ（省略時はすべてのソース）
+//
+// ソースごとに実行の記録（所要時間・ログイン時間・読んだページ数と行数・新規件数・エラー）を保存先の "runs" に足す。
+// METRICS_FILE を設定すると、最後に Prometheus のテキスト形式で書き出す（lib/metrics.js）。
+const path = require("path");
+const { ROOT, NOTIFIER_FILE, TEMPLATE_FILE, fmtYen, getNowMonthKeyJst } = require("../lib/util");
+const { emptyMonth, openLedgerBook } = require("../lib/ledger");
+const { loadPrices } = require("../lib/prices");
+const { loadTargets } = require("../lib/targets");
+const { launchBrowser } = require("../lib/scraper");
+const { openCvLog, saveSession } = require("../lib/login");
+const { downloadCsvRows } = require("../lib/csvimport");
+const { runMonitor } = require("../lib/monitor");
+const { loadChannels, createNotifier } = require("../lib/notifiers");
+const { loadTemplates } = require("../lib/templates");
+const { loadSources, checkSourceEnv, pickSources } = require("../lib/sources");
+const { enqueue, deliverOutbox } = require("../lib/outbox");
+const { diagnoseFailure, checkNoSuccess, recordHealthIssue } = require("../lib/diagnostics");
+const { renderMetrics, writeMetricsFile } = require("../lib/metrics");
+const { openStorage, lockStorage, closeStorage, loadState, loadLedgers, saveBook, loadRuns, appendRun } = require("../lib/storage");
+
+/** runMonitor のレポートから実行の記録に残す数 */
+function reportSummary(report) {
+  return {
+    mode: report.mode,
+    pages: report.pages ?? 0,
+    rows: report.rows ?? 0,
+    uiTotal: report.uiTotal,
+    newConversions: report.newOnes.length,
+    statusChanges: report.statusChanges.length,
+    unparsed: report.unparsed?.length || 0,
+    held: report.held || 0,
+    notified: report.delivery?.sent || 0,
+    notifyFailed: report.delivery?.failed || 0,
+  };
+}
+
+/**
+ * 実行の記録を足す（書けなくても監視は止めない）
+ * - 戻り値: 書いた後の記録（書けなければ null）
+ */
+async function recordRun(storage, run, ok) {
+  const finishedAt = new Date();
+  const record = { ...run, ok, finishedAt: finishedAt.toISOString(), durationMs: finishedAt - Date.parse(run.startedAt) };
+  try {
+    return await appendRun(storage, record);
+  } catch (err) {
+    console.warn(`[WARN] Saving run history failed: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * 1ソース分：ログイン（保存したセッションが生きていれば省略）して CVログ画面で runMonitor を回す（ソースごとに別のブラウザコンテキスト）
+ * - data: { storage, state, ledgers }（ロック済みの保存先と読み込んだ状態）。書いた実行の記録を data.runs に入れる
+ * - 失敗したら原因を分類してスクリーンショット・HTML を残し、ヘルスアラートを送ってから投げ直す
+ *   最後に成功した実行から NO_SUCCESS_ALERT_HOURS 時間を過ぎていれば、そのこともヘルスアラートで知らせる
+ */
+async function runSource(browser, src, data, notify, combinedRevenue) {
+  const { storage, state, ledgers } = data;
+  const prices = src.pricesFile ? loadPrices(src.pricesFile) : {};
+  const targets = src.targetsFile ? loadTargets(src.targetsFile) : null;
+  const run = { startedAt: new Date().toISOString() };
+
+  const context = await browser.createBrowserContext();
+  let page = null;
+  try {
+    page = await context.newPage();
+    page.setDefaultTimeout(60000);
+    page.setDefaultNavigationTimeout(60000);
+
+    const loginStart = Date.now();
+    const { reusedSession } = await openCvLog(page, src);
+    run.loginMs = Date.now() - loginStart;
+    run.reusedSession = reusedSession;
+    const rows = src.csv ? await downloadCsvRows(page, src.csv, src.headerMap) : null;
+
+    const report = await runMonitor(page, {
+      state,
+      prices,
+      targets,
+      headerMap: src.headerMap,
+      cvLogUrl: src.cvLogUrl,
+      notify,
+      ledgers,
+      storage,
+      pagination: src.pagination,
+      sourceName: src.name,
+      combinedRevenue,
+      rows,
+      time: src.time,
+    });
+    await saveSession(page, src.sessionFile);
+    data.runs = await recordRun(storage, { ...run, ...reportSummary(report) }, true);
+  } catch (err) {
+    const issue = await diagnoseFailure(page, err, { headerMap: src.headerMap, label: src.id });
+    data.runs = await recordRun(storage, { ...run, error: { kind: issue.kind, message: issue.detail } }, false);
+
+    const send = (msg) => enqueue(state, msg, notify.channels);
+    // 失敗の原因を state.health.lastIssue に残すため、成功が途絶えている知らせを先に記録する
+    const stale = checkNoSuccess(data.runs);
+    if (stale) recordHealthIssue(state, stale, send, src.name);
+    recordHealthIssue(state, issue, send, src.name);
+    // 台帳は runMonitor が保存済みなので、ここではヘルスの記録と送信待ちだけ（state）を書く
+    // ここで保存に失敗しても（ロックを取られた時など）ログに残して元の失敗を投げ直す
+    const persist = () => saveBook(storage, openLedgerBook(state));
+    try {
+      await persist();
+      await deliverOutbox(state, notify, persist);
+    } catch (saveErr) {
+      console.error(`[ERROR] Saving the health alert for ${src.id} failed:`, saveErr);
+    }
+    throw err;
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+/**
+ * 全ソース（source を渡せばそのソースだけ）の監視を1回回す
+ * - bootstrap: true なら状態の初期化済みの印を外し、今月分を集め直す（通知なし）
+ * - 失敗したソースがあれば、残りのソースを回してから例外
+ */
+async function runAll({ source, bootstrap = false } = {}) {
+  const sources = pickSources(loadSources(), source);
+  for (const src of sources) checkSourceEnv(src);
+
+  const notify = createNotifier(loadChannels(NOTIFIER_FILE), loadTemplates(TEMPLATE_FILE));
+
+  // 全ソースのロックを取って状態を先に読んでおき、通知に全ソース合計を出す（実行済みのソースは更新後の値）
+  // ロックを他の実行が持っているソースは、その実行に任せて飛ばす
+  const data = new Map();
+  const failed = [];
+
+  try {
+    for (const src of sources) {
+      const storage = openStorage(src);
+      if (!(await lockStorage(storage))) {
+        console.warn(`[WARN] Source ${src.id} is locked by another run. Skipped.`);
+        await closeStorage(storage);
+        continue;
+      }
+      const state = await loadState(storage);
+      if (bootstrap) state.initialized = false;
+      data.set(src.id, { storage, state, ledgers: await loadLedgers(storage) });
+    }
+    if (data.size === 0) return;
+
+    const states = () => [...data.values()].map((d) => d.state);
+    const combinedRevenue =
+      sources.length > 1
+        ? (monthKey) => states().reduce((sum, st) => sum + (st.monthly?.[monthKey] || emptyMonth()).revenue, 0)
+        : null;
+
+    const browser = await launchBrowser();
+    try {
+      // 1ソースの失敗で他のソースを止めない
+      for (const src of sources.filter((s) => data.has(s.id))) {
+        if (sources.length > 1) console.log(`[INFO] Source: ${src.id}`);
+        try {
+          await runSource(browser, src, data.get(src.id), notify, combinedRevenue);
+        } catch (err) {
+          console.error(`[ERROR] Source ${src.id} failed:`, err);
+          failed.push(src.id);
+        }
+      }
+    } finally {
+      await browser.close().catch(() => {});
+    }
+
+    if (combinedRevenue) logCombined(sources, data, combinedRevenue);
+    if (process.env.METRICS_FILE) {
+      await saveMetrics(sources, data, path.resolve(ROOT, process.env.METRICS_FILE)).catch((err) =>
+        console.warn(`[WARN] Writing metrics failed: ${err?.message || err}`)
+      );
+    }
+  } finally {
+    for (const d of data.values()) await closeStorage(d.storage).catch((err) => console.warn(`[WARN] Unlock failed: ${err?.message || err}`));
+  }
+
+  // 通知の失敗で終了コードを落とすとワークフローが状態をコミットしないので、警告だけにする
+  if (notify.errors.length > 0) console.warn(`[WARN] ${notify.errors.length} notification(s) failed.`);
+  if (failed.length > 0) throw new Error(`${failed.length} source(s) failed: ${failed.join(", ")}`);
+}
+
+/** 回したソースの実行の記録と状態をメトリクスのファイルに書く */
+async function saveMetrics(sources, data, file) {
+  const entries = [];
+  for (const src of sources.filter((s) => data.has(s.id))) {
+    const d = data.get(src.id);
+    entries.push({ src, state: d.state, runs: d.runs || (await loadRuns(d.storage)) });
+  }
+  writeMetricsFile(file, renderMetrics(entries));
+  console.log(`[INFO] Wrote metrics to ${path.relative(ROOT, file) || file}.`);
+}
+
+/** 今月の売上をソースごとと全ソース合計でログに出す */
+function logCombined(sources, data, combinedRevenue) {
+  const m = getNowMonthKeyJst();
+  for (const src of sources) {
+    if (!data.has(src.id)) continue;
+    const t = data.get(src.id).state.monthly?.[m] || emptyMonth();
+    console.log(`[INFO] ${m} ${src.id}: ${fmtYen(t.revenue)} / ${t.count}件`);
+  }
+  console.log(`[INFO] ${m} combined: ${fmtYen(combinedRevenue(m))}`);
+}
+
+module.exports = { runSource, runAll };
@@ -0,0 +1,73 @@
+// commands/status.js (今月の集計と前回の実行の状態を表示する。node index.js status から呼ぶ)
+//   node index.js status                 今月（JST）の売上・件数と、前回の実行・最後に成功した実行・ヘルス・保留・送信待ち
+//   --month YYYY-MM                      集計を見る月
+//   --source <id>                        sources.json のソースだけ（省略時はすべてのソース）
+//   --json                               JSON で出す
+const { fmtYen, getNowMonthKeyJst } = require("../lib/util");
+const { emptyMonth } = require("../lib/ledger");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook, readRuns } = require("../lib/storage");
+const { consecutiveFailures } = require("../lib/metrics");
+
+/**
+ * 1ソース分の状態をまとめる
+ * - book: readBook の戻り値。runs: readRuns の戻り値
+ */
+function statusOf(src, book, runs, monthKey = getNowMonthKeyJst()) {
+  const { state } = book;
+  return {
+    source: src.id,
+    month: monthKey,
+    totals: state.monthly?.[monthKey] || emptyMonth(),
+    initialized: Boolean(state.initialized),
+    updatedAt: state.updatedAt || null,
+    lastRun: runs.runs.at(-1) || null,
+    lastSuccessAt: runs.lastSuccessAt,
+    consecutiveFailures: consecutiveFailures(runs),
+    failing: Boolean(state.health?.failing),
+    lastIssue: state.health?.lastIssue || null,
+    held: state.held?.rows.length || 0,
+    outbox: (state.outbox || []).length,
+  };
+}
+
+function printStatus(s, label) {
+  const t = s.totals;
+  console.log(`[INFO] ${label}${s.month}: ${fmtYen(t.revenue)} / ${t.count}件`);
+  console.log(`  pending ${fmtYen(t.pending)} / approved ${fmtYen(t.approved)} / rejected ${fmtYen(t.rejected)}`);
+  console.log(`  Last updated: ${s.updatedAt || "-"}${s.initialized ? "" : " (not initialized: the next run bootstraps this month)"}`);
+  if (s.lastRun) {
+    const r = s.lastRun;
+    const detail = r.ok
+      ? `${r.mode}, ${r.pages} page(s), ${r.rows} row(s), ${r.newConversions} new`
+      : `FAILED ${r.error?.kind || ""}${s.consecutiveFailures > 1 ? `, ${s.consecutiveFailures} in a row` : ""}`;
+    console.log(`  Last run: ${r.finishedAt} (${(r.durationMs / 1000).toFixed(1)}s, ${detail})`);
+  } else {
+    console.log("  Last run: - (no run history yet)");
+  }
+  console.log(`  Last success: ${s.lastSuccessAt || "-"}`);
+  if (s.lastIssue) {
+    const i = s.lastIssue;
+    console.log(`  Health: ${s.failing ? "FAILING" : "ok"} (last issue at ${i.at}: ${i.kind} ${i.detail || ""})`.trimEnd());
+  } else {
+    console.log("  Health: ok");
+  }
+  if (s.held > 0) console.log(`  Held: ${s.held} conversion(s) (run node commands/held.js)`);
+  if (s.outbox > 0) console.log(`  Outbox: ${s.outbox} notification(s) waiting to be sent`);
+}
+
+/** 状態を表示する（values: --month / --source / --json） */
+async function showStatus(values = {}) {
+  const sources = pickSources(loadSources(), values.source);
+  const out = [];
+  for (const src of sources) out.push(statusOf(src, await readBook(src), await readRuns(src), values.month || getNowMonthKeyJst()));
+
+  if (values.json) {
+    console.log(JSON.stringify(out, null, 2));
+    return out;
+  }
+  for (const s of out) printStatus(s, sources.length > 1 ? `${s.source}: ` : "");
+  return out;
+}
+
+module.exports = { statusOf, showStatus };
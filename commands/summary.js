@@ -0,0 +1,81 @@
+// commands/summary.js (日次・週次・月次締めレポートを通知する)
+//   node commands/summary.js daily      昨日（JST）の成果と売上
+//   node commands/summary.js weekly     昨日までの7日間と前週の比較
+//   node commands/summary.js monthly    先月の締めレポート（--month で指定可）
+//   node commands/summary.js auto       daily に加え、月曜は weekly、1日は monthly も送る
+//   送り先は notifiers.json（無ければ SLACK_WEBHOOK_URL）。通知の種類は "report"（文面は templates.json の言語。lib/templates.js の report.*）
+//   --date YYYY-MM-DD  基準日（daily / weekly の対象日。省略時は昨日）
+//   --source <id>      sources.json のソースだけ（省略時はソースごとに送る）
+//   --dry-run          送らずに表示だけ
+const { parseArgs } = require("util");
+const { NOTIFIER_FILE, TEMPLATE_FILE, addDays, prevMonthKey, getNowDateKeyJst } = require("../lib/util");
+const { buildDailyReport, buildWeeklyReport, buildMonthCloseReport } = require("../lib/report");
+const { loadChannels, createNotifier } = require("../lib/notifiers");
+const { loadTemplates, renderMessage, templated } = require("../lib/templates");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readBook } = require("../lib/storage");
+
+const KINDS = ["daily", "weekly", "monthly", "auto"];
+
+/**
+ * 送るレポートの通知を作る（kind ごとに配列で返す。data.kind は daily / weekly / monthly）
+ * - book: ソースの台帳（readBook の戻り値）
+ * - sourceName: 文面の先頭に付ける ASP 名（省略時は付けない）
+ */
+function buildSummaries(kind, book, { date, month, sourceName } = {}) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown report: ${kind} (use ${KINDS.join(" / ")})`);
+
+  const { state } = book;
+  const today = getNowDateKeyJst();
+  const target = date || addDays(today, -1);
+  const out = [];
+  const push = (reportKind, data) => out.push(templated("report", { kind: reportKind, ...data, sourceName }));
+
+  if (kind === "daily" || kind === "auto") push("daily", buildDailyReport(state, book, target));
+
+  // auto は「今日が月曜 / 1日」のときだけ週次・月次を足す
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  if (kind === "weekly" || (kind === "auto" && weekday === 1)) push("weekly", buildWeeklyReport(state, book, target));
+
+  if (kind === "monthly" || (kind === "auto" && today.endsWith("-01"))) {
+    push("monthly", buildMonthCloseReport(state, book, month || prevMonthKey(today.slice(0, 7)), today));
+  }
+
+  return out;
+}
+
+if (require.main === module) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      date: { type: "string" },
+      month: { type: "string" },
+      source: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+
+  (async () => {
+    const sources = pickSources(loadSources(), values.source);
+    const templates = loadTemplates(TEMPLATE_FILE);
+    const messages = [];
+    for (const src of sources) {
+      messages.push(...buildSummaries(positionals[0] || "daily", await readBook(src), { ...values, sourceName: src.name }));
+    }
+
+    if (values["dry-run"]) {
+      for (const msg of messages) console.log(`${renderMessage(msg, templates).text}\n---`);
+      return;
+    }
+
+    const notify = createNotifier(loadChannels(NOTIFIER_FILE), templates);
+    for (const msg of messages) await notify(msg);
+    if (notify.errors.length > 0) process.exitCode = 1;
+    console.log(`[INFO] Sent ${messages.length} report(s).`);
+  })().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { buildSummaries };
@@ -0,0 +1,79 @@
+// commands/verify.js (管理画面の総件数と保存済みの件数を比べる。node index.js verify から呼ぶ)
+//   node index.js verify                  CVログ画面の「全N件」と台帳の件数を比べる
+//   --month YYYY-MM                       期間指定（dateFilter）があるソースで比べる月（省略時は今月）
+//   --source <id>                         sources.json のソースだけ（省略時はすべてのソース）
+//
+// sources.json の dateFilter（または DATE_FILTER_*）があれば、その月に絞り込んで月の件数と比べる。
+// 無ければ絞り込まない一覧の総件数と、台帳の全月の件数の合計を比べる（管理画面に残っている期間が台帳と違えばずれる）。
+// 総件数は detectTotalCountIfPossible で読む（画面に「全N件」などの表示が無いと比べられない）。
+// 1つでも一致しないか比べられなければ終了コード 1。
+const { getNowMonthKeyJst, lastDayOfMonth } = require("../lib/util");
+const { emptyMonth, ledgerMonths } = require("../lib/ledger");
+const { launchBrowser, applyDateFilter, detectTotalCountIfPossible } = require("../lib/scraper");
+const { openCvLog, saveSession } = require("../lib/login");
+const { loadSources, checkSourceEnv, pickSources } = require("../lib/sources");
+const { readBook } = require("../lib/storage");
+
+/** 台帳の件数（month を渡せばその月、null なら全月。繰越も含む） */
+function storedCount(book, month) {
+  const { monthly = {} } = book.state;
+  const months = month ? [month] : ledgerMonths(book);
+  return months.reduce((sum, m) => sum + (monthly[m] || emptyMonth()).count, 0);
+}
+
+/**
+ * 1ソース分の総件数を読んで台帳と比べる
+ * - 戻り値: { source, scope（"YYYY-MM" か "all"）, uiTotal（読めなければ null）, stored, ok }
+ */
+async function verifySource(browser, src, monthKey = getNowMonthKeyJst()) {
+  const scope = src.dateFilter ? monthKey : "all";
+  const context = await browser.createBrowserContext();
+  let uiTotal;
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(60000);
+    page.setDefaultNavigationTimeout(60000);
+
+    await openCvLog(page, src);
+    if (src.dateFilter) await applyDateFilter(page, src.dateFilter, `${monthKey}-01`, lastDayOfMonth(monthKey));
+    uiTotal = await detectTotalCountIfPossible(page);
+    await saveSession(page, src.sessionFile);
+  } finally {
+    await context.close().catch(() => {});
+  }
+
+  const stored = storedCount(await readBook(src), src.dateFilter ? monthKey : null);
+  return { source: src.id, scope, uiTotal, stored, ok: uiTotal != null && uiTotal === stored };
+}
+
+/** 全ソースを比べて結果を表示する（values: --month / --source）。戻り値: 結果の配列 */
+async function verifyAll(values = {}) {
+  const sources = pickSources(loadSources(), values.source);
+  for (const src of sources) checkSourceEnv(src);
+
+  const results = [];
+  const browser = await launchBrowser();
+  try {
+    for (const src of sources) {
+      try {
+        results.push(await verifySource(browser, src, values.month || getNowMonthKeyJst()));
+      } catch (err) {
+        console.error(`[ERROR] Source ${src.id} failed:`, err);
+        results.push({ source: src.id, scope: null, uiTotal: null, stored: null, ok: false, error: err?.message || String(err) });
+      }
+    }
+  } finally {
+    await browser.close().catch(() => {});
+  }
+
+  for (const r of results) {
+    if (r.error) continue;
+    const label = `${r.source} (${r.scope === "all" ? "all months" : r.scope})`;
+    if (r.uiTotal == null) console.warn(`[WARN] ${label}: no total count on the page. Cannot verify (stored ${r.stored}).`);
+    else if (r.ok) console.log(`[INFO] ${label}: OK (UI ${r.uiTotal} / stored ${r.stored})`);
+    else console.warn(`[WARN] ${label}: mismatch (UI ${r.uiTotal} / stored ${r.stored}, diff ${r.uiTotal - r.stored})`);
+  }
+  return results;
+}
+
+module.exports = { storedCount, verifySource, verifyAll };
@@ -0,0 +1,42 @@
+// commands/watchdog.js (監視が止まっていないか見る。node index.js watchdog から呼ぶ)
+//   node index.js watchdog               最後に成功した実行から NO_SUCCESS_ALERT_HOURS（既定 6）時間を過ぎたソースを知らせる
+//   --source <id>                        sources.json のソースだけ（省略時はすべてのソース）
+//   --dry-run                            送らずに表示だけ
+//
+// 監視の実行の中でも失敗が続けば知らせるが、定期実行そのものが止まると何も送られない。
+// これを監視とは別のスケジュール（.github/workflows/watchdog.yml）で回して気付けるようにする。
+// 実行の記録が1件も無い（キャッシュが消えた時など）時も、止まっているかどうか分からないので同じく知らせる。
+// 状態は書かないので、止まっている間は回すたびに知らせる。見つかれば終了コード 1。
+const { NOTIFIER_FILE, TEMPLATE_FILE } = require("../lib/util");
+const { checkNoSuccess, checkNoHistory, healthMessage } = require("../lib/diagnostics");
+const { loadChannels, createNotifier } = require("../lib/notifiers");
+const { loadTemplates } = require("../lib/templates");
+const { loadSources, pickSources } = require("../lib/sources");
+const { readRuns } = require("../lib/storage");
+
+/** 成功が途絶えている（記録が無い）ソースを探して知らせる（values: --source / --dry-run）。戻り値: [{ source, issue }] */
+async function watchdog(values = {}) {
+  const sources = pickSources(loadSources(), values.source);
+  const stale = [];
+
+  for (const src of sources) {
+    const runs = await readRuns(src);
+    const issue = checkNoSuccess(runs) || checkNoHistory(runs);
+    const label = sources.length > 1 ? `${src.id}: ` : "";
+    if (!issue) {
+      console.log(`[INFO] ${label}OK (last success ${runs.lastSuccessAt || "-"}, ${runs.runs.length} run(s) recorded)`);
+      continue;
+    }
+    console.warn(`[WARN] ${label}${issue.detail}`);
+    stale.push({ src, issue });
+  }
+
+  if (stale.length > 0 && !values["dry-run"]) {
+    const notify = createNotifier(loadChannels(NOTIFIER_FILE), loadTemplates(TEMPLATE_FILE));
+    for (const { src, issue } of stale) await notify(healthMessage(issue, src.name));
+    if (notify.errors.length > 0) console.warn(`[WARN] ${notify.errors.length} notification(s) failed.`);
+  }
+  return stale.map(({ src, issue }) => ({ source: src.id, issue }));
+}
+
+module.exports = { watchdog };
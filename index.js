@@ -1,608 +1,91 @@
-// index.js (Node.js 20 / CommonJS)
-const fs = require("fs");
-const path = require("path");
-const crypto = require("crypto");
-const puppeteer = require("puppeteer");
-
-const ROOT = process.cwd();
-const STATE_FILE = path.join(ROOT, "cv_data.json");
-const PRICE_FILE = path.join(ROOT, "prices.json");
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const DEBUG = process.env.DEBUG === "1";
-
-function mustEnv(name, v) {
-  if (!v) throw new Error(`Missing env: ${name}`);
-  return v;
-}
-
-function readJson(p, fallback) {
-  try {
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
+// index.js (Node.js 20 / CommonJS。CV監視のコマンドライン)
+//   node index.js [command] [options]     command を省略すると run
+//   node index.js --help                  使い方を表示する
+//
+// 設定は config.json（--config で変更可）に環境変数の名前で書ける。同じ名前の環境変数があればそちらが優先（lib/config.js）。
+// 設定ファイルは lib/util.js を読み込む時に当てはめるので、コマンドの実装は引数を読んだ後で require する。
+const { parseArgs } = require("util");
+
+const HELP = `Usage: node index.js [command] [options]
+
+Commands:
+  run                 Log in, notify new conversions and update the ledger (default)
+  bootstrap           Collect this month again and rebuild its ledger without notifications
+  status              Show the month totals, last run, last success, health, held and pending notifications
+  prices check        List ads in the ledger that have no price in prices.json (exit 1 if any)
+  reset-month         Clear a month's ledger and totals (needs --yes; this month is collected again by the next run)
+  verify              Compare the total count shown on the CV log page with the stored count (exit 1 on mismatch)
+  watchdog            Alert if no run succeeded in NO_SUCCESS_ALERT_HOURS hours (default 6; exit 1 if so)
+
+Options:
+  --source <id>       Only this source in sources.json (default: all sources)
+  --month YYYY-MM     Month for status / prices check / reset-month / verify (default: this month in JST)
+  --config <file>     Config file with env var defaults (default: config.json; env vars override it)
+  --json              Print status as JSON
+  --dry-run           Print the watchdog alert without sending it
+  --yes               Really reset (reset-month)
+  -h, --help          Show this help
+
+Other commands: node commands/<name>.js for summary, export, import, backfill, recompute, replay, rekey, held, dashboard.`;
+
+const OPTIONS = {
+  source: { type: "string" },
+  month: { type: "string" },
+  config: { type: "string" },
+  json: { type: "boolean", default: false },
+  yes: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// 実装は呼ぶ時に読み込む（設定ファイルを先に当てはめるため）
+const COMMANDS = {
+  run: (values) => require("./commands/run").runAll({ source: values.source }),
+  bootstrap: (values) => require("./commands/run").runAll({ source: values.source, bootstrap: true }),
+  status: (values) => require("./commands/status").showStatus(values),
+  "prices check": async (values) => {
+    if ((await require("./commands/prices").checkPrices(values)) > 0) process.exitCode = 1;
+  },
+  "reset-month": (values) => require("./commands/reset").resetMonthCommand(values),
+  verify: async (values) => {
+    const results = await require("./commands/verify").verifyAll(values);
+    if (results.some((r) => !r.ok)) process.exitCode = 1;
+  },
+  watchdog: async (values) => {
+    if ((await require("./commands/watchdog").watchdog(values)).length > 0) process.exitCode = 1;
+  },
+};
+
+/** 引数から実行するコマンド名を決める（"prices check" のように2語のものもある。無ければ null） */
+function commandOf(positionals) {
+  if (positionals.length === 0) return "run";
+  const name = positionals.join(" ");
+  return COMMANDS[name] ? name : null;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(HELP);
+    return;
   }
-}
-
-function writeJson(p, obj) {
-  obj.updatedAt = new Date().toISOString();
-  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf8");
-}
-
-function norm(s) {
-  return String(s ?? "").replace(/\s+/g, " ").trim();
-}
-
-function sha1(s) {
-  return crypto.createHash("sha1").update(s).digest("hex");
-}
-
-function fmtYen(n) {
-  const v = Math.round(Number(n) || 0);
-  return `${new Intl.NumberFormat("ja-JP").format(v)}円`;
-}
 
-function pad2(n) {
-  return String(n).padStart(2, "0");
-}
+  const command = commandOf(positionals);
+  if (!command) throw new Error(`Unknown command: ${positionals.join(" ")} (see node index.js --help)`);
+  if (values.month && !/^\d{4}-\d{2}$/.test(values.month)) throw new Error(`--month must be YYYY-MM (got ${values.month})`);
 
-// ★重要：YYYY/MM, YYYY-MM, YYYY年MM月 などを確実に YYYY-MM に正規化
-function monthKeyFrom(dateTimeStr) {
-  const s = norm(dateTimeStr);
-  const m = s.match(/(\d{4})\s*[-\/\.年]\s*(\d{1,2})/);
-  if (m) return `${m[1]}-${pad2(m[2])}`;
-  // フォールバック
-  const t = s.slice(0, 7).replace("/", "-");
-  return t.length === 7 ? t : "unknown";
-}
+  if (values.config) process.env.CONFIG_FILE = values.config;
+  const { CONFIG } = require("./lib/util");
+  if (CONFIG?.overridden.length > 0) console.log(`[INFO] Env vars override ${CONFIG.file}: ${CONFIG.overridden.join(", ")}`);
 
-function getNowMonthKeyJst() {
-  const d = new Date();
-  const y = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Tokyo", year: "numeric" }).format(d);
-  const m = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Tokyo", month: "2-digit" }).format(d);
-  return `${y}-${m}`;
+  await COMMANDS[command](values);
 }
 
-async function postSlack(webhookUrl, text) {
-  const payload = { text };
-  if (process.env.SLACK_CHANNEL) payload.channel = process.env.SLACK_CHANNEL;
-
-  const res = await fetch(webhookUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("[ERROR]", err);
+    process.exitCode = 1;
   });
-  if (!res.ok) {
-    const body = await res.text().catch(() => "");
-    throw new Error(`Slack webhook failed: ${res.status} ${res.statusText} ${body}`);
-  }
-}
-
-function getUnitPrice(prices, adId, adName) {
-  const id = String(adId || "").trim();
-  if (id && prices.byAdId && prices.byAdId[id] != null) return Number(prices.byAdId[id]) || 0;
-
-  const name = String(adName || "").trim();
-  if (name && prices.byAdName && prices.byAdName[name] != null) return Number(prices.byAdName[name]) || 0;
-
-  return Number(prices.defaultUnitPrice) || 0;
-}
-
-// seenKeys を重複なしで保持
-function mergeSeenKeys(prev, add, maxItems = 5000) {
-  const all = (prev || []).concat(add || []);
-  const seen = new Set();
-  const outRev = [];
-  for (let i = all.length - 1; i >= 0; i--) {
-    const k = all[i];
-    if (!k) continue;
-    if (seen.has(k)) continue;
-    seen.add(k);
-    outRev.push(k);
-    if (outRev.length >= maxItems) break;
-  }
-  return outRev.reverse();
-}
-
-function uniqByKey(items) {
-  const s = new Set();
-  const out = [];
-  for (const x of items || []) {
-    if (!x || !x.key) continue;
-    if (s.has(x.key)) continue;
-    s.add(x.key);
-    out.push(x);
-  }
-  return out;
-}
-
-/** テーブル待ち（ヘッダ名で判定） */
-async function waitForCvTable(page, headerOrderAt, headerAdId, headerAdName) {
-  await page.waitForFunction(
-    (h1, h2, h3) => {
-      const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
-      const tables = Array.from(document.querySelectorAll("table"));
-      for (const t of tables) {
-        const ths = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
-        const has =
-          ths.some((x) => x === h1 || x.includes(h1)) &&
-          ths.some((x) => x === h2 || x.includes(h2)) &&
-          ths.some((x) => x === h3 || x.includes(h3));
-        if (!has) continue;
-        const rows = t.querySelectorAll("tbody tr");
-        if (rows && rows.length > 0) return true;
-      }
-      return false;
-    },
-    { timeout: 60000 },
-    headerOrderAt,
-    headerAdId,
-    headerAdName
-  );
-}
-
-/** もっともそれっぽいテーブルから行を抽出（rowId / href も拾う） */
-async function extractRowsFromBestTable(page, headerMap) {
-  await waitForCvTable(page, headerMap.orderAt, headerMap.adId, headerMap.adName);
-
-  return await page.evaluate((hm) => {
-    const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
-    const tables = Array.from(document.querySelectorAll("table"));
-
-    function headerIndex(headers, target) {
-      if (!target) return -1;
-      let i = headers.findIndex((h) => h === target);
-      if (i >= 0) return i;
-      i = headers.findIndex((h) => h.includes(target));
-      return i;
-    }
-
-    function scoreTable(t) {
-      const headers = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
-      const need = [hm.orderAt, hm.adId, hm.adName, hm.siteName, hm.clickAt, hm.os, hm.referrer];
-      let score = 0;
-      for (const n of need) {
-        if (!n) continue;
-        if (headers.some((h) => h === n || h.includes(n))) score += 1;
-      }
-      const rows = t.querySelectorAll("tbody tr").length;
-      return score * 1000 + rows;
-    }
-
-    const best = tables
-      .map((t) => ({ t, s: scoreTable(t) }))
-      .sort((a, b) => b.s - a.s)[0]?.t;
-
-    if (!best) return [];
-
-    const headers = Array.from(best.querySelectorAll("thead th")).map((x) => norm(x.textContent));
-
-    const idx = {
-      orderAt: headerIndex(headers, hm.orderAt),
-      clickAt: headerIndex(headers, hm.clickAt),
-      adId: headerIndex(headers, hm.adId),
-      adName: headerIndex(headers, hm.adName),
-      siteName: headerIndex(headers, hm.siteName),
-      os: headerIndex(headers, hm.os),
-      referrer: headerIndex(headers, hm.referrer),
-      status: headerIndex(headers, hm.status),
-    };
-
-    const rows = Array.from(best.querySelectorAll("tbody tr"));
-    const data = [];
-
-    for (const tr of rows) {
-      const tds = Array.from(tr.querySelectorAll("td")).map((td) => norm(td.textContent));
-      if (!tds.length) continue;
-
-      const get = (i) => (i >= 0 ? (tds[i] ?? "") : "");
-      const rowId =
-        tr.getAttribute("data-id") ||
-        tr.getAttribute("data-row-id") ||
-        tr.getAttribute("id") ||
-        "";
-
-      const a = tr.querySelector("a[href]");
-      const href = a ? a.getAttribute("href") || "" : "";
-
-      data.push({
-        orderAt: get(idx.orderAt),
-        clickAt: get(idx.clickAt),
-        adId: get(idx.adId),
-        adName: get(idx.adName),
-        siteName: get(idx.siteName),
-        os: get(idx.os),
-        referrer: get(idx.referrer),
-        status: get(idx.status),
-        rowId: norm(rowId),
-        href: norm(href),
-      });
-    }
-
-    return data;
-  }, headerMap);
-}
-
-/**
- * ★キーを強化：rowId/href があれば必ず使う
- * それが無い場合でも、eventAt + ad + site + os + referrer で衝突を減らす
- */
-function normalizeRows(rows, prices) {
-  return (rows || [])
-    .map((r) => {
-      const orderAt = norm(r.orderAt);
-      const clickAt = norm(r.clickAt);
-      const eventAt = orderAt || clickAt;
-
-      const adId = norm(r.adId);
-      const adName = norm(r.adName);
-      const siteName = norm(r.siteName);
-      const os = norm(r.os);
-      const referrer = norm(r.referrer);
-
-      const rowId = norm(r.rowId);
-      const href = norm(r.href);
-
-      const adKey = adId || adName;
-      if (!eventAt || !adKey) return null;
-
-      const monthKey = monthKeyFrom(eventAt);
-      const unit = getUnitPrice(prices, adId, adName);
-
-      // rowId/href が取れるならそれを含めて一意性を上げる
-      const keySource =
-        (rowId || href ? `${rowId}|${href}|` : "") +
-        `${eventAt}|${adKey}|${adName}|${siteName}|${os}|${referrer}`;
-
-      const key = sha1(keySource);
-
-      return { key, eventAt, orderAt, clickAt, adId, adName, siteName, os, referrer, unit, monthKey };
-    })
-    .filter(Boolean);
-}
-
-/** ページ移動判定用の署名（dataTables_info + 先頭/末尾行） */
-async function getTableSignature(page, headerMap) {
-  return await page
-    .evaluate((hm) => {
-      const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
-      const info = norm(document.querySelector(".dataTables_info")?.textContent || "");
-
-      const tables = Array.from(document.querySelectorAll("table"));
-      function scoreTable(t) {
-        const headers = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
-        const need = [hm.orderAt, hm.adId, hm.adName];
-        let score = 0;
-        for (const n of need) {
-          if (!n) continue;
-          if (headers.some((h) => h === n || h.includes(n))) score += 1;
-        }
-        const rows = t.querySelectorAll("tbody tr").length;
-        return score * 1000 + rows;
-      }
-      const best = tables
-        .map((t) => ({ t, s: scoreTable(t) }))
-        .sort((a, b) => b.s - a.s)[0]?.t;
-      if (!best) return info;
-
-      const trs = Array.from(best.querySelectorAll("tbody tr"));
-      const first = trs[0]?.innerText || "";
-      const last = trs[trs.length - 1]?.innerText || "";
-      return `${info}||${first}||${last}`.slice(0, 3000);
-    }, headerMap)
-    .catch(() => "");
-}
-
-/** 次ページへ進める（進めなければ false） */
-async function clickNextPage(page, headerMap) {
-  const before = await getTableSignature(page, headerMap);
-
-  const selectors = [
-    'a.paginate_button.next:not(.disabled)',
-    'a.next:not(.disabled)',
-    'li.next:not(.disabled) a',
-    'a[rel="next"]',
-    'button[aria-label="Next"]:not([disabled])',
-    'a[aria-label="Next"]:not(.disabled)',
-  ];
-
-  const tryClick = async (fnClick) => {
-    await fnClick();
-    await Promise.race([
-      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 5000 }).catch(() => null),
-      page.waitForFunction(
-        (hm, prev) => {
-          const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
-          const info = norm(document.querySelector(".dataTables_info")?.textContent || "");
-          const tables = Array.from(document.querySelectorAll("table"));
-          function scoreTable(t) {
-            const headers = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
-            const need = [hm.orderAt, hm.adId, hm.adName];
-            let score = 0;
-            for (const n of need) {
-              if (!n) continue;
-              if (headers.some((h) => h === n || h.includes(n))) score += 1;
-            }
-            const rows = t.querySelectorAll("tbody tr").length;
-            return score * 1000 + rows;
-          }
-          const best = tables
-            .map((t) => ({ t, s: scoreTable(t) }))
-            .sort((a, b) => b.s - a.s)[0]?.t;
-          if (!best) return info && info !== prev;
-
-          const trs = Array.from(best.querySelectorAll("tbody tr"));
-          const first = trs[0]?.innerText || "";
-          const last = trs[trs.length - 1]?.innerText || "";
-          const sig = `${info}||${first}||${last}`.slice(0, 3000);
-          return sig && sig !== prev;
-        },
-        { timeout: 5000 },
-        headerMap,
-        before
-      ).catch(() => null),
-    ]);
-
-    await sleep(300);
-    const after = await getTableSignature(page, headerMap);
-    return after && after !== before;
-  };
-
-  for (const sel of selectors) {
-    const el = await page.$(sel);
-    if (!el) continue;
-    const moved = await tryClick(() => el.click().catch(() => null));
-    if (moved) return true;
-  }
-
-  const movedByText = await tryClick(() =>
-    page.evaluate(() => {
-      const isDisabled = (el) => {
-        const cls = (el.getAttribute("class") || "").toLowerCase();
-        if (cls.includes("disabled")) return true;
-        if (el.getAttribute("aria-disabled") === "true") return true;
-        if (el.disabled) return true;
-        return false;
-      };
-      const candidates = Array.from(document.querySelectorAll("a,button"));
-      const next = candidates.find((el) => {
-        const t = (el.textContent || "").trim();
-        if (!(t === "次へ" || t === "Next" || t === "›" || t === ">")) return false;
-        if (isDisabled(el)) return false;
-        const r = el.getBoundingClientRect();
-        return r.width > 0 && r.height > 0;
-      });
-      if (!next) return false;
-      next.click();
-      return true;
-    })
-  );
-
-  return movedByText;
-}
-
-/** UIに “総件数” 表示があれば拾う（デバッグ用） */
-async function detectTotalCountIfPossible(page) {
-  const t = await page.$eval(".dataTables_info", (el) => el.textContent || "").catch(() => "");
-  const s = norm(t);
-  if (!s) return null;
-
-  // "Showing 1 to 20 of 79 entries"
-  let m = s.match(/of\s+([\d,]+)\s+entries/i);
-  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
-
-  // "全79件"
-  m = s.match(/全\s*([\d,]+)\s*件/);
-  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
-
-  // "79件中"
-  m = s.match(/([\d,]+)\s*件中/);
-  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
-
-  return null;
-}
-
-/**
- * 初回：今月分をページングで集める
- * - 「今月行が0件のページ」が出たら終了（今月の並び順前提）
- * - 次へが無ければその時点で終了
- */
-async function collectThisMonthRows(page, headerMap, prices, maxPages = 50) {
-  const targetMonth = getNowMonthKeyJst();
-  const out = [];
-  let foundAny = false;
-
-  for (let p = 0; p < maxPages; p++) {
-    const rows = await extractRowsFromBestTable(page, headerMap);
-    const normalized = normalizeRows(rows, prices);
-
-    const inMonth = normalized.filter((x) => x.monthKey === targetMonth);
-    if (DEBUG) {
-      const months = [...new Set(normalized.map((x) => x.monthKey))].slice(0, 5).join(",");
-      console.log(`[DEBUG] page=${p + 1} extracted=${normalized.length} inMonth=${inMonth.length} months=[${months}]`);
-    }
-
-    if (inMonth.length > 0) {
-      foundAny = true;
-      out.push(...inMonth);
-    } else if (foundAny) {
-      // 今月が出なくなった＝月境界を超えたとみなして終了
-      break;
-    }
-
-    const moved = await clickNextPage(page, headerMap);
-    if (!moved) break;
-  }
-
-  return uniqByKey(out);
-}
-
-/** 通常：新規が無くなるまでページを辿る（バースト対策） */
-async function collectNewRowsUntilSeen(page, headerMap, prices, seenSet, maxPages = 10) {
-  const out = [];
-
-  for (let p = 0; p < maxPages; p++) {
-    const rows = await extractRowsFromBestTable(page, headerMap);
-    const normalized = normalizeRows(rows, prices);
-
-    let newCount = 0;
-    for (const x of normalized) {
-      if (!seenSet.has(x.key)) {
-        out.push(x);
-        newCount++;
-      }
-    }
-
-    if (DEBUG) console.log(`[DEBUG] normal page=${p + 1} extracted=${normalized.length} newInPage=${newCount}`);
-
-    if (newCount === 0) break;
-    const moved = await clickNextPage(page, headerMap);
-    if (!moved) break;
-  }
-
-  return uniqByKey(out);
-}
-
-async function main() {
-  const ADSERVICE_ID = mustEnv("ADSERVICE_ID", process.env.ADSERVICE_ID);
-  const ADSERVICE_PASS = mustEnv("ADSERVICE_PASS", process.env.ADSERVICE_PASS);
-  const SLACK_WEBHOOK_URL = mustEnv("SLACK_WEBHOOK_URL", process.env.SLACK_WEBHOOK_URL);
-  const CV_LOG_URL = mustEnv("CV_LOG_URL", process.env.CV_LOG_URL);
-
-  const LOGIN_URL = process.env.LOGIN_URL || "https://admin.adservice.jp/";
-  const AFTER_LOGIN_URL_PREFIX = process.env.AFTER_LOGIN_URL_PREFIX || "https://admin.adservice.jp/partneradmin/";
-
-  const USERNAME_SELECTOR = process.env.USERNAME_SELECTOR || 'input[name="loginId"]';
-  const PASSWORD_SELECTOR = process.env.PASSWORD_SELECTOR || 'input[name="password"]';
-  const SUBMIT_SELECTOR = process.env.SUBMIT_SELECTOR || 'button[type="submit"], input[type="submit"]';
-
-  const headerMap = {
-    orderAt: process.env.HEADER_ORDER_AT || "注文日時",
-    clickAt: process.env.HEADER_CLICK_AT || "クリック日時",
-    adId: process.env.HEADER_AD_ID || "広告ID",
-    adName: process.env.HEADER_AD_NAME || "広告名",
-    siteName: process.env.HEADER_SITE_NAME || "サイト名",
-    os: process.env.HEADER_OS || "OS",
-    referrer: process.env.HEADER_REFERRER || "リファラ",
-    status: process.env.HEADER_STATUS || "ステータス",
-  };
-
-  const state = readJson(STATE_FILE, { version: 1, initialized: false, seenKeys: [], monthly: {}, updatedAt: null });
-  const prices = readJson(PRICE_FILE, null);
-  if (!prices) throw new Error("prices.json not found or invalid");
-
-  const seenSet = new Set(state.seenKeys || []);
-
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--no-zygote"],
-  });
-
-  try {
-    const page = await browser.newPage();
-    page.setDefaultTimeout(60000);
-    page.setDefaultNavigationTimeout(60000);
-
-    await page.goto(LOGIN_URL, { waitUntil: "domcontentloaded" });
-    await page.waitForSelector(USERNAME_SELECTOR);
-    await page.type(USERNAME_SELECTOR, ADSERVICE_ID, { delay: 10 });
-    await page.type(PASSWORD_SELECTOR, ADSERVICE_PASS, { delay: 10 });
-
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: "networkidle2" }).catch(() => null),
-      page.click(SUBMIT_SELECTOR),
-    ]);
-
-    await sleep(800);
-    if (!page.url().startsWith(AFTER_LOGIN_URL_PREFIX)) {
-      throw new Error(`Login seems failed. current url=${page.url()}`);
-    }
-
-    await page.goto(CV_LOG_URL, { waitUntil: "networkidle2" });
-
-    const uiTotal = await detectTotalCountIfPossible(page);
-    if (uiTotal != null) console.log(`[INFO] Detected total entries (from UI): ${uiTotal}`);
-
-    if (!state.initialized) {
-      const maxPages = Number(process.env.MAX_PAGES || 50);
-      const monthRows = await collectThisMonthRows(page, headerMap, prices, maxPages);
-
-      const nowMonth = getNowMonthKeyJst();
-      state.monthly ||= {};
-      state.monthly[nowMonth] = { revenue: 0, count: 0 };
-
-      for (const x of monthRows) {
-        state.monthly[nowMonth].count += 1;
-        state.monthly[nowMonth].revenue += x.unit;
-      }
-
-      state.seenKeys = mergeSeenKeys(state.seenKeys, monthRows.map((x) => x.key));
-      state.initialized = true;
-
-      writeJson(STATE_FILE, state);
-      console.log(`[INFO] Bootstrapped month total from ${monthRows.length} rows (no notify).`);
-      return;
-    }
-
-    const maxPagesNormal = Number(process.env.MAX_PAGES_NORMAL || 10);
-    const newOnes = await collectNewRowsUntilSeen(page, headerMap, prices, seenSet, maxPagesNormal);
-
-    if (newOnes.length === 0) {
-      console.log("[INFO] No new CV. No notify.");
-      return;
-    }
-
-    state.monthly ||= {};
-    const unknown = [];
-
-    for (const x of newOnes) {
-      if (x.unit === 0) {
-        const id = String(x.adId || "").trim();
-        const name = String(x.adName || "").trim();
-        const hasId = id && prices.byAdId && prices.byAdId[id] != null;
-        const hasName = name && prices.byAdName && prices.byAdName[name] != null;
-        if (!hasId && !hasName) unknown.push(`${x.adId || "(no id)"} ${x.adName || "(no name)"}`);
-      }
-
-      const cur = state.monthly[x.monthKey] || { revenue: 0, count: 0 };
-      cur.count += 1;
-      cur.revenue += x.unit;
-      state.monthly[x.monthKey] = cur;
-    }
-
-    for (const x of newOnes) {
-      const monthTotal = state.monthly[x.monthKey] || { revenue: 0, count: 0 };
-      const unitStr = x.unit > 0 ? fmtYen(x.unit) : "未設定（prices.jsonに追加してください）";
-
-      const msg =
-        `🎉 新しい成果が発生しました！\n\n` +
-        `日時: ${x.eventAt}\n` +
-        `案件: ${x.adName || "(不明)"}\n` +
-        `サイト: ${x.siteName || "(不明)"}\n` +
-        `報酬単価: ${unitStr}\n` +
-        `今月の売上合計（現在）: ${fmtYen(monthTotal.revenue)}（${x.monthKey}）\n` +
-        `管理画面を確認する: <${CV_LOG_URL}|管理画面を確認する>`;
-
-      await postSlack(SLACK_WEBHOOK_URL, msg);
-    }
-
-    if (unknown.length > 0) {
-      const warn =
-        `⚠️ 単価が未設定の広告ID/広告名があります（prices.jsonに追加してください）\n` +
-        unknown.slice(0, 20).map((s) => `- ${s}`).join("\n");
-      await postSlack(SLACK_WEBHOOK_URL, warn);
-    }
-
-    state.seenKeys = mergeSeenKeys(state.seenKeys, newOnes.map((x) => x.key));
-    writeJson(STATE_FILE, state);
-
-    console.log(`[INFO] Notified ${newOnes.length} CV(s) and updated state.`);
-  } finally {
-    await browser.close().catch(() => {});
-  }
 }
 
-main().catch((err) => {
-  console.error("[ERROR]", err);
-  process.exitCode = 1;
-});
+module.exports = { commandOf, main };
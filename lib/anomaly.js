@@ -0,0 +1,239 @@
+// lib/anomaly.js (成果の傾向から不正・異常の疑いを見つける)
+//
+// 台帳の成果（クリック日時・注文日時・サイト・リファラ）を見て、次のものを別の通知（type: anomaly）で知らせる
+// - 集中: 同じサイトから短時間に成果がまとまって発生した
+// - 即時注文: クリックから注文までが短すぎる
+// - 途絶: ふだん毎日のように発生する広告の成果が数日ゼロになった
+// - リファラ急増: 今日のリファラ別件数がふだんの1日平均を大きく上回った
+// 感度は ANOMALY_SENSITIVITY（low / medium / high、既定 medium。off で無効）。
+// 同じ異常は state.anomalyAlerts に記録して繰り返し知らせない。
+const { addDays, parseDateTime, eventTime, eventDateKey, getNowDateKeyJst } = require("./util");
+const { ledgerMonths, getLedger } = require("./ledger");
+const { adLabel } = require("./report");
+const { templated } = require("./templates");
+
+// 感度ごとのしきい値（high ほど小さな変化で知らせる）
+const SENSITIVITY = {
+  low: {
+    burstCount: 10, // burstWindowMin 分以内に同じサイトから何件で「集中」か
+    burstWindowMin: 10,
+    minClickToOrderSec: 10, // クリックから注文までが何秒未満で「即時注文」か
+    lookbackDays: 14, // 途絶・急増でふだんの件数を見る日数
+    dropActiveDays: 12, // lookbackDays のうち何日以上発生していれば「ふだん毎日」か
+    dropSilentDays: 3, // 何日続けてゼロで「途絶」か
+    spikeRatio: 5, // ふだんの1日平均の何倍で「急増」か
+    spikeMinCount: 20, // 急増とみなす最低件数
+  },
+  medium: {
+    burstCount: 5,
+    burstWindowMin: 10,
+    minClickToOrderSec: 30,
+    lookbackDays: 14,
+    dropActiveDays: 10,
+    dropSilentDays: 2,
+    spikeRatio: 3,
+    spikeMinCount: 10,
+  },
+  high: {
+    burstCount: 3,
+    burstWindowMin: 10,
+    minClickToOrderSec: 60,
+    lookbackDays: 14,
+    dropActiveDays: 7,
+    dropSilentDays: 1,
+    spikeRatio: 2,
+    spikeMinCount: 5,
+  },
+};
+
+// 記録は KEEP_DAYS 日で捨てる（途絶は再開するまで残す）
+const KEEP_DAYS = 30;
+
+/** 感度の名前からしきい値を引く（off なら null） */
+function anomalySettings(level = process.env.ANOMALY_SENSITIVITY || "medium") {
+  if (level === "off") return null;
+  const s = SENSITIVITY[level];
+  if (!s) throw new Error(`Unknown ANOMALY_SENSITIVITY: ${level} (use ${[...Object.keys(SENSITIVITY), "off"].join(" / ")})`);
+  return s;
+}
+
+/** fromDate（YYYY-MM-DD）以降の台帳の成果 */
+function recentConversions(book, fromDate) {
+  const out = [];
+  for (const m of ledgerMonths(book)) {
+    if (m < fromDate.slice(0, 7)) continue;
+    for (const r of getLedger(book, m).data.conversions) {
+      if (eventDateKey(r) >= fromDate) out.push(r);
+    }
+  }
+  return out;
+}
+
+function countBy(rows, keyOf) {
+  const out = new Map();
+  for (const r of rows) out.set(keyOf(r), (out.get(keyOf(r)) || 0) + 1);
+  return out;
+}
+
+/** 新規の成果を含む時間帯で、同じサイトの成果が burstCount 件以上あるサイト */
+function findBursts(recent, newOnes, s) {
+  const windowMs = s.burstWindowMin * 60 * 1000;
+  const out = [];
+
+  for (const site of new Set(newOnes.map((x) => x.siteName))) {
+    const times = recent
+      .filter((r) => r.siteName === site)
+      .map(eventTime)
+      .filter((t) => t != null);
+
+    let best = null;
+    for (const x of newOnes.filter((n) => n.siteName === site)) {
+      const t = eventTime(x);
+      if (t == null) continue;
+      // その成果で終わる時間帯と、その成果から始まる時間帯の両方を数える
+      for (const [from, to] of [
+        [t - windowMs, t],
+        [t, t + windowMs],
+      ]) {
+        const count = times.filter((u) => u >= from && u <= to).length;
+        if (count >= s.burstCount && (!best || count > best.count)) best = { count, eventAt: x.eventAt, dateKey: eventDateKey(x) };
+      }
+    }
+    if (best) out.push({ siteName: site, ...best });
+  }
+  return out;
+}
+
+/** 時刻まで入った日時だけ読む（日付だけの列では秒数を比べられない） */
+function clockTime(ts, raw) {
+  if (!/\d\s*[:時]\s*\d/.test(raw || "")) return null;
+  return ts ? Date.parse(ts) : parseDateTime(raw);
+}
+
+/** クリックから注文までが minClickToOrderSec 秒未満の新規の成果 */
+function findQuickOrders(newOnes, s) {
+  const out = [];
+  for (const x of newOnes) {
+    const click = clockTime(x.clickTs, x.clickAt);
+    const order = clockTime(x.orderTs, x.orderAt);
+    if (click == null || order == null) continue;
+    const sec = (order - click) / 1000;
+    if (sec >= 0 && sec < s.minClickToOrderSec) out.push({ ...x, seconds: sec });
+  }
+  return out;
+}
+
+/** ふだん発生している広告で、直近 dropSilentDays 日と今日の成果がゼロのもの */
+function findDrops(recent, s, today) {
+  const silentFrom = addDays(today, -s.dropSilentDays);
+  const baseFrom = addDays(silentFrom, -s.lookbackDays);
+  const byAd = new Map();
+
+  for (const r of recent) {
+    const day = eventDateKey(r);
+    const k = r.adId || r.adName;
+    if (!k) continue;
+    const a = byAd.get(k) || { adKey: k, label: adLabel(r) || k, days: new Set(), lastDay: "" };
+    a.days.add(day);
+    if (day > a.lastDay) a.lastDay = day;
+    byAd.set(k, a);
+  }
+
+  const out = [];
+  for (const a of byAd.values()) {
+    if (a.lastDay >= silentFrom) continue;
+    const active = [...a.days].filter((d) => d >= baseFrom && d < silentFrom).length;
+    if (active >= s.dropActiveDays) out.push({ ...a, activeDays: active });
+  }
+  return out;
+}
+
+/** 今日の新規に出たリファラで、今日の件数がふだんの1日平均の spikeRatio 倍以上のもの */
+function findReferrerSpikes(recent, newOnes, s, today) {
+  const baseFrom = addDays(today, -s.lookbackDays);
+  const todays = countBy(
+    recent.filter((r) => eventDateKey(r) === today),
+    (r) => r.referrer || ""
+  );
+  const base = countBy(
+    recent.filter((r) => {
+      const d = eventDateKey(r);
+      return d >= baseFrom && d < today;
+    }),
+    (r) => r.referrer || ""
+  );
+
+  const out = [];
+  for (const ref of new Set(newOnes.filter((x) => eventDateKey(x) === today).map((x) => x.referrer || ""))) {
+    const count = todays.get(ref) || 0;
+    const avg = (base.get(ref) || 0) / s.lookbackDays;
+    if (count >= s.spikeMinCount && count >= s.spikeRatio * Math.max(avg, 1)) out.push({ referrer: ref, count, avg });
+  }
+  return out;
+}
+
+/** 知らせていなければ記録して true */
+function markOnce(state, id, value) {
+  if (state.anomalyAlerts[id] === value) return false;
+  state.anomalyAlerts[id] = value;
+  return true;
+}
+
+function pruneAlerts(state, today) {
+  const limit = addDays(today, -KEEP_DAYS);
+  for (const [id, v] of Object.entries(state.anomalyAlerts)) {
+    if (!id.startsWith("drop:") && v < limit) delete state.anomalyAlerts[id];
+  }
+}
+
+/**
+ * 異常の疑いの通知を作る（台帳に新規の成果を記録したあとで呼ぶ）
+ * - newOnes: この実行の新規の成果（無ければ途絶だけ見る）
+ * - settings: anomalySettings の戻り値（null なら何もしない）
+ * - 戻り値: 通知（{ type: "anomaly", text, data }）の配列。data.kind は burst / quick_order / drop / referrer_spike（文面は lib/templates.js）
+ */
+function checkAnomalies(book, newOnes, settings, today = getNowDateKeyJst()) {
+  if (!settings) return [];
+
+  const state = book.state;
+  state.anomalyAlerts ||= {};
+  pruneAlerts(state, today);
+
+  const recent = recentConversions(book, addDays(today, -(settings.lookbackDays + settings.dropSilentDays)));
+  const messages = [];
+  const alert = (kind, data) => messages.push(templated("anomaly", { kind, ...data }));
+
+  for (const b of findBursts(recent, newOnes, settings)) {
+    if (!markOnce(state, `burst:${b.siteName}:${b.dateKey}`, today)) continue;
+    alert("burst", { siteName: b.siteName, count: b.count, windowMin: settings.burstWindowMin, eventAt: b.eventAt });
+  }
+
+  const quick = findQuickOrders(newOnes, settings);
+  if (quick.length > 0) {
+    alert("quick_order", {
+      count: quick.length,
+      thresholdSec: settings.minClickToOrderSec,
+      list: quick.slice(0, 10).map((x) => ({ orderAt: x.orderAt, ad: adLabel(x), siteName: x.siteName, seconds: x.seconds })),
+    });
+  }
+
+  for (const a of findDrops(recent, settings, today)) {
+    if (!markOnce(state, `drop:${a.adKey}`, a.lastDay)) continue;
+    alert("drop", { adKey: a.adKey, label: a.label, lastDay: a.lastDay, activeDays: a.activeDays, lookbackDays: settings.lookbackDays });
+  }
+
+  for (const r of findReferrerSpikes(recent, newOnes, settings, today)) {
+    if (!markOnce(state, `spike:${r.referrer}:${today}`, today)) continue;
+    alert("referrer_spike", {
+      referrer: r.referrer,
+      count: r.count,
+      average: Number(r.avg.toFixed(2)),
+      averageText: r.avg.toFixed(1),
+      lookbackDays: settings.lookbackDays,
+    });
+  }
+
+  return messages;
+}
+
+module.exports = { SENSITIVITY, anomalySettings, checkAnomalies };
@@ -0,0 +1,62 @@
+// lib/config.js (設定ファイル config.json を環境変数の既定値として読む)
+//
+// config.json（CONFIG_FILE か node index.js --config で変更可。無ければ何もしない）
+// {
+//   "MAX_PAGES": 30,
+//   "MAX_PAGES_NORMAL": 5,
+//   "HEADER_ORDER_AT": "成果日時",
+//   "USERNAME_SELECTOR": "#login_id",
+//   "NOTIFY_LOCALE": "en"
+// }
+// - キーは環境変数の名前そのまま。値は文字列・数値・真偽値
+// - 同じ名前の環境変数があれば環境変数を使う（ワークフローの env や一時的な上書きが勝つ）
+// - パスワードや Webhook URL のような秘密情報はここに書かず、今までどおり環境変数（Secrets）で渡す
+// - lib/util.js を読み込んだ時点で当てはめるので、どのコマンドも同じ設定で動く
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_FILE = "config.json";
+
+/** config.json の中身を検査する */
+function validateConfig(conf, file) {
+  if (conf == null || typeof conf !== "object" || Array.isArray(conf)) throw new Error(`Invalid config file ${file}: root must be an object`);
+  for (const [k, v] of Object.entries(conf)) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(k)) throw new Error(`Invalid config file ${file}: "${k}" is not an env var name (use upper case like MAX_PAGES)`);
+    if (!["string", "number", "boolean"].includes(typeof v)) throw new Error(`Invalid config file ${file}: ${k} must be a string, number or boolean`);
+  }
+  return conf;
+}
+
+/**
+ * 設定ファイルを読んで、まだ無い環境変数に入れる
+ * - file 省略時は CONFIG_FILE（無ければカレントディレクトリの config.json）。明示したファイルが無ければ例外
+ * - 戻り値: { file, applied: [入れた名前], overridden: [環境変数が優先された名前] }（ファイルが無ければ null）
+ */
+function applyConfig(file = process.env.CONFIG_FILE, env = process.env) {
+  const p = path.resolve(process.cwd(), file || DEFAULT_CONFIG_FILE);
+  if (!fs.existsSync(p)) {
+    if (file) throw new Error(`Config file not found: ${p}`);
+    return null;
+  }
+
+  let conf;
+  try {
+    conf = JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (err) {
+    throw new Error(`Config file ${p} is not valid JSON: ${err.message}`);
+  }
+  validateConfig(conf, p);
+
+  const out = { file: p, applied: [], overridden: [] };
+  for (const [k, v] of Object.entries(conf)) {
+    if (env[k] != null) {
+      out.overridden.push(k);
+      continue;
+    }
+    env[k] = String(v);
+    out.applied.push(k);
+  }
+  return out;
+}
+
+module.exports = { DEFAULT_CONFIG_FILE, validateConfig, applyConfig };
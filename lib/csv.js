@@ -0,0 +1,78 @@
+// lib/csv.js (CSV の読み書き)
+
+/** 1セル分（カンマ・改行・ダブルクォートを含む時だけ囲む） */
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * rows を CSV 文字列にする
+ * - columns: 出力する項目名（この順に並べ、1行目に見出しとして出す）
+ * - Excel で日本語が化けないよう先頭に BOM を付け、改行は CRLF
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => csvCell(r[c])).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * CSV のバイト列を文字列にする
+ * - encoding: "auto"（BOM / UTF-8 として読めるか で判定し、だめなら Shift_JIS）・"utf8"・"shift_jis"
+ * - ASP の CSV ダウンロードは Shift_JIS（実際は CP932）が多い。TextDecoder の shift_jis は CP932 相当
+ */
+function decodeCsv(buf, encoding = "auto") {
+  const enc = String(encoding).toLowerCase().replace(/[-_]/g, "");
+  if (["sjis", "shiftjis", "cp932", "windows31j"].includes(enc)) return new TextDecoder("shift_jis").decode(buf);
+  if (enc === "utf8") return new TextDecoder("utf-8").decode(buf);
+  if (enc !== "auto") throw new Error(`Unknown CSV encoding: ${encoding} (use auto / utf8 / shift_jis)`);
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder("shift_jis").decode(buf);
+  }
+}
+
+/** CSV 文字列を行（セルの配列）の配列にする。"..." の中のカンマ・改行・"" に対応 */
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // 空行は捨てる
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+module.exports = { toCsv, decodeCsv, parseCsv };
@@ -0,0 +1,84 @@
+// lib/csvimport.js (ASP の CSV ダウンロードから成果を読む)
+//
+// HTML のテーブルを読む代わりに、管理画面の CSV を同じ headerMap で読み、extractRowsFromBestTable と
+// 同じ形の行にして normalizeRows に渡す（キーと重複判定はスクレイピングと同じ）。
+// キーは行の data-id / リンクを使わない（conversionKey）ので、CSV と画面のテーブルで揃う。
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEBUG, sleep, norm } = require("./util");
+const { decodeCsv, parseCsv } = require("./csv");
+
+const FIELDS = ["orderAt", "clickAt", "adId", "adName", "siteName", "os", "referrer", "status", "amount", "orderId"];
+
+/** 完全一致 → 部分一致の順で列を探す（extractRowsFromBestTable と同じ） */
+function headerIndex(headers, target) {
+  if (!target) return -1;
+  let i = headers.findIndex((h) => h === target);
+  if (i >= 0) return i;
+  i = headers.findIndex((h) => h.includes(target));
+  return i;
+}
+
+/**
+ * CSV 文字列を extractRowsFromBestTable と同じ形の行にする
+ * - 見出し行は「注文日時（またはクリック日時）と 広告ID か 広告名」がある最初の行（上にタイトル行があっても読める）
+ */
+function rowsFromCsv(text, headerMap) {
+  const lines = parseCsv(text).map((r) => r.map(norm));
+
+  const h = lines.findIndex((r) => {
+    const has = (t) => headerIndex(r, t) >= 0;
+    return (has(headerMap.orderAt) || has(headerMap.clickAt)) && (has(headerMap.adId) || has(headerMap.adName));
+  });
+  if (h < 0) throw new Error(`CSV header not found (need "${headerMap.orderAt}" and "${headerMap.adId}" / "${headerMap.adName}")`);
+
+  const headers = lines[h];
+  const idx = Object.fromEntries(FIELDS.map((f) => [f, headerIndex(headers, headerMap[f])]));
+  if (DEBUG) console.log(`[DEBUG] CSV headers=${JSON.stringify(headers)} idx=${JSON.stringify(idx)}`);
+
+  return lines.slice(h + 1).map((cells) => {
+    const get = (i) => (i >= 0 ? (cells[i] ?? "") : "");
+    const row = Object.fromEntries(FIELDS.map((f) => [f, get(idx[f])]));
+    return { ...row, rowId: "", href: "" };
+  });
+}
+
+/** ローカルの CSV ファイルを読む */
+function readCsvFile(file, headerMap, encoding = "auto") {
+  return rowsFromCsv(decodeCsv(fs.readFileSync(file), encoding), headerMap);
+}
+
+/**
+ * 管理画面の CSV ダウンロードボタンを押し、落ちてきたファイルを読む
+ * - csv: { downloadSelector, encoding, timeoutMs }（sources.json の csv）
+ * - 一時ディレクトリに保存して、読み終えたら消す
+ */
+async function downloadCsvRows(page, csv, headerMap) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cv-csv-"));
+  try {
+    const client = await page.createCDPSession();
+    await client.send("Browser.setDownloadBehavior", { behavior: "allow", downloadPath: dir });
+
+    await page.waitForSelector(csv.downloadSelector);
+    await page.click(csv.downloadSelector);
+
+    // ダウンロード中は *.crdownload なので、それが消えて CSV が残るまで待つ
+    const deadline = Date.now() + Number(csv.timeoutMs || 60000);
+    let file = null;
+    while (!file) {
+      if (Date.now() > deadline) throw new Error(`CSV download timed out (${csv.downloadSelector})`);
+      await sleep(500);
+      const names = fs.readdirSync(dir);
+      if (names.length > 0 && !names.some((n) => n.endsWith(".crdownload"))) file = path.join(dir, names[0]);
+    }
+
+    const rows = readCsvFile(file, headerMap, csv.encoding || "auto");
+    console.log(`[INFO] Downloaded CSV ${path.basename(file)} (${rows.length} rows).`);
+    return rows;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { rowsFromCsv, readCsvFile, downloadCsvRows };
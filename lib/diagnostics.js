@@ -0,0 +1,230 @@
+// lib/diagnostics.js (失敗時のスクリーンショット・HTML 保存と原因の分類、ヘルスアラート)
+//
+// 保存先は diagnostics/（DIAG_DIR で変更可）。新しい順に DIAG_KEEP（既定 20）回分だけ残す。
+// ヘルスアラート（通知の種類 "health"）は同じ種類につき HEALTH_ALERT_INTERVAL_MIN（既定 60）分に1回まで。
+// 失敗のあとで正常に回った時は1回だけ復旧を知らせる。
+// 最後に成功した実行から NO_SUCCESS_ALERT_HOURS（既定 6）時間を過ぎたら no_success としても知らせる（0 で無効）。
+const fs = require("fs");
+const path = require("path");
+const { ROOT, norm } = require("./util");
+const { labelsFor, templated } = require("./templates");
+
+const DIAG_DIR = path.join(ROOT, process.env.DIAG_DIR || "diagnostics");
+
+// 失敗の種類と原因の説明（英語の説明も lib/templates.js の LABELS にある）
+const KINDS = labelsFor("ja").issues;
+
+/** 分類用に今のページの様子を読む（読めなければ null） */
+async function inspectPage(page) {
+  if (!page) return null;
+  return await page
+    .evaluate(() => {
+      const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+      return {
+        url: location.href,
+        title: norm(document.title),
+        text: norm(document.body?.innerText || "").slice(0, 5000),
+        tables: Array.from(document.querySelectorAll("table")).map((t) =>
+          Array.from(t.querySelectorAll("thead th, tr:first-child th")).map((th) => norm(th.textContent))
+        ),
+        hasCaptcha: Boolean(
+          document.querySelector('iframe[src*="recaptcha"], iframe[src*="hcaptcha"], .g-recaptcha, .h-captcha, [data-sitekey]')
+        ),
+      };
+    })
+    .catch(() => null);
+}
+
+/**
+ * 例外とページの様子から失敗の種類を決める
+ * - CVログの表が出ていない時だけ CAPTCHA / メンテナンスの文言を見る（お知らせ欄の「メンテナンス」で誤判定しないように）
+ */
+function classifyFailure(err, info, headerMap) {
+  const msg = err?.message || String(err);
+  const need = [headerMap.orderAt, headerMap.adId, headerMap.adName].filter(Boolean);
+  const tables = (info?.tables || []).filter((h) => h.length > 0);
+  const hasCvTable = tables.some((h) => need.every((n) => h.some((x) => x === n || x.includes(n))));
+
+  if (info && !hasCvTable) {
+    if (info.hasCaptcha || /captcha|画像認証|ロボットではありません/i.test(info.text)) return "captcha";
+    if (/メンテナンス|maintenance/i.test(`${info.title} ${info.text}`)) return "maintenance";
+  }
+  if (/Login seems failed/.test(msg)) return "login_rejected";
+  if (err?.name === "TimeoutError" || /timeout|Waiting failed/i.test(msg)) {
+    if (tables.length === 0) return "table_not_found";
+    if (!hasCvTable) return "headers_changed";
+  }
+  return "unknown";
+}
+
+/** 古い保存分を消して DIAG_KEEP 回分だけ残す */
+function pruneSnapshots(dir, keep = Number(process.env.DIAG_KEEP || 20)) {
+  const stamps = [...new Set(fs.readdirSync(dir).map((f) => f.split("_")[0]))].sort().reverse();
+  for (const stamp of stamps.slice(keep)) {
+    for (const f of fs.readdirSync(dir).filter((f) => f.startsWith(`${stamp}_`))) fs.rmSync(path.join(dir, f), { force: true });
+  }
+}
+
+/** スクリーンショットと HTML を保存して、保存したパスを返す */
+async function captureSnapshot(page, label, dir = DIAG_DIR) {
+  if (!page) return [];
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..*/, "");
+  const base = path.join(dir, `${stamp}_${label.replace(/[^\w-]/g, "-")}`);
+  const files = [];
+
+  try {
+    await page.screenshot({ path: `${base}.png`, fullPage: true });
+    files.push(`${base}.png`);
+  } catch (err) {
+    console.warn(`[WARN] Screenshot failed: ${err?.message || err}`);
+  }
+  try {
+    fs.writeFileSync(`${base}.html`, await page.content(), "utf8");
+    files.push(`${base}.html`);
+  } catch (err) {
+    console.warn(`[WARN] HTML snapshot failed: ${err?.message || err}`);
+  }
+
+  pruneSnapshots(dir);
+  return files;
+}
+
+/**
+ * 失敗を調べる：分類して、スクリーンショットと HTML を残す
+ * - 戻り値: { kind, message, detail, url, files }
+ */
+async function diagnoseFailure(page, err, { headerMap, label = "run" }) {
+  const info = await inspectPage(page);
+  const kind = classifyFailure(err, info, headerMap);
+  const files = await captureSnapshot(page, `${label}_${kind}`);
+
+  console.error(`[ERROR] Diagnosed as ${kind} (${info?.url || "no page"})`);
+  for (const f of files) console.error(`  saved ${path.relative(ROOT, f)}`);
+  return { kind, message: KINDS[kind], detail: norm(err?.message || String(err)).slice(0, 300), url: info?.url || "", files };
+}
+
+/**
+ * ページ送りの結果と画面の総件数を比べる（問題があれば issue を返す）
+ * - 「次へ」が無くて止まったのに、読んだ行数が総件数に届いていない時だけ count_mismatch
+ */
+function checkPagination(stats, uiTotal) {
+  if (!stats || uiTotal == null || stats.stoppedBy !== "no_next" || stats.rows >= uiTotal) return null;
+  return {
+    kind: "count_mismatch",
+    message: KINDS.count_mismatch,
+    detail: `read ${stats.rows} row(s) in ${stats.pages} page(s), UI total ${uiTotal}`,
+    url: "",
+    files: [],
+  };
+}
+
+/**
+ * 日時が読めずに数えなかった行があれば issue を返す
+ * - invalid: normalizeRows が集めた行
+ */
+function checkUnparsed(invalid) {
+  if (!invalid || invalid.length === 0) return null;
+  const sample = invalid
+    .slice(0, 3)
+    .map((x) => `"${x.orderAt || x.clickAt}" (${x.adId || x.adName})`)
+    .join(", ");
+  return {
+    kind: "unparsed_time",
+    message: KINDS.unparsed_time,
+    detail: `${invalid.length} row(s) with unreadable date/time: ${sample}`,
+    url: "",
+    files: [],
+  };
+}
+
+/**
+ * 最後に成功した実行から hours 時間を過ぎていれば issue を返す
+ * - runs: 実行の記録（lib/storage.js の loadRuns の戻り値）。一度も成功していなければ最初の実行から数える
+ * - 記録が無い（まだ一度も回っていない）時と hours が 0 の時は null
+ */
+function checkNoSuccess(runs, hours = Number(process.env.NO_SUCCESS_ALERT_HOURS || 6), now = Date.now()) {
+  const since = runs?.lastSuccessAt || runs?.runs?.[0]?.startedAt;
+  if (!hours || !since) return null;
+  const elapsed = (now - Date.parse(since)) / (60 * 60 * 1000);
+  if (elapsed < hours) return null;
+  return {
+    kind: "no_success",
+    message: KINDS.no_success,
+    detail: `no successful run in ${Math.floor(elapsed)} hour(s) (${runs.lastSuccessAt ? `last success ${runs.lastSuccessAt}` : "never succeeded"}, limit ${hours}h)`,
+    url: "",
+    files: [],
+  };
+}
+
+/**
+ * 実行の記録が1件も無ければ no_success の issue を返す（watchdog 用）
+ * - Actions のキャッシュが消えた時など。記録が無いと止まっているかどうか分からないので、止まっているものとして知らせる
+ */
+function checkNoHistory(runs) {
+  if (runs?.lastSuccessAt || runs?.runs?.length > 0) return null;
+  return {
+    kind: "no_success",
+    message: KINDS.no_success,
+    detail: "no run history found (cannot tell whether runs are succeeding; the run history cache may have expired)",
+    url: "",
+    files: [],
+  };
+}
+
+/** 同じ種類のアラートを間隔内に送っていなければ true（送った時刻を記録する） */
+function shouldAlert(state, kind, now = Date.now()) {
+  const interval = Number(process.env.HEALTH_ALERT_INTERVAL_MIN || 60) * 60 * 1000;
+  const last = Date.parse(state.health.lastAlertAt[kind] || "") || 0;
+  if (now - last < interval) return false;
+  state.health.lastAlertAt[kind] = new Date(now).toISOString();
+  return true;
+}
+
+/** ヘルスアラートの通知（{ type: "health", text, data }。文面は lib/templates.js の health） */
+function healthMessage(issue, sourceName = "") {
+  return templated("health", {
+    kind: issue.kind,
+    detail: issue.detail,
+    url: issue.url,
+    files: issue.files.map((f) => path.basename(f)).join(", "),
+    sourceName,
+  });
+}
+
+/**
+ * 問題を state.health に記録し、間隔内でなければヘルスアラートを送る
+ * - send: outbox に積む関数（msg => void）
+ */
+function recordHealthIssue(state, issue, send, sourceName = "") {
+  state.health ||= { lastAlertAt: {}, failing: false };
+  state.health.failing = true;
+  state.health.lastIssue = { kind: issue.kind, detail: issue.detail, at: new Date().toISOString() };
+  if (!shouldAlert(state, issue.kind)) return;
+  send(healthMessage(issue, sourceName));
+}
+
+/** 正常に回った時に呼ぶ（失敗中だったら1回だけ復旧を知らせて true） */
+function recordHealthy(state, send, sourceName = "") {
+  if (!state.health?.failing) return false;
+  const prev = state.health.lastIssue;
+  state.health.failing = false;
+  state.health.lastAlertAt = {};
+  send(templated("health", { kind: "recovered", prevKind: prev?.kind || "", sourceName }));
+  return true;
+}
+
+module.exports = {
+  DIAG_DIR,
+  KINDS,
+  classifyFailure,
+  captureSnapshot,
+  diagnoseFailure,
+  checkPagination,
+  checkUnparsed,
+  checkNoSuccess,
+  checkNoHistory,
+  healthMessage,
+  recordHealthIssue,
+  recordHealthy,
+};
@@ -0,0 +1,42 @@
+// lib/ingest.js (通知せずに成果をまとめて台帳に取り込む：CSV 取り込み・過去分の補完)
+const { uniqByKey } = require("./scraper");
+const { getLedger, syncMonthly, applyStatusChanges, recordConversion, migrateLegacyKeys, countInMonth } = require("./ledger");
+const { priceInOrder } = require("./prices");
+const { mergeSeenKeys } = require("./monitor");
+
+/** seenKeys か台帳にあれば既知（seenKeys は直近分しか持たないので台帳も見る） */
+function isKnown(book, seenSet, x) {
+  return seenSet.has(x.key) || getLedger(book, x.monthKey).index.has(x.key);
+}
+
+/**
+ * normalizeRows 済みの行を台帳に取り込む（通知はしない）
+ * - 未知の行は段階単価の続きから単価を付けて記録、既知の行はステータス変化だけ反映する
+ * - 取り込んだキーは seenKeys の古い側に足す（直近のキーが押し出されて再通知されないように）
+ * - recount: 台帳を作り直した月（seenKeys にあっても新規として数え直す）
+ * - 戻り値: { added, statusChanges, known }
+ */
+function ingestRows(state, book, prices, rows, { recount = new Set() } = {}) {
+  const seenSet = new Set(state.seenKeys || []);
+  const all = uniqByKey(rows);
+  migrateLegacyKeys(book, all, seenSet);
+  const known = [];
+  const fresh = [];
+  for (const x of all) {
+    if (!recount.has(x.monthKey) && isKnown(book, seenSet, x)) known.push(x);
+    else fresh.push(x);
+  }
+
+  // 台帳にだけある既知キーもステータスを見られるよう seenSet に足しておく
+  for (const x of known) seenSet.add(x.key);
+  const statusChanges = applyStatusChanges(book, known, seenSet);
+
+  priceInOrder(prices, fresh, (monthKey, adKey) => countInMonth(book, monthKey, adKey));
+  for (const x of fresh) recordConversion(book, x);
+  syncMonthly(book);
+
+  state.seenKeys = mergeSeenKeys(fresh.map((x) => x.key), state.seenKeys);
+  return { added: fresh, statusChanges, known };
+}
+
+module.exports = { isKnown, ingestRows };
@@ -0,0 +1,125 @@
+// lib/kvstore.js (状態と台帳を HTTP のキーバリューストアに保存する / STORAGE_BACKEND=kv)
+//
+// KV_URL（例: https://kv.example.com/v1）の下に <KV_PREFIX>/<ソース ID>/<名前> のキーで JSON を置く。
+// KV_TOKEN があれば Authorization: Bearer で送る。ストアには次の振る舞いを期待する:
+// - GET    {KV_URL}/{key}          200 + JSON 本文 + ETag / 無ければ 404
+// - PUT    {KV_URL}/{key}          JSON 本文を保存。If-Match（ETag が一致する時だけ）と If-None-Match: *（無い時だけ）に従い、外れたら 412
+// - DELETE {KV_URL}/{key}          If-Match に従う
+// - GET    {KV_URL}/?prefix={p}    その接頭辞のキーの JSON 配列
+// 読んだ時の ETag を付けて書くので、ロックの外で他の実行が書き換えていたら上書きせずに失敗する。
+const { withRetry } = require("./util");
+
+function kvConfig(env = process.env) {
+  if (!env.KV_URL) throw new Error("Missing env: KV_URL (STORAGE_BACKEND=kv)");
+  return {
+    url: env.KV_URL.replace(/\/+$/, ""),
+    token: env.KV_TOKEN || "",
+    prefix: env.KV_PREFIX || "cv-monitor",
+    timeoutMs: Number(env.KV_TIMEOUT_MS || 15000),
+  };
+}
+
+/** ns: ソース ID */
+function createKvStore(ns, conf = kvConfig()) {
+  const etags = new Map();
+  const keyOf = (name) => `${conf.prefix}/${ns}/${name}`;
+
+  /** 5xx と通信エラーは withRetry でやり直す */
+  async function request(method, key, { body, headers = {}, query = "" } = {}) {
+    const url = `${conf.url}/${key.split("/").map(encodeURIComponent).join("/")}${query}`;
+    return await withRetry(`KV ${method} ${key}`, async () => {
+      const res = await fetch(url, {
+        method,
+        headers: {
+          ...(conf.token ? { Authorization: `Bearer ${conf.token}` } : {}),
+          ...(body != null ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        body: body != null ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(conf.timeoutMs),
+      });
+      if (res.status >= 500) throw new Error(`KV ${method} ${key} failed: HTTP ${res.status}`);
+      return res;
+    });
+  }
+
+  // ETag を返さないストアでは条件付きで書かない
+  const rememberEtag = (name, etag) => (etag ? etags.set(name, etag) : etags.delete(name));
+
+  async function fail(res, what) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`KV ${what} failed: HTTP ${res.status} ${text.slice(0, 200)}`);
+  }
+
+  /** 読む（戻り値: { value, etag }。無ければ value は null） */
+  async function read(key) {
+    const res = await request("GET", key);
+    if (res.status === 404) return { value: null, etag: null };
+    if (!res.ok) await fail(res, `GET ${key}`);
+    return { value: await res.json(), etag: res.headers.get("etag") };
+  }
+
+  async function readLock() {
+    return await read(keyOf("lock"));
+  }
+
+  async function writeLock(owner, ttlMs, etag) {
+    const headers = etag ? { "If-Match": etag } : { "If-None-Match": "*" };
+    const res = await request("PUT", keyOf("lock"), { body: { owner, expiresAt: Date.now() + ttlMs }, headers });
+    if (res.status === 412) return false;
+    if (!res.ok) await fail(res, "PUT lock");
+    return true;
+  }
+
+  return {
+    name: "kv",
+    async get(name) {
+      const { value, etag } = await read(keyOf(name));
+      if (value == null) etags.set(name, null);
+      else rememberEtag(name, etag);
+      return value;
+    },
+    async putMany(entries) {
+      for (const [name, obj] of entries) {
+        obj.updatedAt = new Date().toISOString();
+        const etag = etags.get(name);
+        const headers = etag ? { "If-Match": etag } : etags.has(name) ? { "If-None-Match": "*" } : {};
+        const res = await request("PUT", keyOf(name), { body: obj, headers });
+        if (res.status === 412) throw new Error(`KV ${name} was changed by another run. Not overwriting.`);
+        if (!res.ok) await fail(res, `PUT ${name}`);
+        rememberEtag(name, res.headers.get("etag"));
+      }
+    },
+    async list(prefix) {
+      const res = await request("GET", "", { query: `?prefix=${encodeURIComponent(keyOf(prefix))}` });
+      if (!res.ok) await fail(res, `list ${prefix}`);
+      const base = keyOf("");
+      return (await res.json()).filter((k) => k.startsWith(base)).map((k) => k.slice(base.length));
+    },
+    async acquireLock(owner, ttlMs) {
+      if (await writeLock(owner, ttlMs, null)) return true;
+      // 期限切れのロックだけ ETag 付きで引き取る（同時に引き取ろうとした側は 412 で負ける）
+      const { value, etag } = await readLock();
+      if (value && value.expiresAt > Date.now()) return false;
+      return await writeLock(owner, ttlMs, etag);
+    },
+    async renewLock(owner, ttlMs) {
+      const { value, etag } = await readLock();
+      if (value?.owner !== owner) return false;
+      if (etag) return await writeLock(owner, ttlMs, etag);
+      // ETag を返さないストアでは条件なしで書き直す
+      const res = await request("PUT", keyOf("lock"), { body: { owner, expiresAt: Date.now() + ttlMs } });
+      if (!res.ok) await fail(res, "PUT lock");
+      return true;
+    },
+    async releaseLock(owner) {
+      const { value, etag } = await readLock();
+      if (value?.owner !== owner) return;
+      const res = await request("DELETE", keyOf("lock"), { headers: etag ? { "If-Match": etag } : {} });
+      if (!res.ok && res.status !== 404 && res.status !== 412) await fail(res, "DELETE lock");
+    },
+    async close() {},
+  };
+}
+
+module.exports = { createKvStore };
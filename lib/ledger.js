@@ -0,0 +1,248 @@
+// lib/ledger.js (成果台帳：月ごとに ledger/YYYY-MM.json。読み書きは lib/storage.js)
+const { norm, compareEventTime } = require("./util");
+
+// 台帳の版（state の版とは別。上げる時は lib/storage.js の checkLedgerVersion で古い版を読めるようにする）
+const LEDGER_VERSION = 1;
+
+/**
+ * ステータス文字列を pending / approved / rejected に分類
+ * 「未承認」「非承認」のように「承認」を含む表記があるので否認・未確定を先に判定する
+ */
+function statusClassOf(status) {
+  const s = norm(status);
+  if (!s) return "pending";
+  if (/否認|非承認|不承認|承認不可|却下|キャンセル|取消|取り消し|無効|reject|cancel|declin|den(?:y|ied)/i.test(s)) return "rejected";
+  if (/未承認|未確定|承認待|保留|審査|発生|pending/i.test(s)) return "pending";
+  if (/承認|確定|approve/i.test(s)) return "approved";
+  return "pending";
+}
+
+/** 月次集計の空データ（revenue は見込み = 未確定 + 承認、否認分は rejected に積む） */
+function emptyMonth() {
+  return { revenue: 0, count: 0, pending: 0, approved: 0, rejected: 0 };
+}
+
+/**
+ * 台帳をまとめて扱うための入れ物
+ * - stored: 保存済みの台帳（monthKey -> 中身。lib/storage.js の loadLedgers で読む）
+ * - months: monthKey -> { data, index(key -> record) }
+ * - dirty: 変更があった月（保存と月次集計の再計算対象）
+ */
+function openLedgerBook(state, stored = new Map()) {
+  return { state, stored, months: new Map(), dirty: new Set() };
+}
+
+/** 月の台帳があるか（保存済みか、この実行で作った） */
+function hasLedger(book, monthKey) {
+  return book.months.has(monthKey) || book.stored.has(monthKey);
+}
+
+/** 保存済みの台帳がある月（古い順） */
+function ledgerMonths(book) {
+  return [...new Set([...book.stored.keys(), ...book.months.keys()])].sort();
+}
+
+function getLedger(book, monthKey) {
+  let l = book.months.get(monthKey);
+  if (l) return l;
+
+  let data = book.stored.get(monthKey);
+  if (!data) {
+    data = { version: LEDGER_VERSION, month: monthKey, carryOver: null, conversions: [], updatedAt: null };
+
+    // 台帳導入前に数えた月は、既存の集計を繰越として持たせる（旧形式は全額を未確定扱い）
+    const prev = book.state.monthly?.[monthKey];
+    if (prev && Number(prev.count) > 0) {
+      data.carryOver = {
+        count: Number(prev.count) || 0,
+        pending: prev.pending != null ? Number(prev.pending) || 0 : Number(prev.revenue) || 0,
+        approved: Number(prev.approved) || 0,
+        rejected: Number(prev.rejected) || 0,
+      };
+    }
+  }
+  data.conversions ||= [];
+
+  l = { data, index: new Map(data.conversions.map((r) => [r.key, r])) };
+  book.months.set(monthKey, l);
+  return l;
+}
+
+/** 月の台帳を空で作り直す（初回ブートストラップ用） */
+function resetLedger(book, monthKey) {
+  const data = { version: LEDGER_VERSION, month: monthKey, carryOver: null, conversions: [], updatedAt: null };
+  book.months.set(monthKey, { data, index: new Map() });
+  book.dirty.add(monthKey);
+}
+
+/** 台帳のレコード（＋繰越）から月次集計を作る */
+function summarizeLedger(data) {
+  const c = data.carryOver || {};
+  const cur = emptyMonth();
+  cur.count = Number(c.count) || 0;
+  cur.pending = Number(c.pending) || 0;
+  cur.approved = Number(c.approved) || 0;
+  cur.rejected = Number(c.rejected) || 0;
+
+  for (const r of data.conversions || []) {
+    cur.count += 1;
+    cur[r.statusClass || "pending"] += Number(r.unit) || 0;
+  }
+  cur.revenue = cur.pending + cur.approved;
+  return cur;
+}
+
+/** 変更のあった月の state.monthly を台帳から作り直す */
+function syncMonthly(book) {
+  book.state.monthly ||= {};
+  for (const m of book.dirty) {
+    book.state.monthly[m] = summarizeLedger(getLedger(book, m).data);
+  }
+}
+
+/** 保存する月の台帳（[monthKey, 中身]。明細は日時順に並べ直す） */
+function dirtyLedgers(book) {
+  return [...book.dirty].sort().map((m) => {
+    const { data } = getLedger(book, m);
+    data.conversions.sort(compareEventTime);
+    book.stored.set(m, data);
+    return [m, data];
+  });
+}
+
+function ledgerRecordOf(x) {
+  return {
+    key: x.key,
+    orderId: x.orderId,
+    eventAt: x.eventAt,
+    eventTs: x.eventTs,
+    orderAt: x.orderAt,
+    orderTs: x.orderTs,
+    clickAt: x.clickAt,
+    clickTs: x.clickTs,
+    adId: x.adId,
+    adName: x.adName,
+    siteName: x.siteName,
+    os: x.os,
+    referrer: x.referrer,
+    status: x.status,
+    statusClass: x.statusClass,
+    amount: x.amount,
+    unit: x.unit,
+    monthKey: x.monthKey,
+    firstSeenAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 既知の成果のステータス変化を台帳に反映し、変化した成果を返す
+ * - 台帳に無い既知キー（台帳導入前に数えた分）は繰越から外して未確定として取り込む
+ */
+function applyStatusChanges(book, scanned, seenSet) {
+  const changes = [];
+
+  for (const x of scanned) {
+    if (!seenSet.has(x.key)) continue;
+
+    const l = getLedger(book, x.monthKey);
+    let rec = l.index.get(x.key);
+
+    if (!rec) {
+      const c = l.data.carryOver;
+      if (!c || c.count <= 0) continue;
+      c.count -= 1;
+      c.pending = Math.max(0, c.pending - x.unit);
+      rec = { ...ledgerRecordOf(x), status: "", statusClass: "pending", legacy: true };
+      l.data.conversions.push(rec);
+      l.index.set(rec.key, rec);
+      book.dirty.add(x.monthKey);
+    }
+
+    if (rec.status === x.status && rec.statusClass === x.statusClass) continue;
+
+    if (rec.statusClass !== x.statusClass) {
+      changes.push({ ...x, unit: rec.unit, prevStatus: rec.status, prevClass: rec.statusClass });
+    }
+    rec.status = x.status;
+    rec.statusClass = x.statusClass;
+    rec.statusUpdatedAt = new Date().toISOString();
+    book.dirty.add(x.monthKey);
+  }
+
+  return changes;
+}
+
+/**
+ * 旧形式のキー（legacyKey）で数えた成果を今のキーに移す
+ * - 台帳のレコード（key か、rekey 済みなら legacyKey が一致するもの）と state.seenKeys を書き換える
+ * - seenSet にも今のキーを足す（以降の既知判定・ステータス反映がそのまま使える）
+ * - 戻り値: 移した件数
+ */
+function migrateLegacyKeys(book, rows, seenSet) {
+  const renamed = new Map();
+
+  for (const x of rows) {
+    if (!x.legacyKey || x.legacyKey === x.key || seenSet.has(x.key)) continue;
+
+    const l = getLedger(book, x.monthKey);
+    if (l.index.has(x.key)) continue;
+    const rec = l.index.get(x.legacyKey) || l.data.conversions.find((r) => r.legacyKey === x.legacyKey);
+    if (!rec && !seenSet.has(x.legacyKey)) continue;
+
+    if (rec) {
+      renamed.set(rec.key, x.key);
+      l.index.delete(rec.key);
+      rec.legacyKey ||= rec.key;
+      rec.key = x.key;
+      rec.orderId = x.orderId;
+      l.index.set(rec.key, rec);
+      book.dirty.add(x.monthKey);
+    }
+    renamed.set(x.legacyKey, x.key);
+    seenSet.add(x.key);
+  }
+
+  if (renamed.size > 0) {
+    book.state.seenKeys = [...new Set((book.state.seenKeys || []).map((k) => renamed.get(k) || k))];
+  }
+  return renamed.size;
+}
+
+/** 台帳にある同月・同広告の件数（繰越は広告別の内訳が無いので含まない） */
+function countInMonth(book, monthKey, adKey) {
+  let n = 0;
+  for (const r of getLedger(book, monthKey).data.conversions) {
+    if ((r.adId || r.adName) === adKey) n += 1;
+  }
+  return n;
+}
+
+/** 新規の成果を台帳に記録する */
+function recordConversion(book, x) {
+  const l = getLedger(book, x.monthKey);
+  if (l.index.has(x.key)) return;
+
+  const rec = ledgerRecordOf(x);
+  l.data.conversions.push(rec);
+  l.index.set(rec.key, rec);
+  book.dirty.add(x.monthKey);
+}
+
+module.exports = {
+  LEDGER_VERSION,
+  statusClassOf,
+  emptyMonth,
+  openLedgerBook,
+  hasLedger,
+  ledgerMonths,
+  getLedger,
+  resetLedger,
+  summarizeLedger,
+  syncMonthly,
+  dirtyLedgers,
+  ledgerRecordOf,
+  applyStatusChanges,
+  recordConversion,
+  migrateLegacyKeys,
+  countInMonth,
+};
@@ -0,0 +1,115 @@
+// lib/login.js (管理画面へのログインとセッションの使い回し)
+//
+// 5分おきに毎回ログインするとロックや遅さの原因になるので、クッキーを src.sessionFile に保存しておき、
+// 次の実行ではまずそれで CVログ画面を開く。ログイン画面に戻された時だけログインし直す。
+const fs = require("fs");
+const path = require("path");
+const { sleep, withRetry, readJson } = require("./util");
+const { totp } = require("./totp");
+
+/** 保存したクッキーをブラウザコンテキストに戻す（戻した件数を返す） */
+async function restoreSession(page, file) {
+  const saved = file ? readJson(file, null) : null;
+  const cookies = saved?.cookies || [];
+  if (cookies.length === 0) return 0;
+  await page.browserContext().setCookie(...cookies);
+  return cookies.length;
+}
+
+/** 今のクッキーを保存する（ログイン情報と同じ扱いなので本人だけ読めるようにする） */
+async function saveSession(page, file) {
+  if (!file) return;
+  const cookies = await page.browserContext().cookies();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ savedAt: new Date().toISOString(), cookies }, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+}
+
+async function clearSession(page, file) {
+  const context = page.browserContext();
+  const cookies = await context.cookies();
+  if (cookies.length > 0) await context.deleteCookie(...cookies);
+  if (file) fs.rmSync(file, { force: true });
+}
+
+/** ログイン後の画面にいるか（URL が afterLoginUrlPrefix で始まり、パスワード欄が無い） */
+async function isLoggedIn(page, src) {
+  if (!page.url().startsWith(src.afterLoginUrlPrefix)) return false;
+  return !(await page.$(src.selectors.password));
+}
+
+/**
+ * ワンタイムパスワードの入力欄が出ていれば入力する（出なければ何もしない）
+ * - コードが切り替わる直前（残り5秒未満）なら次のコードまで待つ
+ */
+async function submitOtp(page, src) {
+  const { otp } = src;
+  const input = await page.waitForSelector(otp.selector, { timeout: Number(process.env.OTP_WAIT_MS || 15000) }).catch(() => null);
+  if (!input) return;
+
+  let t = totp(otp.secret);
+  if (t.remainingSec < 5) {
+    await sleep((t.remainingSec + 1) * 1000);
+    t = totp(otp.secret);
+  }
+
+  await input.type(t.code, { delay: 10 });
+  await Promise.all([page.waitForNavigation({ waitUntil: "networkidle2" }).catch(() => null), page.click(otp.submit)]);
+  console.log("[INFO] Submitted one-time password.");
+}
+
+/**
+ * ソースの管理画面にログインする
+ * - src: loadSources の1件（loginUrl / selectors / credentials / afterLoginUrlPrefix / otp）
+ * - ログイン画面を開くところだけ一時的な失敗をやり直す（ID・パスワードは何度も送らない）
+ * - ログイン後の URL が afterLoginUrlPrefix で始まらなければ失敗とみなす
+ */
+async function login(page, src) {
+  const { username, password, submit } = src.selectors;
+
+  await withRetry("Open login page", async () => {
+    await page.goto(src.loginUrl, { waitUntil: "domcontentloaded" });
+    await page.waitForSelector(username);
+  });
+  await page.type(username, src.credentials.id, { delay: 10 });
+  await page.type(password, src.credentials.pass, { delay: 10 });
+
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: "networkidle2" }).catch(() => null),
+    page.click(submit),
+  ]);
+
+  await sleep(800);
+  if (src.otp && !page.url().startsWith(src.afterLoginUrlPrefix)) await submitOtp(page, src);
+
+  if (!page.url().startsWith(src.afterLoginUrlPrefix)) {
+    throw new Error(`Login seems failed${src.otp ? " (after OTP)" : ""}. current url=${page.url()}`);
+  }
+}
+
+/**
+ * CVログ画面を開く（保存したセッションが切れていればログインしてから）
+ * - ログインした時と、開けた後のクッキーを src.sessionFile に保存する
+ * - url: 開く画面（省略時は src.cvLogUrl）
+ * - 戻り値: { reusedSession }（保存したセッションでログインを省いたら true）
+ */
+async function openCvLog(page, src, url = src.cvLogUrl) {
+  const go = () => withRetry("Open CV log", () => page.goto(url, { waitUntil: "networkidle2" }));
+
+  if ((await restoreSession(page, src.sessionFile)) > 0) {
+    await go();
+    if (await isLoggedIn(page, src)) {
+      console.log("[INFO] Reused saved session.");
+      await saveSession(page, src.sessionFile);
+      return { reusedSession: true };
+    }
+    console.log("[INFO] Saved session expired. Logging in.");
+    await clearSession(page, src.sessionFile);
+  }
+
+  await login(page, src);
+  await saveSession(page, src.sessionFile);
+  await go();
+  return { reusedSession: false };
+}
+
+module.exports = { login, openCvLog, saveSession };
@@ -0,0 +1,78 @@
+// lib/metrics.js (監視そのものの状態を Prometheus のテキスト形式で出す)
+//
+// - METRICS_FILE を設定すると node index.js run の最後に書き出す（node_exporter の textfile collector 用）
+// - ダッシュボード（commands/dashboard.js）の GET /metrics も同じ中身を返す
+// - 最後に成功した時刻（cv_monitor_last_success_timestamp_seconds）を見れば「成果が無い」と「監視が止まっている」を見分けられる
+const fs = require("fs");
+const { getNowMonthKeyJst } = require("./util");
+const { emptyMonth } = require("./ledger");
+
+const seconds = (iso) => (iso ? Date.parse(iso) / 1000 : null);
+const lastRun = (e) => e.runs.runs?.at(-1) || null;
+
+/** 直近から続けて失敗している回数 */
+function consecutiveFailures(runs) {
+  let n = 0;
+  for (const r of [...(runs.runs || [])].reverse()) {
+    if (r.ok) break;
+    n += 1;
+  }
+  return n;
+}
+
+// [名前, 種類, 説明, entry → 値（null なら出さない）]
+const METRICS = [
+  ["cv_monitor_last_run_timestamp_seconds", "gauge", "When the last run finished", (e) => seconds(lastRun(e)?.finishedAt)],
+  ["cv_monitor_last_success_timestamp_seconds", "gauge", "When the last successful run finished", (e) => seconds(e.runs.lastSuccessAt)],
+  ["cv_monitor_last_run_success", "gauge", "1 if the last run succeeded", (e) => (lastRun(e) ? Number(lastRun(e).ok) : null)],
+  ["cv_monitor_last_run_duration_seconds", "gauge", "Duration of the last run", (e) => (lastRun(e) ? lastRun(e).durationMs / 1000 : null)],
+  ["cv_monitor_last_run_login_seconds", "gauge", "Time to open the CV log page (login or saved session) in the last run", (e) =>
+    lastRun(e)?.loginMs != null ? lastRun(e).loginMs / 1000 : null],
+  ["cv_monitor_last_run_pages", "gauge", "Pages read in the last run", (e) => lastRun(e)?.pages ?? null],
+  ["cv_monitor_last_run_rows", "gauge", "Rows extracted in the last run", (e) => lastRun(e)?.rows ?? null],
+  ["cv_monitor_last_run_new_conversions", "gauge", "New conversions found in the last run", (e) => lastRun(e)?.newConversions ?? null],
+  ["cv_monitor_consecutive_failures", "gauge", "Runs that failed in a row up to now", (e) => consecutiveFailures(e.runs)],
+  ["cv_monitor_health_failing", "gauge", "1 while a health issue is open", (e) => Number(Boolean(e.state.health?.failing))],
+  ["cv_monitor_outbox_pending", "gauge", "Notifications waiting to be sent", (e) => (e.state.outbox || []).length],
+  ["cv_monitor_held_conversions", "gauge", "Conversions held by the circuit breaker", (e) => e.state.held?.rows.length || 0],
+];
+
+// 今月の集計（month ラベル付き）
+const MONTH_METRICS = [
+  ["cv_monitor_month_revenue_yen", "Expected revenue this month (pending + approved)", (t) => t.revenue],
+  ["cv_monitor_month_conversions", "Conversions this month", (t) => t.count],
+];
+
+const label = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+/**
+ * Prometheus のテキスト形式を作る
+ * - entries: [{ src, state, runs }]（runs は lib/storage.js の loadRuns の戻り値）
+ */
+function renderMetrics(entries, monthKey = getNowMonthKeyJst()) {
+  const lines = [];
+  for (const [name, type, help, valueOf] of METRICS) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const e of entries) {
+      const v = valueOf(e);
+      if (v != null && Number.isFinite(v)) lines.push(`${name}{source="${label(e.src.id)}"} ${v}`);
+    }
+  }
+  for (const [name, help, valueOf] of MONTH_METRICS) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const e of entries) {
+      const t = e.state.monthly?.[monthKey] || emptyMonth();
+      lines.push(`${name}{source="${label(e.src.id)}",month="${monthKey}"} ${valueOf(t)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/** 途中のファイルを読まれないよう、一時ファイルに書いてから置き換える */
+function writeMetricsFile(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text, "utf8");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { consecutiveFailures, renderMetrics, writeMetricsFile };
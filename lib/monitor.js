@@ -0,0 +1,339 @@
+// lib/monitor.js (初回ブートストラップ / 通常の差分チェック)
+const { fmtYen, getNowMonthKeyJst } = require("./util");
+const {
+  emptyMonth,
+  openLedgerBook,
+  getLedger,
+  resetLedger,
+  syncMonthly,
+  applyStatusChanges,
+  recordConversion,
+  migrateLegacyKeys,
+  countInMonth,
+} = require("./ledger");
+const { isUnpriced, priceInOrder } = require("./prices");
+const { progressOf, checkTargetAlerts } = require("./targets");
+const { groupTotals, adLabel } = require("./report");
+const { enqueue, deliverOutbox } = require("./outbox");
+const { anomalySettings, checkAnomalies } = require("./anomaly");
+const { templated } = require("./templates");
+const { checkPagination, checkUnparsed, recordHealthIssue, recordHealthy } = require("./diagnostics");
+const { saveBook } = require("./storage");
+const {
+  KEY_VERSION,
+  timeConfigFromEnv,
+  uniqByKey,
+  normalizeRows,
+  detectTotalCountIfPossible,
+  collectThisMonthRows,
+  collectNewRowsUntilSeen,
+} = require("./scraper");
+
+// seenKeys を重複なしで保持
+function mergeSeenKeys(prev, add, maxItems = 5000) {
+  const all = (prev || []).concat(add || []);
+  const seen = new Set();
+  const outRev = [];
+  for (let i = all.length - 1; i >= 0; i--) {
+    const k = all[i];
+    if (!k) continue;
+    if (seen.has(k)) continue;
+    seen.add(k);
+    outRev.push(k);
+    if (outRev.length >= maxItems) break;
+  }
+  return outRev.reverse();
+}
+
+/**
+ * 通知テンプレート用の項目（normalizeRows の項目 + 表示用の整形済み値）
+ * - 複数ソースの時は sourceName と全ソース合計（combinedRevenue）も入れる
+ */
+function messageData(x, monthTotal, ctx) {
+  const data = {
+    ...x,
+    unitYen: fmtYen(x.unit),
+    monthRevenue: monthTotal.revenue,
+    monthRevenueYen: fmtYen(monthTotal.revenue),
+    url: ctx.cvLogUrl,
+    sourceName: ctx.sourceName,
+  };
+  if (ctx.combinedRevenue) {
+    data.combinedRevenue = ctx.combinedRevenue(x.monthKey);
+    data.combinedRevenueYen = fmtYen(data.combinedRevenue);
+  }
+  return data;
+}
+
+// 目標・異常の通知に ASP 名を入れて文面を作り直す
+const withSourceMsg = (ctx, msg) => templated(msg.type, { ...msg.data, sourceName: ctx.sourceName });
+
+function conversionMessage(x, ctx) {
+  const { state, targets, book } = ctx;
+  const monthTotal = state.monthly[x.monthKey] || emptyMonth();
+  return templated("conversion", { ...messageData(x, monthTotal, ctx), progress: progressOf(targets, state, book, x) });
+}
+
+function digestMessage(newOnes, ctx) {
+  const { state, cvLogUrl } = ctx;
+  const total = newOnes.reduce((sum, x) => sum + x.unit, 0);
+  const byAd = groupTotals(newOnes, adLabel, "").map((g) => ({ ...g, gross: g.revenue + g.rejected, revenueYen: fmtYen(g.revenue + g.rejected) }));
+  const months = [...new Set(newOnes.map((x) => x.monthKey))].sort().map((m) => {
+    const revenue = (state.monthly[m] || emptyMonth()).revenue;
+    const out = { monthKey: m, revenue, revenueYen: fmtYen(revenue) };
+    if (ctx.combinedRevenue) {
+      out.combinedRevenue = ctx.combinedRevenue(m);
+      out.combinedRevenueYen = fmtYen(out.combinedRevenue);
+    }
+    return out;
+  });
+
+  return templated("digest", {
+    count: newOnes.length,
+    total,
+    totalYen: fmtYen(total),
+    byAd,
+    months,
+    url: cvLogUrl,
+    sourceName: ctx.sourceName,
+  });
+}
+
+/**
+ * 新規が多すぎる時のサーキットブレーカー：台帳にも seenKeys にも入れず state.held に置く
+ * - 初めて止めた時だけ通知する（保留中に増えた分は足すだけ）
+ * - 解除は commands/held.js（--accept で成果として数える / --discard で既知として捨てる）
+ */
+function holdNewRows(state, newOnes, limit, ctx, send) {
+  const first = !state.held;
+  state.held = {
+    since: state.held?.since || new Date().toISOString(),
+    rows: uniqByKey([...(state.held?.rows || []), ...newOnes]),
+  };
+  if (!first) return;
+
+  const sample = newOnes.slice(0, 5).map((x) => ({ eventAt: x.eventAt, ad: adLabel(x), siteName: x.siteName }));
+  send(templated("health", { kind: "held", count: newOnes.length, limit, sample, sourceName: ctx.sourceName }));
+}
+
+/**
+ * CVログ画面を開いた page に対して1回分のチェックを行う
+ * - state.initialized が false なら今月分を集めて初期化（通知なし）
+ * - notify: createNotifier の戻り値（リプレイでは送らずに集めるもの）
+ *   通知はまず state.outbox に積んで状態を保存し、そのあとで送る
+ * - save: false なら台帳・state を書かない（ドライラン）
+ * - monthKey: 初回ブートストラップで集める月（省略時は JST の今月）
+ * - targets: targets.json の中身（null なら目標の進捗・アラートなし）
+ * - ledgers: 保存済みの台帳（loadLedgers の戻り値）
+ * - storage: 状態の保存先（openStorage で開いてロックを取ったもの。save が true の時は必須）
+ * - pagination: { maxPages, maxPagesNormal, recheckPages, nextSelectors }（省略時は MAX_PAGES などの環境変数）
+ * - sourceName: 通知に出す ASP 名（1ソースの時は空）
+ * - combinedRevenue: monthKey → 全ソース合計の売上（複数ソースの時だけ渡す）
+ * - time: 日時の読み方（{ timeZone, attribution }。省略時は SOURCE_TIMEZONE / REVENUE_ATTRIBUTION）
+ * - rows: CSV ダウンロードから読んだ行（渡すと画面のテーブルは読まない。page は null でもよい）
+ * - maxNewPerRun: 1回の新規がこれを超えたら、表の形式が変わったとみなして通知・集計を保留する（0 で無効）
+ * - anomaly: 異常検知のしきい値（anomalySettings の戻り値。null で無効）
+ * - 戻り値: 何を数えて何を通知したかのレポート（mode, uiTotal, pages, rows, newOnes, statusChanges, unknown, unparsed, delivery, held）
+ */
+async function runMonitor(
+  page,
+  {
+    state,
+    prices,
+    targets = null,
+    headerMap,
+    cvLogUrl,
+    notify,
+    save = true,
+    monthKey,
+    ledgers = new Map(),
+    storage = null,
+    pagination = {},
+    sourceName = "",
+    combinedRevenue = null,
+    rows = null,
+    time = timeConfigFromEnv(),
+    maxNewPerRun = Number(process.env.MAX_NEW_PER_RUN || 50),
+    anomaly = anomalySettings(),
+  }
+) {
+  const seenSet = new Set(state.seenKeys || []);
+  const book = openLedgerBook(state, ledgers);
+  const ctx = { state, targets, book, cvLogUrl, sourceName, combinedRevenue };
+  const nextSelectors = pagination.nextSelectors || [];
+  const report = {
+    mode: state.initialized ? "normal" : "bootstrap",
+    uiTotal: null,
+    newOnes: [],
+    statusChanges: [],
+    unknown: [],
+  };
+
+  const persist = async () => {
+    if (!save) return;
+    await saveBook(storage, book);
+  };
+  const send = (msg) => enqueue(state, msg, notify.channels);
+
+  // 読めた結果を見て、ページ送りが途中で止まっていたり日時が読めない行があればヘルスアラート、問題なければ復旧扱い
+  const stats = { invalid: [] };
+  let healthChanged = false;
+  const checkHealth = () => {
+    const issues = [checkPagination(stats, report.uiTotal), checkUnparsed(stats.invalid)].filter(Boolean);
+    report.unparsed = stats.invalid;
+    report.pages = stats.pages ?? 0;
+    report.rows = csvRows ? csvRows.length : (stats.rows ?? 0);
+    for (const issue of issues) {
+      console.warn(`[WARN] ${issue.kind}: ${issue.detail}`);
+      recordHealthIssue(state, issue, send, sourceName);
+    }
+    healthChanged = issues.length > 0 || recordHealthy(state, send, sourceName);
+  };
+
+  // CSV は全件入っているので、ページ送りの代わりにここで今月分・新規分を選ぶ
+  const csvRows = rows ? uniqByKey(normalizeRows(rows, prices, time, stats.invalid)) : null;
+
+  if (!csvRows) report.uiTotal = await detectTotalCountIfPossible(page);
+  if (report.uiTotal != null) console.log(`[INFO] Detected total entries (from UI): ${report.uiTotal}`);
+
+  if (!state.initialized) {
+    const maxPages = pagination.maxPages ?? Number(process.env.MAX_PAGES || 50);
+    const nowMonth = monthKey || getNowMonthKeyJst();
+    const monthRows = csvRows
+      ? csvRows.filter((x) => x.monthKey === nowMonth)
+      : await collectThisMonthRows(page, headerMap, prices, maxPages, nowMonth, nextSelectors, stats, time);
+    checkHealth();
+
+    resetLedger(book, nowMonth);
+
+    priceInOrder(prices, monthRows);
+    for (const x of monthRows) recordConversion(book, x);
+    syncMonthly(book);
+
+    state.seenKeys = mergeSeenKeys(state.seenKeys, monthRows.map((x) => x.key));
+    state.initialized = true;
+    state.keyVersion = KEY_VERSION;
+
+    await persist();
+    console.log(`[INFO] Bootstrapped month total from ${monthRows.length} rows (no notify)${save ? "" : " [dry run]"}.`);
+    report.newOnes = monthRows;
+    return report;
+  }
+
+  const maxPagesNormal = pagination.maxPagesNormal ?? Number(process.env.MAX_PAGES_NORMAL || 10);
+  const recheckPages = pagination.recheckPages ?? Number(process.env.RECHECK_PAGES || 3);
+
+  // 保留中の成果は、解除するまで新規として数え直さない
+  const heldKeys = new Set((state.held?.rows || []).map((x) => x.key));
+  const scanSet = heldKeys.size > 0 ? new Set([...seenSet, ...heldKeys]) : seenSet;
+
+  const collected = csvRows
+    ? { newOnes: null, scanned: csvRows }
+    : await collectNewRowsUntilSeen(page, headerMap, prices, scanSet, maxPagesNormal, recheckPages, nextSelectors, stats, time);
+  const { scanned } = collected;
+  checkHealth();
+
+  // 旧形式のキーで数えた成果を今のキーに移す（移した成果は新規にしない）
+  const migrated = migrateLegacyKeys(book, scanned, seenSet);
+  if (migrated > 0) console.log(`[INFO] Migrated ${migrated} key(s) from the old key format.`);
+
+  // CSV には seenKeys から押し出された古い成果も入るので、台帳にあるものも既知として扱う
+  const newOnes = (
+    collected.newOnes || csvRows.filter((x) => !scanSet.has(x.key) && !getLedger(book, x.monthKey).index.has(x.key))
+  ).filter((x) => !seenSet.has(x.key));
+
+  if (maxNewPerRun > 0 && newOnes.length > maxNewPerRun) {
+    holdNewRows(state, newOnes, maxNewPerRun, ctx, send);
+    await persist();
+    report.held = state.held.rows.length;
+    report.delivery = await deliverOutbox(state, notify, persist);
+    console.warn(`[WARN] ${newOnes.length} new CV(s) in one run (limit ${maxNewPerRun}). Held without notify.`);
+    return report;
+  }
+  if (heldKeys.size > 0) console.warn(`[WARN] ${heldKeys.size} CV(s) are held. Run commands/held.js to accept or discard.`);
+
+  const statusChanges = applyStatusChanges(book, scanned, seenSet);
+  report.newOnes = newOnes;
+  report.statusChanges = statusChanges;
+
+  if (newOnes.length === 0 && statusChanges.length === 0) {
+    // 成果が無くても日数の経過でペース遅れになるので、今月の目標だけは見る
+    syncMonthly(book);
+    const alerts = checkTargetAlerts(targets, state, book, getNowMonthKeyJst());
+    for (const msg of alerts) send(withSourceMsg(ctx, msg));
+
+    // 新規が無くても、ふだん発生している案件の途絶は見る
+    const anomalies = checkAnomalies(book, [], anomaly);
+    for (const msg of anomalies) send(withSourceMsg(ctx, msg));
+
+    // 通知不要な更新（ステータス表記の変化・旧形式の取り込み）やアラート記録だけ保存する
+    if (book.dirty.size > 0 || alerts.length > 0 || anomalies.length > 0 || healthChanged) await persist();
+
+    // 前回までに送れなかった通知もここで再送する
+    report.delivery = await deliverOutbox(state, notify, persist);
+    console.log(alerts.length > 0 ? `[INFO] No new CV. Sent ${alerts.length} target alert(s).` : "[INFO] No new CV. No notify.");
+    return report;
+  }
+
+  const unknown = report.unknown;
+
+  // 段階単価のため、台帳にある同月・同広告の件数の続きから単価を付け直す
+  priceInOrder(prices, newOnes, (monthKey, adKey) => countInMonth(book, monthKey, adKey));
+
+  for (const x of newOnes) {
+    if (isUnpriced(prices, x)) {
+      unknown.push(`${x.adId || "(no id)"} ${x.adName || "(no name)"}`);
+    }
+
+    recordConversion(book, x);
+  }
+  syncMonthly(book);
+
+  // バースト時は1件ずつ送らず、広告別の内訳にまとめて1通にする（Webhook のレート制限対策）
+  const batchThreshold = Number(process.env.NOTIFY_BATCH_THRESHOLD || 5);
+  if (newOnes.length > batchThreshold) {
+    send(digestMessage(newOnes, ctx));
+  } else {
+    for (const x of newOnes) send(conversionMessage(x, ctx));
+  }
+
+  // 未確定 → 否認/キャンセルは売上減なので通知する
+  for (const x of statusChanges) {
+    if (!(x.prevClass === "pending" && x.statusClass === "rejected")) continue;
+    const monthTotal = state.monthly[x.monthKey] || emptyMonth();
+    send(templated("rejected", messageData(x, monthTotal, ctx)));
+  }
+
+  if (unknown.length > 0) {
+    send(
+      templated("unpriced", {
+        ads: unknown.join(", "),
+        count: unknown.length,
+        list: unknown.slice(0, 20).map((name) => ({ name })),
+        sourceName: ctx.sourceName,
+      })
+    );
+  }
+
+  for (const msg of checkAnomalies(book, newOnes, anomaly)) send(withSourceMsg(ctx, msg));
+
+  const touched = new Set([getNowMonthKeyJst(), ...newOnes.map((x) => x.monthKey), ...statusChanges.map((x) => x.monthKey)]);
+  for (const m of [...touched].sort()) {
+    for (const msg of checkTargetAlerts(targets, state, book, m)) send(withSourceMsg(ctx, msg));
+  }
+
+  // 成果の記録と送信待ちの通知を先に保存してから送る
+  state.seenKeys = mergeSeenKeys(state.seenKeys, newOnes.map((x) => x.key));
+  await persist();
+
+  report.delivery = await deliverOutbox(state, notify, persist);
+
+  console.log(
+    `[INFO] Notified ${newOnes.length} CV(s), ${statusChanges.length} status change(s)` +
+      (save ? " and updated state." : " [dry run].") +
+      (report.delivery.pending > 0 ? ` ${report.delivery.pending} notification(s) left in outbox.` : "")
+  );
+  return report;
+}
+
+module.exports = { mergeSeenKeys, runMonitor };
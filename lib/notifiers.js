@@ -0,0 +1,186 @@
+// lib/notifiers.js (通知チャンネル：Slack / Discord / Teams / 汎用 Webhook / LINE Notify / メール)
+//
+// notifiers.json（無ければ SLACK_WEBHOOK_URL の Slack 1チャンネル）
+// {
+//   "channels": [
+//     { "type": "slack", "urlEnv": "SLACK_WEBHOOK_URL" },
+//     { "type": "discord", "urlEnv": "DISCORD_WEBHOOK_URL", "types": ["conversion", "rejected"] },
+//     { "type": "teams", "urlEnv": "TEAMS_WEBHOOK_URL" },
+//     { "type": "webhook", "url": "https://example.com/hook", "headers": { "X-Token": "env:HOOK_TOKEN" } },
+//     { "type": "line", "tokenEnv": "LINE_NOTIFY_TOKEN" },
+//     { "type": "email", "to": "team@example.com", "from": "bot@example.com",
+//       "smtp": { "host": "smtp.example.com", "port": 587, "userEnv": "SMTP_USER", "passEnv": "SMTP_PASS" } }
+//   ]
+// }
+// - types: 送る通知の種類（conversion / digest / rejected / unpriced / target / report / health / anomaly）。省略時はすべて
+// - locale: このチャンネルに送る言語（ja / en。省略時は templates.json の locale か NOTIFY_LOCALE）
+// - templates: { "conversion": "🎉 {{adName}} {{unitYen}}" } のように種類ごとに文面を差し替える（templates.json の rules より優先）
+//   {{text}} はその言語の既定の文面。ほかは通知ごとの data の項目。書式は lib/templates.js
+// - 秘密情報は *Env（環境変数名）か "env:NAME" で渡す
+// - Slack は conversion / digest を Block Kit で送る（"blocks": false で text のみ。文面を差し替えた通知も text のみ）
+const fs = require("fs");
+const { postSlack, blocksFor } = require("./slack");
+const { LOCALES, renderTemplate, renderMessage } = require("./templates");
+
+const TYPES = ["slack", "discord", "teams", "webhook", "line", "email"];
+
+/** "env:NAME" を環境変数の値に置き換える */
+function resolveSecret(v, env = process.env) {
+  if (typeof v === "string" && v.startsWith("env:")) return env[v.slice(4)] || "";
+  return v;
+}
+
+function channelValue(ch, name, env = process.env) {
+  if (ch[`${name}Env`]) return env[ch[`${name}Env`]] || "";
+  return resolveSecret(ch[name], env) || "";
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`${res.status} ${res.statusText} ${text}`);
+  }
+}
+
+let mailer = null;
+
+const SENDERS = {
+  // テンプレートで文面を差し替えたチャンネルや blocks: false のチャンネルは text だけ
+  slack: async (ch, text, msg, templated) => {
+    const blocks = templated || ch.blocks === false ? undefined : blocksFor(msg, ch.locale);
+    await postSlack(channelValue(ch, "url"), text, { blocks });
+  },
+
+  // Discord は content が 2000 文字まで
+  discord: async (ch, text) => {
+    await postJson(channelValue(ch, "url"), { content: text.slice(0, 2000) });
+  },
+
+  teams: async (ch, text) => {
+    await postJson(channelValue(ch, "url"), { text: text.replace(/\n/g, "  \n") });
+  },
+
+  webhook: async (ch, text, msg) => {
+    const headers = Object.fromEntries(Object.entries(ch.headers || {}).map(([k, v]) => [k, resolveSecret(v)]));
+    await postJson(channelValue(ch, "url"), { type: msg.type, text, data: msg.data || {}, sentAt: new Date().toISOString() }, headers);
+  },
+
+  line: async (ch, text) => {
+    const url = channelValue(ch, "url") || "https://notify-api.line.me/api/notify";
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${channelValue(ch, "token")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ message: `\n${text}` }),
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText} ${await res.text().catch(() => "")}`);
+  },
+
+  email: async (ch, text, msg) => {
+    mailer ||= require("nodemailer");
+    const smtp = ch.smtp || {};
+    const transport = mailer.createTransport({
+      host: channelValue(smtp, "host"),
+      port: Number(smtp.port || 587),
+      secure: Number(smtp.port) === 465,
+      auth: smtp.userEnv || smtp.user ? { user: channelValue(smtp, "user"), pass: channelValue(smtp, "pass") } : undefined,
+    });
+    await transport.sendMail({
+      from: channelValue(ch, "from"),
+      to: channelValue(ch, "to"),
+      subject: renderTemplate(ch.subject || "[CV Monitor] {{title}}", { title: text.split("\n")[0], ...(msg.data || {}) }, ch.locale),
+      text,
+    });
+  },
+};
+
+function validateChannel(ch, i) {
+  const where = `notifiers.json: channels[${i}]`;
+  if (!ch || !TYPES.includes(ch.type)) throw new Error(`${where}.type must be one of ${TYPES.join(" / ")}`);
+  if (ch.type === "line") {
+    if (!channelValue(ch, "token")) throw new Error(`${where} needs token / tokenEnv (is the env var set?)`);
+  } else if (ch.type === "email") {
+    if (!ch.smtp || !channelValue(ch.smtp, "host")) throw new Error(`${where}.smtp.host is required`);
+    if (!channelValue(ch, "to") || !channelValue(ch, "from")) throw new Error(`${where} needs to / from`);
+  } else if (!channelValue(ch, "url")) {
+    throw new Error(`${where} needs url / urlEnv (is the env var set?)`);
+  }
+  if (ch.types != null && !Array.isArray(ch.types)) throw new Error(`${where}.types must be a list`);
+  if (ch.locale != null && !LOCALES.includes(ch.locale)) throw new Error(`${where}.locale must be one of ${LOCALES.join(" / ")}`);
+}
+
+/** notifiers.json を読む（無ければ SLACK_WEBHOOK_URL の Slack だけ） */
+function loadChannels(file, env = process.env) {
+  if (!fs.existsSync(file)) {
+    if (!env.SLACK_WEBHOOK_URL) throw new Error("Missing env: SLACK_WEBHOOK_URL (or create notifiers.json)");
+    return [{ type: "slack", urlEnv: "SLACK_WEBHOOK_URL", name: "slack" }];
+  }
+
+  let conf;
+  try {
+    conf = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`notifiers.json is not valid JSON: ${err.message}`);
+  }
+  const channels = conf.channels || [];
+  if (channels.length === 0) throw new Error("notifiers.json: channels is empty");
+  channels.forEach((ch, i) => {
+    validateChannel(ch, i);
+    ch.name ||= `${ch.type}#${i + 1}`;
+  });
+  return channels;
+}
+
+/**
+ * チャンネルに送る notify(msg, names) を作る
+ * - templates: loadTemplates の戻り値（チャンネルの言語と rules で文面を作る。null なら msg.text のまま）
+ * - msg: { type, text, data }
+ * - names: 送り先のチャンネル名（省略時は全チャンネル）。notify.channels に全チャンネル名
+ * - 戻り値: { sent: [name], failed: [{ channel, error }] }（types で対象外のチャンネルは sent 扱い）
+ * - 1チャンネルの失敗で他を止めない。失敗は errors に溜めてログに出す（例外は投げない）
+ */
+function createNotifier(channels, templates = null) {
+  const errors = [];
+  const byName = new Map(channels.map((ch) => [ch.name, ch]));
+
+  const notify = async (msg, names = notify.channels) => {
+    const out = { sent: [], failed: [] };
+
+    await Promise.all(
+      names.map(async (name) => {
+        const ch = byName.get(name);
+        try {
+          if (!ch) throw new Error("channel not configured");
+          if (!ch.types || ch.types.includes(msg.type)) {
+            const locale = ch.locale || templates?.locale || "ja";
+            const base = templates ? renderMessage(msg, templates, locale) : { text: msg.text, custom: false };
+            const template = ch.templates?.[msg.type];
+            const text = template ? renderTemplate(template, { ...(msg.data || {}), text: base.text }, locale) : base.text;
+            await SENDERS[ch.type]({ ...ch, locale }, text, msg, Boolean(template) || base.custom);
+          }
+          out.sent.push(name);
+        } catch (err) {
+          const error = err?.message || String(err);
+          out.failed.push({ channel: name, error });
+          errors.push(`${name}: ${error}`);
+          console.warn(`[WARN] Notify failed (${msg.type}) ${name}: ${error}`);
+        }
+      })
+    );
+
+    return out;
+  };
+
+  notify.channels = channels.map((ch) => ch.name);
+  notify.errors = errors;
+  return notify;
+}
+
+module.exports = { renderTemplate, loadChannels, createNotifier };
@@ -0,0 +1,61 @@
+// lib/outbox.js (通知の送信待ちキュー：cv_data.json の outbox)
+//
+// 成果の記録と送る通知を先にまとめて保存してから送る。送れたチャンネルは item.sent に記録し、
+// 送れなかった分は次回以降の実行で再送する。途中で落ちたりキャンセルされても、
+// 成果を数え直したり送った通知を送り直したりしない。
+// （送信が成功してから記録を保存するまでの間に落ちた場合だけ、そのチャンネルに1通重複しうる）
+const crypto = require("crypto");
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 20);
+
+/** 通知を送信待ちに積む（channels: 送り先チャンネル名） */
+function enqueue(state, msg, channels) {
+  state.outbox ||= [];
+  state.outbox.push({
+    id: crypto.randomUUID(),
+    type: msg.type,
+    text: msg.text,
+    data: msg.data,
+    channels: [...channels],
+    sent: [],
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    lastError: null,
+  });
+}
+
+/**
+ * 送信待ちを古い順に送る
+ * - notify(msg, channelNames) は { sent, failed } を返すこと
+ * - 1件送るごとに persist() で状態を保存する
+ * - MAX_ATTEMPTS 回失敗したものは諦めて捨てる
+ */
+async function deliverOutbox(state, notify, persist) {
+  const result = { sent: 0, failed: 0, dropped: 0 };
+
+  for (const item of [...(state.outbox || [])]) {
+    const pending = item.channels.filter((c) => !item.sent.includes(c));
+    if (pending.length > 0) {
+      const r = await notify(item, pending);
+      item.sent.push(...r.sent);
+      item.attempts += 1;
+      item.lastError = r.failed.length > 0 ? r.failed.map((f) => `${f.channel}: ${f.error}`).join("; ") : null;
+      result.sent += r.sent.length;
+      result.failed += r.failed.length;
+    }
+
+    const done = item.channels.every((c) => item.sent.includes(c));
+    if (done || item.attempts >= MAX_ATTEMPTS) {
+      if (!done) {
+        result.dropped += 1;
+        console.warn(`[WARN] Gave up notification ${item.type} ${item.id} after ${item.attempts} attempts: ${item.lastError}`);
+      }
+      state.outbox.splice(state.outbox.indexOf(item), 1);
+    }
+    await persist();
+  }
+
+  return { ...result, pending: (state.outbox || []).length };
+}
+
+module.exports = { enqueue, deliverOutbox };
@@ -0,0 +1,204 @@
+// lib/prices.js (prices.json から単価を解決する)
+//
+// 単価設定（byAdId / byAdName の値、defaultUnitPrice）に書けるもの
+// - 数値:             12000                                  固定単価
+// - 配列:             [{ "price": 12000 }, { "from": "2026-02-10", "price": 10000 }]
+//                     from（その日を含む）以降で一番新しい設定を使う。from なしは「最初から」
+// - オブジェクト:     { "price": 12000 }                      固定単価
+//                     { "percent": 5 }                        注文金額の 5%（端数切り捨て。マイナスの金額には 0円）
+//                     { "price": 1000, "tiers": [{ "after": 10, "price": 1500 }] }
+//                                                             同じ広告の月内 11 件目以降は 1500円
+//                     { "price": 1000, "bySite": { "サイトA": 1500 } }
+//                                                             サイト名ごとの上書き（値は同じ書式）
+const fs = require("fs");
+const { norm, dateKeyFrom, parseDateTime, eventDateKey, compareEventTime } = require("./util");
+
+// 書ける場所ごとのキー（from は日付つきの配列の中、after は tiers の中だけ）
+const RULE_KEYS = {
+  rule: ["price", "percent", "tiers", "bySite", "note"],
+  dated: ["from", "price", "percent", "tiers", "bySite", "note"],
+  tier: ["after", "price", "percent", "note"],
+};
+
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function invalid(where, msg) {
+  return new Error(`Invalid prices.json: ${where} ${msg}`);
+}
+
+function validateAmount(v, where, max = Infinity) {
+  if (typeof v !== "number" || !Number.isFinite(v) || v < 0 || v > max) {
+    const range = max === Infinity ? "a non-negative number" : `a number between 0 and ${max}`;
+    throw invalid(where, `must be ${range} (got ${JSON.stringify(v)})`);
+  }
+}
+
+/**
+ * 単価設定を1つ検査する
+ * - pos: 置かれた場所（rule: 単価表の値・bySite の値 / dated: 日付つきの配列の要素 / tier: tiers の要素）
+ */
+function validateRule(v, where, pos = "rule") {
+  if (typeof v === "number" && pos !== "tier") return validateAmount(v, where);
+
+  if (Array.isArray(v)) {
+    if (v.length === 0) throw invalid(where, "must not be an empty list");
+    if (pos !== "rule") throw invalid(where, "cannot be a list here");
+    v.forEach((e, i) => {
+      if (!isObj(e)) throw invalid(`${where}[${i}]`, "must be an object like { \"from\": \"2026-02-10\", \"price\": 10000 }");
+      if (e.from != null && (typeof e.from !== "string" || parseDateTime(e.from) == null)) {
+        throw invalid(`${where}[${i}].from`, `must be a date like 2026-02-10 (got ${JSON.stringify(e.from)})`);
+      }
+      validateRule(e, `${where}[${i}]`, "dated");
+    });
+    return;
+  }
+
+  if (!isObj(v)) throw invalid(where, pos === "tier" ? "must be an object like { \"after\": 10, \"price\": 1500 }" : "must be a number, a list or an object");
+
+  for (const k of Object.keys(v)) {
+    if (!RULE_KEYS[pos].includes(k)) throw invalid(where, `cannot have key "${k}" here (allowed: ${RULE_KEYS[pos].join(", ")})`);
+  }
+  if (v.price == null && v.percent == null && v.tiers == null) {
+    throw invalid(where, pos === "tier" ? "needs price or percent" : "needs one of price / percent / tiers");
+  }
+  if (v.price != null && v.percent != null) throw invalid(where, "cannot have both price and percent");
+  if (v.price != null) validateAmount(v.price, `${where}.price`);
+  if (v.percent != null) validateAmount(v.percent, `${where}.percent`, 100);
+
+  if (v.tiers != null) {
+    if (!Array.isArray(v.tiers) || v.tiers.length === 0) throw invalid(`${where}.tiers`, "must be a non-empty list");
+    v.tiers.forEach((t, i) => {
+      const w = `${where}.tiers[${i}]`;
+      validateRule(t, w, "tier");
+      if (!Number.isInteger(t.after) || t.after < 0) throw invalid(`${w}.after`, "must be a non-negative integer");
+    });
+  }
+
+  if (v.bySite != null) {
+    if (!isObj(v.bySite)) throw invalid(`${where}.bySite`, "must be an object of site name -> price");
+    for (const [site, r] of Object.entries(v.bySite)) validateRule(r, `${where}.bySite[${JSON.stringify(site)}]`);
+  }
+}
+
+/** prices.json の中身を検査する（不正な値は 0 扱いにせずエラー） */
+function validatePrices(prices) {
+  if (!isObj(prices)) throw invalid("root", "must be an object");
+  if (prices.defaultUnitPrice != null) validateRule(prices.defaultUnitPrice, "defaultUnitPrice");
+
+  for (const table of ["byAdId", "byAdName"]) {
+    if (prices[table] == null) continue;
+    if (!isObj(prices[table])) throw invalid(table, "must be an object");
+    for (const [k, v] of Object.entries(prices[table])) validateRule(v, `${table}[${JSON.stringify(k)}]`);
+  }
+  return prices;
+}
+
+/** prices.json を読み込んで検査する */
+function loadPrices(file) {
+  if (!fs.existsSync(file)) throw new Error(`prices.json not found: ${file}`);
+
+  let prices;
+  try {
+    prices = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`prices.json is not valid JSON: ${err.message}`);
+  }
+  return validatePrices(prices);
+}
+
+/** 適用開始日つきの配列から、成果日に有効な設定を選ぶ */
+function pickDated(list, dateKey) {
+  let hit = null;
+  let hitFrom = "";
+  for (const e of list) {
+    const from = e.from ? dateKeyFrom(e.from) : "";
+    if (from && dateKey && from > dateKey) continue;
+    if (!hit || hitFrom <= from) {
+      hit = e;
+      hitFrom = from;
+    }
+  }
+  return hit;
+}
+
+/** 月内 nth 件目に効く段階を選ぶ（after 件を超えたら適用） */
+function pickTier(tiers, nth) {
+  let hit = null;
+  for (const t of tiers) {
+    if (t.after >= nth) continue;
+    if (!hit || hit.after <= t.after) hit = t;
+  }
+  return hit;
+}
+
+/**
+ * 単価設定を1件の成果に当てはめる
+ * - x: { eventAt, eventTs, siteName, amount }（日付で切り替わる単価は eventDateKey の日で選ぶ）
+ * - ctx.nth: 同じ広告の月内で何件目か（段階単価用。不明なら 1）
+ */
+function resolveRule(v, x, ctx) {
+  if (v == null) return 0;
+  if (typeof v === "number") return v;
+  if (Array.isArray(v)) return resolveRule(pickDated(v, eventDateKey(x)), x, ctx);
+
+  const site = norm(x.siteName);
+  if (v.bySite && site && v.bySite[site] != null) return resolveRule(v.bySite[site], x, ctx);
+
+  if (v.tiers) {
+    const tier = pickTier(v.tiers, ctx.nth || 1);
+    if (tier) return resolveRule({ price: tier.price, percent: tier.percent }, x, ctx);
+  }
+
+  // 返金などで注文金額がマイナスの時は報酬を付けない
+  if (v.percent != null) return Math.floor((Math.max(0, Number(x.amount) || 0) * v.percent) / 100);
+  return v.price ?? 0;
+}
+
+/** byAdId → byAdName の順で単価設定を探す（無ければ undefined） */
+function findPriceEntry(prices, adId, adName) {
+  const id = String(adId || "").trim();
+  if (id && prices.byAdId && prices.byAdId[id] != null) return prices.byAdId[id];
+
+  const name = String(adName || "").trim();
+  if (name && prices.byAdName && prices.byAdName[name] != null) return prices.byAdName[name];
+
+  return undefined;
+}
+
+function hasUnitPrice(prices, adId, adName) {
+  return findPriceEntry(prices, adId, adName) !== undefined;
+}
+
+/** 単価が付かなかった成果か（0円で、prices.json にも載っていない。監視の「単価が未設定」通知と同じ判定） */
+function isUnpriced(prices, x) {
+  return Number(x.unit) === 0 && !hasUnitPrice(prices, x.adId, x.adName);
+}
+
+/**
+ * 1件の成果の報酬額
+ * - x: normalizeRows の行（adId, adName, siteName, eventAt, eventTs, amount）
+ */
+function getUnitPrice(prices, x, ctx = {}) {
+  const entry = findPriceEntry(prices, x.adId, x.adName);
+  return resolveRule(entry !== undefined ? entry : prices.defaultUnitPrice, x, ctx);
+}
+
+/**
+ * 段階単価は「同じ広告の月内で何件目か」で決まるので、時系列順に件数を数えながら単価を付ける
+ * - startCount(monthKey, adKey): その月・広告で既に数えた件数
+ */
+function priceInOrder(prices, items, startCount = () => 0) {
+  const counts = new Map();
+  const sorted = [...items].sort(compareEventTime);
+
+  for (const x of sorted) {
+    const adKey = x.adId || x.adName;
+    const k = `${x.monthKey}|${adKey}`;
+    const nth = (counts.has(k) ? counts.get(k) : startCount(x.monthKey, adKey)) + 1;
+    counts.set(k, nth);
+    x.unit = getUnitPrice(prices, x, { nth });
+  }
+  return items;
+}
+
+module.exports = { validatePrices, loadPrices, hasUnitPrice, isUnpriced, getUnitPrice, priceInOrder };
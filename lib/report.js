@@ -0,0 +1,158 @@
+// lib/report.js (日次・週次・月次締めレポートの集計。文面は lib/templates.js の report.daily / report.weekly / report.monthly)
+const { eventDateKey, monthsBetween, addDays, prevMonthKey } = require("./util");
+const { emptyMonth, hasLedger, getLedger } = require("./ledger");
+
+/** 台帳から期間内（YYYY-MM-DD、両端含む）の成果を集める */
+function conversionsBetween(book, fromDate, toDate) {
+  const out = [];
+  for (const m of monthsBetween(fromDate.slice(0, 7), toDate.slice(0, 7))) {
+    if (!hasLedger(book, m)) continue;
+    for (const r of getLedger(book, m).data.conversions) {
+      const d = eventDateKey(r);
+      if (d >= fromDate && d <= toDate) out.push(r);
+    }
+  }
+  return out;
+}
+
+/** 件数と売上（否認分は売上に含めず rejected に分ける） */
+function totalsOf(records) {
+  const t = { count: 0, revenue: 0, rejected: 0 };
+  for (const r of records) {
+    t.count += 1;
+    if (r.statusClass === "rejected") t.rejected += Number(r.unit) || 0;
+    else t.revenue += Number(r.unit) || 0;
+  }
+  return t;
+}
+
+/**
+ * keyFn ごとに集計し、売上の多い順に並べる
+ * - unknown: keyFn が空を返した成果の label（通知の文面で言語ごとに出し分ける時は "" を渡す）
+ */
+function groupTotals(records, keyFn, unknown = "(不明)") {
+  const groups = new Map();
+  for (const r of records) {
+    const k = keyFn(r) || unknown;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return [...groups.entries()]
+    .map(([label, rs]) => ({ label, ...totalsOf(rs) }))
+    .sort((a, b) => b.revenue - a.revenue || b.count - a.count);
+}
+
+const adLabel = (r) => [r.adId, r.adName].filter(Boolean).join(" ");
+
+function fmtPct(cur, prev) {
+  if (!prev) return "-";
+  const p = ((cur - prev) / prev) * 100;
+  return `${p >= 0 ? "+" : ""}${p.toFixed(1)}%`;
+}
+
+// 前と比べた増減（文面では {{diffSign}}{{diff|yen}}）
+function diffOf(cur, prev) {
+  return { changePct: fmtPct(cur, prev), diffSign: cur >= prev ? "+" : "-", diff: Math.abs(cur - prev) };
+}
+
+// 内訳の上位 limit 件と残りの数（文面では {{#byAd}}…{{/byAd}}{{#byAdOthers}}ほか {{byAdOthers}} 件{{/byAdOthers}}）
+function topGroups(records, keyFn, limit = 10) {
+  const groups = groupTotals(records, keyFn, "");
+  return [groups.slice(0, limit), Math.max(0, groups.length - limit)];
+}
+
+/** 日次：指定日（通常は昨日）の成果 */
+function buildDailyReport(state, book, date) {
+  const records = conversionsBetween(book, date, date);
+  const monthKey = date.slice(0, 7);
+  const [byAd, byAdOthers] = topGroups(records, adLabel);
+
+  return {
+    date,
+    ...totalsOf(records),
+    monthKey,
+    monthRevenue: (state.monthly?.[monthKey] || emptyMonth()).revenue,
+    breakdown: records.length,
+    byAd,
+    byAdOthers,
+  };
+}
+
+/** 週次：endDate までの7日間と、その前の7日間の比較 */
+function buildWeeklyReport(state, book, endDate) {
+  const from = addDays(endDate, -6);
+  const prevTo = addDays(from, -1);
+  const prevFrom = addDays(prevTo, -6);
+
+  const records = conversionsBetween(book, from, endDate);
+  const cur = totalsOf(records);
+  const prev = totalsOf(conversionsBetween(book, prevFrom, prevTo));
+  const [byAd, byAdOthers] = topGroups(records, adLabel);
+
+  return {
+    from,
+    to: endDate,
+    count: cur.count,
+    revenue: cur.revenue,
+    prevFrom,
+    prevTo,
+    prevCount: prev.count,
+    prevRevenue: prev.revenue,
+    ...diffOf(cur.revenue, prev.revenue),
+    breakdown: records.length,
+    byAd,
+    byAdOthers,
+  };
+}
+
+/**
+ * 月次締め：広告別・サイト別の内訳と前月比
+ * - today がその月の途中なら、前月の同じ日までとのペースも出す（paceDay など）
+ */
+function buildMonthCloseReport(state, book, monthKey, today) {
+  const prevKey = prevMonthKey(monthKey);
+  // 台帳導入前の集計には承認・否認の内訳が無い
+  const month = { ...emptyMonth(), ...state.monthly?.[monthKey] };
+  const prevMonth = { ...emptyMonth(), ...state.monthly?.[prevKey] };
+
+  const records = conversionsBetween(book, `${monthKey}-01`, `${monthKey}-31`);
+  const [byAd, byAdOthers] = topGroups(records, adLabel);
+  const [bySite, bySiteOthers] = topGroups(records, (r) => r.siteName);
+
+  const out = {
+    monthKey,
+    revenue: month.revenue,
+    approved: month.approved,
+    pending: month.pending,
+    rejected: month.rejected,
+    count: month.count,
+    prevKey,
+    prevRevenue: prevMonth.revenue,
+    prevCount: prevMonth.count,
+    ...diffOf(month.revenue, prevMonth.revenue),
+    breakdown: records.length,
+    byAd,
+    byAdOthers,
+    bySite,
+    bySiteOthers,
+    carryOver: Math.max(0, month.count - records.length),
+  };
+
+  if (today && today.slice(0, 7) === monthKey) {
+    const day = today.slice(8, 10);
+    const cur = totalsOf(conversionsBetween(book, `${monthKey}-01`, today));
+    const prev = totalsOf(conversionsBetween(book, `${prevKey}-01`, `${prevKey}-${day}`));
+    Object.assign(out, { paceDay: day, paceRevenue: cur.revenue, prevPaceRevenue: prev.revenue, pacePct: fmtPct(cur.revenue, prev.revenue) });
+  }
+  return out;
+}
+
+module.exports = {
+  conversionsBetween,
+  totalsOf,
+  groupTotals,
+  adLabel,
+  buildDailyReport,
+  buildWeeklyReport,
+  buildMonthCloseReport,
+};
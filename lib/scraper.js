@@ -0,0 +1,634 @@
+// lib/scraper.js (CVログ画面の読み取り・ページ送り)
+const { DEBUG, sleep, norm, sha1, isValidTimeZone, parseDateTime, dateKeyJst, getNowMonthKeyJst } = require("./util");
+const { statusClassOf } = require("./ledger");
+const { getUnitPrice } = require("./prices");
+
+// 集計だけのコマンド（npm install なしで動かす）からも headerMapFromEnv を使うので遅延読み込み
+let puppeteer = null;
+
+async function launchBrowser() {
+  puppeteer ||= require("puppeteer");
+  return await puppeteer.launch({
+    headless: true,
+    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--no-zygote"],
+  });
+}
+
+/** CVログのヘッダ名（HEADER_* で上書き可） */
+function headerMapFromEnv(env = process.env) {
+  return {
+    orderAt: env.HEADER_ORDER_AT || "注文日時",
+    clickAt: env.HEADER_CLICK_AT || "クリック日時",
+    adId: env.HEADER_AD_ID || "広告ID",
+    adName: env.HEADER_AD_NAME || "広告名",
+    siteName: env.HEADER_SITE_NAME || "サイト名",
+    os: env.HEADER_OS || "OS",
+    referrer: env.HEADER_REFERRER || "リファラ",
+    status: env.HEADER_STATUS || "ステータス",
+    amount: env.HEADER_AMOUNT || "注文金額",
+    // 成果ごとに振られる ID の列（あればキーに使う。無い画面では空にしてよい）
+    orderId: env.HEADER_ORDER_ID ?? "注文ID",
+  };
+}
+
+const ATTRIBUTIONS = ["order", "click"];
+
+/**
+ * 日時の読み方（SOURCE_TIMEZONE / REVENUE_ATTRIBUTION で上書き可）
+ * - timeZone: 管理画面が日時を表示しているタイムゾーン（IANA 名）
+ * - attribution: 売上を注文日時（order）とクリック日時（click）のどちらの月・日に数えるか
+ */
+function timeConfigFromEnv(env = process.env) {
+  return { timeZone: env.SOURCE_TIMEZONE || "Asia/Tokyo", attribution: env.REVENUE_ATTRIBUTION || "order" };
+}
+
+/** 日時の読み方が正しいか（間違っていれば例外） */
+function checkTimeConfig(time, where = "") {
+  if (!isValidTimeZone(time.timeZone)) throw new Error(`Unknown timezone: ${time.timeZone}${where} (use an IANA name like Asia/Tokyo)`);
+  if (!ATTRIBUTIONS.includes(time.attribution)) {
+    throw new Error(`Unknown attribution: ${time.attribution}${where} (use ${ATTRIBUTIONS.join(" / ")})`);
+  }
+  return time;
+}
+
+function uniqByKey(items) {
+  const s = new Set();
+  const out = [];
+  for (const x of items || []) {
+    if (!x || !x.key) continue;
+    if (s.has(x.key)) continue;
+    s.add(x.key);
+    out.push(x);
+  }
+  return out;
+}
+
+/** テーブル待ち（ヘッダ名で判定） */
+async function waitForCvTable(page, headerOrderAt, headerAdId, headerAdName) {
+  await page.waitForFunction(
+    (h1, h2, h3) => {
+      const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+      const tables = Array.from(document.querySelectorAll("table"));
+      for (const t of tables) {
+        const ths = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
+        const has =
+          ths.some((x) => x === h1 || x.includes(h1)) &&
+          ths.some((x) => x === h2 || x.includes(h2)) &&
+          ths.some((x) => x === h3 || x.includes(h3));
+        if (!has) continue;
+        const rows = t.querySelectorAll("tbody tr");
+        if (rows && rows.length > 0) return true;
+      }
+      return false;
+    },
+    { timeout: 60000 },
+    headerOrderAt,
+    headerAdId,
+    headerAdName
+  );
+}
+
+/** もっともそれっぽいテーブルから行を抽出（rowId / href も拾う） */
+async function extractRowsFromBestTable(page, headerMap) {
+  await waitForCvTable(page, headerMap.orderAt, headerMap.adId, headerMap.adName);
+
+  return await page.evaluate((hm) => {
+    const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+    const tables = Array.from(document.querySelectorAll("table"));
+
+    function headerIndex(headers, target) {
+      if (!target) return -1;
+      let i = headers.findIndex((h) => h === target);
+      if (i >= 0) return i;
+      i = headers.findIndex((h) => h.includes(target));
+      return i;
+    }
+
+    function scoreTable(t) {
+      const headers = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
+      const need = [hm.orderAt, hm.adId, hm.adName, hm.siteName, hm.clickAt, hm.os, hm.referrer];
+      let score = 0;
+      for (const n of need) {
+        if (!n) continue;
+        if (headers.some((h) => h === n || h.includes(n))) score += 1;
+      }
+      const rows = t.querySelectorAll("tbody tr").length;
+      return score * 1000 + rows;
+    }
+
+    const best = tables
+      .map((t) => ({ t, s: scoreTable(t) }))
+      .sort((a, b) => b.s - a.s)[0]?.t;
+
+    if (!best) return [];
+
+    const headers = Array.from(best.querySelectorAll("thead th")).map((x) => norm(x.textContent));
+
+    const idx = {
+      orderAt: headerIndex(headers, hm.orderAt),
+      clickAt: headerIndex(headers, hm.clickAt),
+      adId: headerIndex(headers, hm.adId),
+      adName: headerIndex(headers, hm.adName),
+      siteName: headerIndex(headers, hm.siteName),
+      os: headerIndex(headers, hm.os),
+      referrer: headerIndex(headers, hm.referrer),
+      status: headerIndex(headers, hm.status),
+      amount: headerIndex(headers, hm.amount),
+      orderId: headerIndex(headers, hm.orderId),
+    };
+
+    const rows = Array.from(best.querySelectorAll("tbody tr"));
+    const data = [];
+
+    for (const tr of rows) {
+      const tds = Array.from(tr.querySelectorAll("td")).map((td) => norm(td.textContent));
+      if (!tds.length) continue;
+
+      const get = (i) => (i >= 0 ? (tds[i] ?? "") : "");
+      const rowId =
+        tr.getAttribute("data-id") ||
+        tr.getAttribute("data-row-id") ||
+        tr.getAttribute("id") ||
+        "";
+
+      const a = tr.querySelector("a[href]");
+      const href = a ? a.getAttribute("href") || "" : "";
+
+      data.push({
+        orderAt: get(idx.orderAt),
+        clickAt: get(idx.clickAt),
+        adId: get(idx.adId),
+        adName: get(idx.adName),
+        siteName: get(idx.siteName),
+        os: get(idx.os),
+        referrer: get(idx.referrer),
+        status: get(idx.status),
+        amount: get(idx.amount),
+        orderId: get(idx.orderId),
+        rowId: norm(rowId),
+        href: norm(href),
+      });
+    }
+
+    return data;
+  }, headerMap);
+}
+
+// キーの作り方の版（変えたら commands/rekey.js で保存済みのキーを移す）
+const KEY_VERSION = 2;
+
+/**
+ * 成果のキー（v2）
+ * - 注文ID 列があればそれだけで決める（広告名・リンクなど表示の変化に左右されない）
+ * - 無ければ 日時 + 広告ID（無ければ広告名）+ サイト + OS + リファラ。rowId / href は画面の作りで変わるので使わない
+ * - 同じ内容の行が並ぶ時は nth（2件目以降）で区別する
+ */
+function conversionKey(x, nth = 1) {
+  if (x.orderId) return sha1(`v2|id|${x.adId}|${x.orderId}`);
+  return sha1(`v2|${x.eventAt}|${x.adId || x.adName}|${x.siteName}|${x.os}|${x.referrer}` + (nth > 1 ? `|#${nth}` : ""));
+}
+
+/** v1 のキー（rowId/href + 表示内容）。旧形式の状態から移すために残す */
+function legacyKeyOf(x) {
+  const adKey = x.adId || x.adName;
+  return sha1(
+    (x.rowId || x.href ? `${x.rowId}|${x.href}|` : "") +
+      `${x.eventAt}|${adKey}|${x.adName}|${x.siteName}|${x.os}|${x.referrer}`
+  );
+}
+
+/**
+ * 注文金額を読む（列が無い・読めなければ 0）
+ * - 「¥12,345」「12,345円」の最初の数値を読む（「1,000円(税抜8%)」「1,000円 (2点)」の後ろの数字は混ぜない）
+ * - 「-500」「¥-500」「▲500」「(500)」のような返金・マイナスは負の数にする
+ */
+function parseAmount(v) {
+  const s = norm(v);
+  const m = s.match(/([-−▲△]?)\s*(\d[\d,]*(?:\.\d+)?)/);
+  if (!m) return 0;
+  const n = Number(m[2].replace(/,/g, "")) || 0;
+  const negative = m[1] !== "" || /^(?:[¥￥]\s*)?[-−▲△]|^[(（].*[)）]$/.test(s);
+  return negative ? -n || 0 : n;
+}
+
+const toIso = (ms) => (ms == null ? "" : new Date(ms).toISOString());
+
+/**
+ * 画面（または CSV）の行を成果にする
+ * - key は conversionKey（v2）、legacyKey は旧形式のキー
+ * - orderTs / clickTs は time.timeZone の日時として読んだ ISO 形式（UTC）。eventTs は time.attribution の方（無ければもう一方）
+ * - monthKey は eventTs の JST の月
+ * - invalid: 日時が読めなかった行を入れる配列（渡した時だけ。その行は成果にしない）
+ * - dup: 同じ内容の行を数える Map（ページをまたいで数える時は同じものを渡す。省略時はこの行だけで数える）
+ */
+function normalizeRows(rows, prices, time = timeConfigFromEnv(), invalid = null, dup = new Map()) {
+  return (rows || [])
+    .map((r) => {
+      const orderAt = norm(r.orderAt);
+      const clickAt = norm(r.clickAt);
+      const eventAt = orderAt || clickAt;
+
+      const adId = norm(r.adId);
+      const adName = norm(r.adName);
+      const siteName = norm(r.siteName);
+      const os = norm(r.os);
+      const referrer = norm(r.referrer);
+
+      const status = norm(r.status);
+      const statusClass = statusClassOf(status);
+
+      const amount = parseAmount(r.amount);
+
+      const orderId = norm(r.orderId);
+      const rowId = norm(r.rowId);
+      const href = norm(r.href);
+
+      const adKey = adId || adName;
+      if (!eventAt || !adKey) return null;
+
+      // 入っているのに読めない日時は、月を決められないので数えずに知らせる
+      const orderMs = orderAt ? parseDateTime(orderAt, time.timeZone) : null;
+      const clickMs = clickAt ? parseDateTime(clickAt, time.timeZone) : null;
+      if ((orderAt && orderMs == null) || (clickAt && clickMs == null)) {
+        invalid?.push({ orderAt, clickAt, adId, adName, siteName, orderId });
+        return null;
+      }
+      const eventMs = time.attribution === "click" ? (clickMs ?? orderMs) : (orderMs ?? clickMs);
+      const eventTs = toIso(eventMs);
+
+      const monthKey = dateKeyJst(eventMs).slice(0, 7);
+      const unit = getUnitPrice(prices, { adId, adName, siteName, eventAt, eventTs, amount });
+
+      const fields = { orderId, eventAt, adId, adName, siteName, os, referrer };
+      const base = conversionKey(fields);
+      const nth = (dup.get(base) || 0) + 1;
+      dup.set(base, nth);
+
+      return {
+        key: conversionKey(fields, nth),
+        legacyKey: legacyKeyOf({ ...fields, rowId, href }),
+        orderId,
+        eventAt,
+        eventTs,
+        orderAt,
+        orderTs: toIso(orderMs),
+        clickAt,
+        clickTs: toIso(clickMs),
+        adId,
+        adName,
+        siteName,
+        os,
+        referrer,
+        status,
+        statusClass,
+        amount,
+        unit,
+        monthKey,
+      };
+    })
+    .filter(Boolean);
+}
+
+/** ページ移動判定用の署名（dataTables_info + 先頭/末尾行） */
+async function getTableSignature(page, headerMap) {
+  return await page
+    .evaluate((hm) => {
+      const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+      const info = norm(document.querySelector(".dataTables_info")?.textContent || "");
+
+      const tables = Array.from(document.querySelectorAll("table"));
+      function scoreTable(t) {
+        const headers = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
+        const need = [hm.orderAt, hm.adId, hm.adName];
+        let score = 0;
+        for (const n of need) {
+          if (!n) continue;
+          if (headers.some((h) => h === n || h.includes(n))) score += 1;
+        }
+        const rows = t.querySelectorAll("tbody tr").length;
+        return score * 1000 + rows;
+      }
+      const best = tables
+        .map((t) => ({ t, s: scoreTable(t) }))
+        .sort((a, b) => b.s - a.s)[0]?.t;
+      if (!best) return info;
+
+      const trs = Array.from(best.querySelectorAll("tbody tr"));
+      const first = trs[0]?.innerText || "";
+      const last = trs[trs.length - 1]?.innerText || "";
+      return `${info}||${first}||${last}`.slice(0, 3000);
+    }, headerMap)
+    .catch(() => "");
+}
+
+/**
+ * 次ページへ進める（進めなければ false）
+ * - nextSelectors: ソースごとの「次へ」のセレクタ（既定の候補より先に試す）
+ */
+async function clickNextPage(page, headerMap, nextSelectors = []) {
+  const before = await getTableSignature(page, headerMap);
+
+  const selectors = [
+    ...nextSelectors,
+    'a.paginate_button.next:not(.disabled)',
+    'a.next:not(.disabled)',
+    'li.next:not(.disabled) a',
+    'a[rel="next"]',
+    'button[aria-label="Next"]:not([disabled])',
+    'a[aria-label="Next"]:not(.disabled)',
+  ];
+
+  const tryClick = async (fnClick) => {
+    await fnClick();
+    await Promise.race([
+      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 5000 }).catch(() => null),
+      page.waitForFunction(
+        (hm, prev) => {
+          const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+          const info = norm(document.querySelector(".dataTables_info")?.textContent || "");
+          const tables = Array.from(document.querySelectorAll("table"));
+          function scoreTable(t) {
+            const headers = Array.from(t.querySelectorAll("thead th")).map((x) => norm(x.textContent));
+            const need = [hm.orderAt, hm.adId, hm.adName];
+            let score = 0;
+            for (const n of need) {
+              if (!n) continue;
+              if (headers.some((h) => h === n || h.includes(n))) score += 1;
+            }
+            const rows = t.querySelectorAll("tbody tr").length;
+            return score * 1000 + rows;
+          }
+          const best = tables
+            .map((t) => ({ t, s: scoreTable(t) }))
+            .sort((a, b) => b.s - a.s)[0]?.t;
+          if (!best) return info && info !== prev;
+
+          const trs = Array.from(best.querySelectorAll("tbody tr"));
+          const first = trs[0]?.innerText || "";
+          const last = trs[trs.length - 1]?.innerText || "";
+          const sig = `${info}||${first}||${last}`.slice(0, 3000);
+          return sig && sig !== prev;
+        },
+        { timeout: 5000 },
+        headerMap,
+        before
+      ).catch(() => null),
+    ]);
+
+    await sleep(300);
+    const after = await getTableSignature(page, headerMap);
+    return after && after !== before;
+  };
+
+  for (const sel of selectors) {
+    const el = await page.$(sel);
+    if (!el) continue;
+    const moved = await tryClick(() => el.click().catch(() => null));
+    if (moved) return true;
+  }
+
+  const movedByText = await tryClick(() =>
+    page.evaluate(() => {
+      const isDisabled = (el) => {
+        const cls = (el.getAttribute("class") || "").toLowerCase();
+        if (cls.includes("disabled")) return true;
+        if (el.getAttribute("aria-disabled") === "true") return true;
+        if (el.disabled) return true;
+        return false;
+      };
+      const candidates = Array.from(document.querySelectorAll("a,button"));
+      const next = candidates.find((el) => {
+        const t = (el.textContent || "").trim();
+        if (!(t === "次へ" || t === "Next" || t === "›" || t === ">")) return false;
+        if (isDisabled(el)) return false;
+        const r = el.getBoundingClientRect();
+        return r.width > 0 && r.height > 0;
+      });
+      if (!next) return false;
+      next.click();
+      return true;
+    })
+  );
+
+  return movedByText;
+}
+
+/** UIに “総件数” 表示があれば拾う（デバッグ用） */
+async function detectTotalCountIfPossible(page) {
+  const t = await page.$eval(".dataTables_info", (el) => el.textContent || "").catch(() => "");
+  const s = norm(t);
+  if (!s) return null;
+
+  // "Showing 1 to 20 of 79 entries"
+  let m = s.match(/of\s+([\d,]+)\s+entries/i);
+  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
+
+  // "全79件"
+  m = s.match(/全\s*([\d,]+)\s*件/);
+  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
+
+  // "79件中"
+  m = s.match(/([\d,]+)\s*件中/);
+  if (m) return parseInt(m[1].replace(/,/g, ""), 10);
+
+  return null;
+}
+
+/**
+ * 初回：今月分をページングで集める
+ * - 「今月行が0件のページ」が出たら終了（今月の並び順前提）
+ * - 次へが無ければその時点で終了
+ * - stats: { pages, rows, stoppedBy, invalid } を書き込む（stoppedBy: boundary / no_next / max_pages、invalid: 日時が読めなかった行）
+ * - time: 日時の読み方（timeConfigFromEnv の形）
+ */
+async function collectThisMonthRows(
+  page,
+  headerMap,
+  prices,
+  maxPages = 50,
+  targetMonth = getNowMonthKeyJst(),
+  nextSelectors = [],
+  stats = {},
+  time = timeConfigFromEnv()
+) {
+  const out = [];
+  let foundAny = false;
+  // 同じ内容の行がページの境目で分かれても別の成果として数える
+  const dup = new Map();
+  Object.assign(stats, { pages: 0, rows: 0, stoppedBy: "max_pages", invalid: [] });
+
+  for (let p = 0; p < maxPages; p++) {
+    const rows = await extractRowsFromBestTable(page, headerMap);
+    const normalized = normalizeRows(rows, prices, time, stats.invalid, dup);
+    stats.pages += 1;
+    stats.rows += normalized.length;
+
+    const inMonth = normalized.filter((x) => x.monthKey === targetMonth);
+    if (DEBUG) {
+      const months = [...new Set(normalized.map((x) => x.monthKey))].slice(0, 5).join(",");
+      console.log(`[DEBUG] page=${p + 1} extracted=${normalized.length} inMonth=${inMonth.length} months=[${months}]`);
+    }
+
+    if (inMonth.length > 0) {
+      foundAny = true;
+      out.push(...inMonth);
+    } else if (foundAny) {
+      // 今月が出なくなった＝月境界を超えたとみなして終了
+      stats.stoppedBy = "boundary";
+      break;
+    }
+
+    const moved = await clickNextPage(page, headerMap, nextSelectors);
+    if (!moved) {
+      stats.stoppedBy = "no_next";
+      break;
+    }
+  }
+
+  return uniqByKey(out);
+}
+
+/**
+ * 通常：新規が無くなるまでページを辿る（バースト対策）
+ * - recheckPages までは新規が無くても辿り、既知の成果のステータス変化を拾う
+ * - scanned は辿ったページの全行（ステータス再確認用）
+ * - stats: { pages, rows, stoppedBy, invalid } を書き込む（stoppedBy: no_new / no_next / max_pages、invalid: 日時が読めなかった行）
+ * - time: 日時の読み方（timeConfigFromEnv の形）
+ */
+async function collectNewRowsUntilSeen(
+  page,
+  headerMap,
+  prices,
+  seenSet,
+  maxPages = 10,
+  recheckPages = 0,
+  nextSelectors = [],
+  stats = {},
+  time = timeConfigFromEnv()
+) {
+  const out = [];
+  const scanned = [];
+  const dup = new Map();
+  Object.assign(stats, { pages: 0, rows: 0, stoppedBy: "max_pages", invalid: [] });
+
+  for (let p = 0; p < maxPages; p++) {
+    const rows = await extractRowsFromBestTable(page, headerMap);
+    const normalized = normalizeRows(rows, prices, time, stats.invalid, dup);
+    scanned.push(...normalized);
+    stats.pages += 1;
+    stats.rows += normalized.length;
+
+    let newCount = 0;
+    for (const x of normalized) {
+      // 旧形式のキーで数えた成果も既知（monitor がキーを移す）
+      if (!seenSet.has(x.key) && !seenSet.has(x.legacyKey)) {
+        out.push(x);
+        newCount++;
+      }
+    }
+
+    if (DEBUG) console.log(`[DEBUG] normal page=${p + 1} extracted=${normalized.length} newInPage=${newCount}`);
+
+    if (newCount === 0 && p + 1 >= recheckPages) {
+      stats.stoppedBy = "no_new";
+      break;
+    }
+    const moved = await clickNextPage(page, headerMap, nextSelectors);
+    if (!moved) {
+      stats.stoppedBy = "no_next";
+      break;
+    }
+  }
+
+  return { newOnes: uniqByKey(out), scanned: uniqByKey(scanned) };
+}
+
+/**
+ * 管理画面の期間指定で CVログを絞り込む（過去分の補完用）
+ * - filter: { fromSelector, toSelector, submitSelector, format }（format は "YYYY/MM/DD" など）
+ * - 日付ピッカーでも入るよう、入力欄には value を直接入れて input / change を発火する
+ */
+async function applyDateFilter(page, filter, fromDate, toDate) {
+  const fmt = (d) =>
+    (filter.format || "YYYY/MM/DD").replace("YYYY", d.slice(0, 4)).replace("MM", d.slice(5, 7)).replace("DD", d.slice(8, 10));
+
+  for (const [sel, value] of [
+    [filter.fromSelector, fmt(fromDate)],
+    [filter.toSelector, fmt(toDate)],
+  ]) {
+    await page.waitForSelector(sel);
+    await page.$eval(
+      sel,
+      (el, v) => {
+        el.value = v;
+        el.dispatchEvent(new Event("input", { bubbles: true }));
+        el.dispatchEvent(new Event("change", { bubbles: true }));
+      },
+      value
+    );
+  }
+
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }).catch(() => null),
+    page.click(filter.submitSelector),
+  ]);
+  await sleep(800);
+  if (DEBUG) console.log(`[DEBUG] date filter ${fmt(fromDate)} - ${fmt(toDate)} url=${page.url()}`);
+}
+
+/**
+ * 過去分の補完：fromMonth〜toMonth の行をページングで集める
+ * - 新しい順の並び前提で、ページの行がすべて fromMonth より前になったら終了
+ * - 次へが無ければその時点で終了
+ * - invalid: 日時が読めなかった行を入れる配列（省略可）
+ */
+async function collectRowsInRange(
+  page,
+  headerMap,
+  prices,
+  fromMonth,
+  toMonth,
+  maxPages = 200,
+  nextSelectors = [],
+  time = timeConfigFromEnv(),
+  invalid = null
+) {
+  const out = [];
+  const dup = new Map();
+
+  for (let p = 0; p < maxPages; p++) {
+    const rows = await extractRowsFromBestTable(page, headerMap);
+    const normalized = normalizeRows(rows, prices, time, invalid, dup);
+
+    const inRange = normalized.filter((x) => x.monthKey >= fromMonth && x.monthKey <= toMonth);
+    out.push(...inRange);
+    if (DEBUG) console.log(`[DEBUG] backfill page=${p + 1} extracted=${normalized.length} inRange=${inRange.length}`);
+
+    if (normalized.length > 0 && normalized.every((x) => x.monthKey < fromMonth)) break;
+    const moved = await clickNextPage(page, headerMap, nextSelectors);
+    if (!moved) break;
+  }
+
+  return uniqByKey(out);
+}
+
+module.exports = {
+  KEY_VERSION,
+  conversionKey,
+  launchBrowser,
+  headerMapFromEnv,
+  timeConfigFromEnv,
+  checkTimeConfig,
+  uniqByKey,
+  waitForCvTable,
+  extractRowsFromBestTable,
+  parseAmount,
+  normalizeRows,
+  getTableSignature,
+  clickNextPage,
+  detectTotalCountIfPossible,
+  collectThisMonthRows,
+  collectNewRowsUntilSeen,
+  applyDateFilter,
+  collectRowsInRange,
+};
@@ -0,0 +1,103 @@
+// lib/slack.js (Slack incoming webhook / Block Kit)
+const { sleep } = require("./util");
+const { labelsFor, fmtMoney } = require("./templates");
+
+const MAX_RETRIES = Number(process.env.SLACK_MAX_RETRIES || 3);
+
+/**
+ * Slack に送る（blocks があれば Block Kit、text は通知欄用のフォールバック）
+ * - 429 は Retry-After（秒）だけ待って再送する
+ */
+async function postSlack(webhookUrl, text, { blocks } = {}) {
+  const payload = { text };
+  if (blocks) payload.blocks = blocks;
+  if (process.env.SLACK_CHANNEL) payload.channel = process.env.SLACK_CHANNEL;
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    if (res.ok) return;
+
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      const wait = Number(res.headers.get("retry-after")) || 2 ** attempt;
+      console.warn(`[WARN] Slack rate limited. Retry in ${wait}s (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(wait * 1000);
+      continue;
+    }
+
+    const body = await res.text().catch(() => "");
+    throw new Error(`Slack webhook failed: ${res.status} ${res.statusText} ${body}`);
+  }
+}
+
+/* ---------------- Block Kit ---------------- */
+
+// section の text は 3000 文字まで
+const mrkdwn = (text) => ({ type: "mrkdwn", text: String(text).slice(0, 3000) });
+const field = (label, value, L) => mrkdwn(`*${label}*\n${value || L.unknown}`);
+
+function linkBlock(url, L) {
+  return {
+    type: "actions",
+    elements: [{ type: "button", text: { type: "plain_text", text: L.openDashboard }, url }],
+  };
+}
+
+// 複数ソースの時は ASP 名と全ソース合計も出す
+function conversionBlocks(d, locale) {
+  const L = labelsFor(locale);
+  const fields = [
+    ...(d.sourceName ? [field(L.source, d.sourceName, L)] : []),
+    field(L.ad, d.adName, L),
+    field(L.site, d.siteName, L),
+    field(L.os, d.os, L),
+    field(L.referrer, d.referrer, L),
+    field(L.unit, d.unit > 0 ? fmtMoney(d.unit, locale) : L.unitMissing, L),
+    field(L.monthRevenue(d.monthKey), fmtMoney(d.monthRevenue, locale), L),
+    ...(d.combinedRevenueYen ? [field(L.combinedRevenue(d.monthKey), fmtMoney(d.combinedRevenue, locale), L)] : []),
+  ];
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: L.newConversion } },
+    // fields は 10 個まで
+    { type: "section", fields: fields.slice(0, 10) },
+    { type: "context", elements: [mrkdwn(`${L.time}: ${d.eventAt} / ${L.status}: ${d.status || L.unknown}`)] },
+  ];
+  if (d.progress?.length > 0) blocks.push({ type: "section", text: mrkdwn(d.progress.map((p) => L.progress(p, locale)).join("\n")) });
+  if (d.url) blocks.push(linkBlock(d.url, L));
+  return blocks;
+}
+
+function digestBlocks(d, locale) {
+  const L = labelsFor(locale);
+  const lines = d.byAd.map((a) => `• ${a.label || L.unknown}: ${L.count(a.count)} ${fmtMoney(a.gross, locale)}`);
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: L.newConversions(d.count) } },
+    {
+      type: "section",
+      fields: [
+        ...(d.sourceName ? [field(L.source, d.sourceName, L)] : []),
+        field(L.total, fmtMoney(d.total, locale), L),
+        ...d.months.flatMap((m) => [
+          field(L.monthRevenue(m.monthKey), fmtMoney(m.revenue, locale), L),
+          ...(m.combinedRevenueYen ? [field(L.combinedRevenue(m.monthKey), fmtMoney(m.combinedRevenue, locale), L)] : []),
+        ]),
+      ].slice(0, 10),
+    },
+    { type: "section", text: mrkdwn(`*${L.byAd}*\n${lines.join("\n")}`) },
+  ];
+  if (d.url) blocks.push(linkBlock(d.url, L));
+  return blocks;
+}
+
+/** 通知の種類に合う Block Kit（無ければ undefined で text だけ送る。locale は見出しの言語） */
+function blocksFor(msg, locale = "ja") {
+  if (!msg.data) return undefined;
+  if (msg.type === "conversion") return conversionBlocks(msg.data, locale);
+  if (msg.type === "digest") return digestBlocks(msg.data, locale);
+  return undefined;
+}
+
+module.exports = { postSlack, blocksFor };
@@ -0,0 +1,221 @@
+// lib/sources.js (監視する ASP・アカウントの一覧)
+//
+// sources.json（無ければ従来どおり環境変数の 1ソース。状態は cv_data.json / ledger/）
+// {
+//   "sources": [
+//     {
+//       "id": "adservice",
+//       "name": "アドサービス",
+//       "loginUrl": "https://admin.adservice.jp/",
+//       "afterLoginUrlPrefix": "https://admin.adservice.jp/partneradmin/",
+//       "cvLogUrl": "env:CV_LOG_URL",
+//       "credentials": { "idEnv": "ADSERVICE_ID", "passEnv": "ADSERVICE_PASS" },
+//       "selectors": { "username": "input[name=\"loginId\"]", "password": "input[name=\"password\"]", "submit": "button[type=\"submit\"]" },
+//       "headers": { "orderAt": "成果日時", "adName": "プログラム名" },
+//       "prices": "prices.json",
+//       "targets": "targets.json",
+//       "pagination": { "maxPages": 50, "maxPagesNormal": 10, "recheckPages": 3, "nextSelectors": ["a.pager-next"] },
+//       "csv": { "downloadSelector": "a.csv-download", "encoding": "shift_jis" },
+//       "dateFilter": { "fromSelector": "#date_from", "toSelector": "#date_to", "submitSelector": "button.search", "format": "YYYY/MM/DD" },
+//       "otp": { "secretEnv": "ADSERVICE_TOTP_SECRET", "selector": "input[name=\"otp\"]", "submit": "button[type=\"submit\"]" },
+//       "timezone": "Asia/Tokyo",
+//       "attribution": "order"
+//     }
+//   ]
+// }
+// - headers は HEADER_* の既定（headerMapFromEnv）に上書きする分だけ書く
+// - 状態は sources/<id>/cv_data.json と sources/<id>/ledger/ に分けて保存する（stateFile / ledgerDir で変更可）
+// - prices / targets を省略したソースは単価なし・目標なし
+// - csv を書くと、テーブルを読む代わりに CSV ダウンロードを読む（encoding は auto / utf8 / shift_jis）
+// - dateFilter は過去分の補完（commands/backfill.js）で月ごとに期間を絞る時に使う
+// - timezone は管理画面が日時を表示しているタイムゾーン（SOURCE_TIMEZONE、既定 Asia/Tokyo）。月・日の集計は JST に直して区切る
+// - attribution は売上を注文日時（order）とクリック日時（click）のどちらの月に数えるか（REVENUE_ATTRIBUTION、既定 order）
+// - otp を書くと、パスワードの後にワンタイムパスワード（TOTP）の入力欄が出た時に入力する
+// - ログインのクッキーは .session/<id>.json（SESSION_DIR で変更可）に保存して次の実行で使い回す。"session": false で無効
+// - 秘密情報は *Env（環境変数名）か "env:NAME" で渡す
+const fs = require("fs");
+const path = require("path");
+const { ROOT, STATE_FILE, PRICE_FILE, TARGET_FILE, LEDGER_DIR, mustEnv } = require("./util");
+const { headerMapFromEnv, timeConfigFromEnv, checkTimeConfig } = require("./scraper");
+
+const SOURCE_FILE = path.join(ROOT, "sources.json");
+const SESSION_DIR = path.join(ROOT, process.env.SESSION_DIR || ".session");
+
+const DEFAULT_SELECTORS = {
+  username: 'input[name="loginId"]',
+  password: 'input[name="password"]',
+  submit: 'button[type="submit"], input[type="submit"]',
+  otp: 'input[autocomplete="one-time-code"], input[name="otp"], input[name="code"]',
+};
+
+/** "env:NAME" を環境変数の値に置き換える */
+function resolveValue(v, env) {
+  if (typeof v === "string" && v.startsWith("env:")) return env[v.slice(4)] || "";
+  return v || "";
+}
+
+function paginationFromEnv(env) {
+  return {
+    maxPages: Number(env.MAX_PAGES || 50),
+    maxPagesNormal: Number(env.MAX_PAGES_NORMAL || 10),
+    recheckPages: Number(env.RECHECK_PAGES || 3),
+    nextSelectors: [],
+  };
+}
+
+/** ソースのクッキーの保存先（SESSION_REUSE=0 か "session": false なら null） */
+function sessionFileOf(id, enabled, env) {
+  if (!enabled || env.SESSION_REUSE === "0") return null;
+  return path.join(SESSION_DIR, `${id}.json`);
+}
+
+/** sources.json が無い時の 1ソース（従来の環境変数とファイル配置） */
+function defaultSource(env) {
+  return {
+    id: "default",
+    name: "",
+    loginUrl: env.LOGIN_URL || "https://admin.adservice.jp/",
+    afterLoginUrlPrefix: env.AFTER_LOGIN_URL_PREFIX || "https://admin.adservice.jp/partneradmin/",
+    cvLogUrl: env.CV_LOG_URL || "",
+    credentials: { id: env.ADSERVICE_ID || "", pass: env.ADSERVICE_PASS || "" },
+    credentialEnv: { id: "ADSERVICE_ID", pass: "ADSERVICE_PASS" },
+    selectors: {
+      username: env.USERNAME_SELECTOR || DEFAULT_SELECTORS.username,
+      password: env.PASSWORD_SELECTOR || DEFAULT_SELECTORS.password,
+      submit: env.SUBMIT_SELECTOR || DEFAULT_SELECTORS.submit,
+    },
+    headerMap: headerMapFromEnv(env),
+    time: checkTimeConfig(timeConfigFromEnv(env)),
+    pricesFile: PRICE_FILE,
+    targetsFile: TARGET_FILE,
+    pagination: paginationFromEnv(env),
+    stateFile: STATE_FILE,
+    ledgerDir: LEDGER_DIR,
+    csv: env.CSV_DOWNLOAD_SELECTOR ? { downloadSelector: env.CSV_DOWNLOAD_SELECTOR, encoding: env.CSV_ENCODING || "auto" } : null,
+    dateFilter: env.DATE_FILTER_FROM_SELECTOR
+      ? {
+          fromSelector: env.DATE_FILTER_FROM_SELECTOR,
+          toSelector: env.DATE_FILTER_TO_SELECTOR,
+          submitSelector: env.DATE_FILTER_SUBMIT_SELECTOR,
+          format: env.DATE_FILTER_FORMAT || "YYYY/MM/DD",
+        }
+      : null,
+    otp: env.TOTP_SECRET
+      ? {
+          secret: env.TOTP_SECRET,
+          secretEnv: "TOTP_SECRET",
+          selector: env.OTP_SELECTOR || DEFAULT_SELECTORS.otp,
+          submit: env.OTP_SUBMIT_SELECTOR || env.SUBMIT_SELECTOR || DEFAULT_SELECTORS.submit,
+        }
+      : null,
+    sessionFile: sessionFileOf("default", true, env),
+  };
+}
+
+function checkDateFilter(f, where) {
+  for (const k of ["fromSelector", "toSelector", "submitSelector"]) {
+    if (!f[k]) throw new Error(`${where}.${k} is required`);
+  }
+}
+
+function toSource(s, i, env) {
+  const where = `sources.json: sources[${i}]`;
+  if (!s || typeof s !== "object") throw new Error(`${where} must be an object`);
+  if (!/^[\w-]+$/.test(s.id || "")) throw new Error(`${where}.id is required (letters, digits, - and _ only)`);
+
+  const cred = s.credentials || {};
+  const pagination = { ...paginationFromEnv(env), ...(s.pagination || {}) };
+  if (!Array.isArray(pagination.nextSelectors)) throw new Error(`${where}.pagination.nextSelectors must be a list`);
+  if (s.csv && !s.csv.downloadSelector) throw new Error(`${where}.csv.downloadSelector is required`);
+  if (s.dateFilter) checkDateFilter(s.dateFilter, `${where}.dateFilter`);
+
+  const fileOf = (p) => (p ? path.resolve(ROOT, p) : null);
+  const otp = s.otp
+    ? {
+        secret: s.otp.secretEnv ? env[s.otp.secretEnv] || "" : resolveValue(s.otp.secret, env),
+        secretEnv: s.otp.secretEnv || "otp.secret",
+        selector: s.otp.selector || DEFAULT_SELECTORS.otp,
+        submit: s.otp.submit || s.selectors?.submit || DEFAULT_SELECTORS.submit,
+      }
+    : null;
+  const dir = path.join(ROOT, "sources", s.id);
+
+  return {
+    id: s.id,
+    name: s.name || s.id,
+    loginUrl: resolveValue(s.loginUrl, env),
+    afterLoginUrlPrefix: resolveValue(s.afterLoginUrlPrefix, env),
+    cvLogUrl: resolveValue(s.cvLogUrl, env),
+    credentials: {
+      id: cred.idEnv ? env[cred.idEnv] || "" : resolveValue(cred.id, env),
+      pass: cred.passEnv ? env[cred.passEnv] || "" : resolveValue(cred.pass, env),
+    },
+    credentialEnv: { id: cred.idEnv || "credentials.id", pass: cred.passEnv || "credentials.pass" },
+    selectors: { ...DEFAULT_SELECTORS, ...(s.selectors || {}) },
+    headerMap: { ...headerMapFromEnv(env), ...(s.headers || {}) },
+    time: checkTimeConfig({ ...timeConfigFromEnv(env), ...(s.timezone ? { timeZone: s.timezone } : {}), ...(s.attribution ? { attribution: s.attribution } : {}) }, ` (${where})`),
+    pricesFile: fileOf(s.prices),
+    targetsFile: fileOf(s.targets),
+    pagination,
+    stateFile: fileOf(s.stateFile) || path.join(dir, "cv_data.json"),
+    ledgerDir: fileOf(s.ledgerDir) || path.join(dir, "ledger"),
+    csv: s.csv || null,
+    dateFilter: s.dateFilter || null,
+    otp,
+    sessionFile: sessionFileOf(s.id, s.session !== false, env),
+  };
+}
+
+/**
+ * sources.json を読む（無ければ環境変数の 1ソース）
+ * - 戻り値の各ソース: { id, name, loginUrl, afterLoginUrlPrefix, cvLogUrl, credentials, selectors,
+ *   headerMap, time, pricesFile, targetsFile, pagination, stateFile, ledgerDir, csv, dateFilter, otp, sessionFile }
+ * - ログイン情報の有無はここでは見ない（集計系のコマンドでも使うため）。実行前に checkSourceEnv で確認する
+ */
+function loadSources(file = SOURCE_FILE, env = process.env) {
+  if (!fs.existsSync(file)) {
+    if (env.DATE_FILTER_FROM_SELECTOR) {
+      mustEnv("DATE_FILTER_TO_SELECTOR", env.DATE_FILTER_TO_SELECTOR);
+      mustEnv("DATE_FILTER_SUBMIT_SELECTOR", env.DATE_FILTER_SUBMIT_SELECTOR);
+    }
+    return [defaultSource(env)];
+  }
+
+  let conf;
+  try {
+    conf = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`sources.json is not valid JSON: ${err.message}`);
+  }
+
+  const list = conf.sources || [];
+  if (!Array.isArray(list) || list.length === 0) throw new Error("sources.json: sources is empty");
+
+  const sources = list.map((s, i) => toSource(s, i, env));
+  const ids = new Set();
+  for (const s of sources) {
+    if (ids.has(s.id)) throw new Error(`sources.json: duplicate id "${s.id}"`);
+    ids.add(s.id);
+  }
+  return sources;
+}
+
+/** スクレイピングに必要な値が揃っているか（足りなければ例外） */
+function checkSourceEnv(src) {
+  const where = src.name ? ` (${src.name})` : "";
+  if (!src.credentials.id) throw new Error(`Missing env: ${src.credentialEnv.id}${where}`);
+  if (!src.credentials.pass) throw new Error(`Missing env: ${src.credentialEnv.pass}${where}`);
+  if (!src.cvLogUrl) throw new Error(`Missing env: CV_LOG_URL${where}`);
+  if (!src.loginUrl || !src.afterLoginUrlPrefix) throw new Error(`loginUrl / afterLoginUrlPrefix are required${where}`);
+  if (src.otp && !src.otp.secret) throw new Error(`Missing env: ${src.otp.secretEnv}${where}`);
+}
+
+/** --source で絞り込む（省略時はすべて） */
+function pickSources(sources, id) {
+  if (!id) return sources;
+  const found = sources.filter((s) => s.id === id);
+  if (found.length === 0) throw new Error(`Unknown source: ${id} (have ${sources.map((s) => s.id).join(" / ")})`);
+  return found;
+}
+
+module.exports = { SOURCE_FILE, SESSION_DIR, loadSources, checkSourceEnv, pickSources };
@@ -0,0 +1,91 @@
+// lib/sqlitestore.js (状態と台帳を SQLite の1ファイルに保存する / STORAGE_BACKEND=sqlite)
+//
+// ファイルは STORAGE_SQLITE_FILE（既定 cv_data.db）。ソースごとに ns（ソース ID）で分ける。
+// better-sqlite3 は optionalDependencies なので、json / kv だけで使う時は入っていなくてもよい。
+const path = require("path");
+const { ROOT } = require("./util");
+
+const SQLITE_FILE = path.join(ROOT, process.env.STORAGE_SQLITE_FILE || "cv_data.db");
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch {
+    throw new Error("STORAGE_BACKEND=sqlite needs better-sqlite3 (npm install better-sqlite3)");
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      ns TEXT NOT NULL,
+      name TEXT NOT NULL,
+      body TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (ns, name)
+    );
+    CREATE TABLE IF NOT EXISTS locks (
+      ns TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+  return db;
+}
+
+/** ns: ソース ID */
+function createSqliteStore(ns, file = SQLITE_FILE) {
+  const db = openDatabase(file);
+  const getStmt = db.prepare("SELECT body FROM documents WHERE ns = ? AND name = ?");
+  const putStmt = db.prepare(
+    "INSERT INTO documents (ns, name, body, updated_at) VALUES (?, ?, ?, ?) " +
+      "ON CONFLICT (ns, name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at"
+  );
+  const listStmt = db.prepare("SELECT name FROM documents WHERE ns = ? AND substr(name, 1, length(?)) = ? ORDER BY name");
+
+  // 書き込みは全部まとめて1トランザクション（途中で落ちたら何も書かれない）
+  const putMany = db.transaction((entries) => {
+    const now = new Date().toISOString();
+    for (const [name, obj] of entries) {
+      obj.updatedAt = now;
+      putStmt.run(ns, name, JSON.stringify(obj), now);
+    }
+  });
+
+  // 期限切れのロックを消してから入れる。入らなければ他の実行が持っている
+  const acquire = db.transaction((owner, ttlMs) => {
+    const now = Date.now();
+    db.prepare("DELETE FROM locks WHERE ns = ? AND expires_at < ?").run(ns, now);
+    return db.prepare("INSERT OR IGNORE INTO locks (ns, owner, expires_at) VALUES (?, ?, ?)").run(ns, owner, now + ttlMs).changes > 0;
+  });
+
+  return {
+    name: "sqlite",
+    async get(name) {
+      const row = getStmt.get(ns, name);
+      return row ? JSON.parse(row.body) : null;
+    },
+    async putMany(entries) {
+      putMany.immediate(entries);
+    },
+    async list(prefix) {
+      return listStmt.all(ns, prefix, prefix).map((r) => r.name);
+    },
+    async acquireLock(owner, ttlMs) {
+      return acquire.immediate(owner, ttlMs);
+    },
+    async renewLock(owner, ttlMs) {
+      return db.prepare("UPDATE locks SET expires_at = ? WHERE ns = ? AND owner = ?").run(Date.now() + ttlMs, ns, owner).changes > 0;
+    },
+    async releaseLock(owner) {
+      db.prepare("DELETE FROM locks WHERE ns = ? AND owner = ?").run(ns, owner);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { SQLITE_FILE, createSqliteStore };
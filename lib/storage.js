@@ -0,0 +1,327 @@
+// lib/storage.js (状態と台帳の保存先・ロック・スキーマの版)
+//
+// STORAGE_BACKEND で保存先を選ぶ（ソースごとに名前空間を分ける）
+// - json（既定）: 今までどおり cv_data.json と ledger/YYYY-MM.json。一時ファイルに書いてから rename する
+// - sqlite: STORAGE_SQLITE_FILE（既定 cv_data.db）の1ファイル（lib/sqlitestore.js）
+// - kv: KV_URL の HTTP キーバリューストア（lib/kvstore.js）
+//
+// 中身は名前で出し入れする: "state"（cv_data.json の中身）、"ledger/YYYY-MM"（月の台帳）と "runs"（実行の記録。json では cv_data.runs.json）
+// 書き込む実行（監視・取り込み・付け直しなど）はソースごとにロックを取り、同時に回った実行が二重計上しないようにする。
+// ロックは LOCK_TTL_MIN（既定 15）分で切れるので、落ちた実行のロックは次の実行が引き取る。
+// 持っている間は期限の 1/3 ごとに延ばすので、TTL より長くかかる実行でもロックを取られない。
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { readJson, writeJson } = require("./util");
+const { LEDGER_VERSION, openLedgerBook, dirtyLedgers } = require("./ledger");
+
+const BACKENDS = ["json", "sqlite", "kv"];
+
+// state の版。上げる時は MIGRATIONS に「その版から次の版へ」の変換を足す
+const STATE_VERSION = 2;
+const MIGRATIONS = {
+  // 1 → 2: キーの版を明示する（keyVersion が無い初期化済みの状態は v1 のキー）、欠けた項目を埋める
+  1: (s) => {
+    if (s.initialized && s.keyVersion == null) s.keyVersion = 1;
+    s.seenKeys ||= [];
+    s.monthly ||= {};
+  },
+};
+
+function emptyState() {
+  return { version: STATE_VERSION, initialized: false, seenKeys: [], monthly: {}, updatedAt: null };
+}
+
+/**
+ * 古い版の state を今の版に上げる（このコードより新しい版なら例外）
+ * - quiet: 上げたことを表示しない（書き戻さない読み取り専用のコマンド用。毎回同じ表示になるので）
+ */
+function migrateState(state, { quiet = false } = {}) {
+  const from = Number(state.version) || 1;
+  if (from > STATE_VERSION) {
+    throw new Error(`State version ${from} is newer than this code supports (${STATE_VERSION}). Update the bot first.`);
+  }
+  for (let v = from; v < STATE_VERSION; v++) MIGRATIONS[v](state);
+  if (from < STATE_VERSION && !quiet) console.log(`[INFO] Migrated state from version ${from} to ${STATE_VERSION}.`);
+  state.version = STATE_VERSION;
+  return state;
+}
+
+function checkLedgerVersion(name, data) {
+  if ((Number(data.version) || 1) > LEDGER_VERSION) {
+    throw new Error(`${name} version ${data.version} is newer than this code supports (${LEDGER_VERSION}). Update the bot first.`);
+  }
+}
+
+/**
+ * JSON ファイル（今までの配置）
+ * - ロックは cv_data.json の隣の .lock ファイル（作れたら取得）
+ * - 期限切れの引き取り・延長・解除は .lock を一度自分だけの名前に移してから調べる（調べてから書く間に割り込まれないように）
+ */
+function createJsonStore(src) {
+  const lockFile = `${src.stateFile}.lock`;
+  const fileOf = (name) =>
+    name === "state"
+      ? src.stateFile
+      : name === "runs"
+        ? src.stateFile.replace(/\.json$/, "") + ".runs.json"
+        : path.join(src.ledgerDir, `${name.slice("ledger/".length)}.json`);
+
+  const readLock = () => readJson(lockFile, null);
+  const writeTmp = (owner, ttlMs) => {
+    const tmp = `${lockFile}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ owner, expiresAt: Date.now() + ttlMs }) + "\n");
+    return tmp;
+  };
+  // 書き終えた一時ファイルを .lock としてリンクする（既にあれば false。書きかけの .lock は見えない）
+  const placeLock = (tmp) => {
+    try {
+      fs.linkSync(tmp, lockFile);
+      return true;
+    } catch (err) {
+      if (err.code === "EEXIST") return false;
+      throw err;
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+  };
+  // .lock を自分だけの名前に移してから中身を見る（同時に引き取ろうとした他の実行は ENOENT になる。無ければ null）
+  const takeLock = () => {
+    const tmp = `${lockFile}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    try {
+      fs.renameSync(lockFile, tmp);
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    return { tmp, lock: readJson(tmp, null) };
+  };
+  const tryCreate = (owner, ttlMs) => placeLock(writeTmp(owner, ttlMs));
+
+  return {
+    name: "json",
+    async get(name) {
+      return readJson(fileOf(name), null);
+    },
+    async putMany(entries) {
+      for (const [name, obj] of entries) {
+        fs.mkdirSync(path.dirname(fileOf(name)), { recursive: true });
+        writeJson(fileOf(name), obj);
+      }
+    },
+    async list(prefix) {
+      if (prefix !== "ledger/" || !fs.existsSync(src.ledgerDir)) return [];
+      return fs
+        .readdirSync(src.ledgerDir)
+        .filter((f) => /^\d{4}-\d{2}\.json$/.test(f))
+        .map((f) => `ledger/${f.slice(0, 7)}`);
+    },
+    async acquireLock(owner, ttlMs) {
+      fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+      if (tryCreate(owner, ttlMs)) return true;
+      const cur = readLock();
+      if (cur && cur.expiresAt > Date.now()) return false;
+
+      // 期限切れを見てから移すまでに他の実行が引き取っていたら（移したのが新しいロックなら）戻して諦める
+      const taken = takeLock();
+      if (!taken) return tryCreate(owner, ttlMs);
+      if (taken.lock && taken.lock.expiresAt > Date.now()) {
+        placeLock(taken.tmp);
+        return false;
+      }
+      fs.rmSync(taken.tmp, { force: true });
+      return tryCreate(owner, ttlMs);
+    },
+    async renewLock(owner, ttlMs) {
+      // 移している間に他の実行が .lock を作ったら延ばせずに false（その実行のロックは消さない）
+      const taken = takeLock();
+      if (!taken) return false;
+      if (taken.lock?.owner !== owner) {
+        placeLock(taken.tmp);
+        return false;
+      }
+      fs.rmSync(taken.tmp, { force: true });
+      return tryCreate(owner, ttlMs);
+    },
+    async releaseLock(owner) {
+      const taken = takeLock();
+      if (!taken) return;
+      if (taken.lock?.owner === owner) fs.rmSync(taken.tmp, { force: true });
+      else placeLock(taken.tmp);
+    },
+    async close() {},
+  };
+}
+
+/** ソースの保存先を開く（backend 省略時は STORAGE_BACKEND、無ければ json） */
+function openStorage(src, backend = process.env.STORAGE_BACKEND || "json") {
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown STORAGE_BACKEND: ${backend} (use ${BACKENDS.join(" / ")})`);
+  const store =
+    backend === "sqlite"
+      ? require("./sqlitestore").createSqliteStore(src.id)
+      : backend === "kv"
+        ? require("./kvstore").createKvStore(src.id)
+        : createJsonStore(src);
+  store.owner = null;
+  return store;
+}
+
+/**
+ * ソースのロックを取る（他の実行が持っていれば false）
+ * - 取れたら unlock するまで他の実行は書き込めない
+ * - closeStorage まで期限の 1/3 ごとに延ばす。延ばせなかった（他の実行に引き取られた）ら以降の saveBook は例外
+ */
+async function lockStorage(store, ttlMin = Number(process.env.LOCK_TTL_MIN || 15)) {
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+  const ttlMs = ttlMin * 60 * 1000;
+  if (!(await store.acquireLock(owner, ttlMs))) return false;
+  store.owner = owner;
+  store.lockLost = false;
+
+  let renewing = null;
+  store.renewTimer = setInterval(() => {
+    if (renewing) return;
+    renewing = store
+      .renewLock(owner, ttlMs)
+      .then((ok) => {
+        if (ok) return;
+        store.lockLost = true;
+        clearInterval(store.renewTimer);
+        console.warn(`[WARN] Lost the storage lock (${store.name}). Another run took it over.`);
+      })
+      .catch((err) => console.warn(`[WARN] Renewing the storage lock failed: ${err?.message || err}`))
+      .finally(() => {
+        renewing = null;
+      });
+  }, ttlMs / 3);
+  store.renewTimer.unref();
+  return true;
+}
+
+async function closeStorage(store) {
+  clearInterval(store.renewTimer);
+  try {
+    if (store.owner) await store.releaseLock(store.owner);
+    store.owner = null;
+  } finally {
+    await store.close();
+  }
+}
+
+function checkLocked(store) {
+  if (!store.owner) throw new Error("Storage is not locked. Call lockStorage() before saving.");
+  if (store.lockLost) throw new Error("Storage lock was taken over by another run. Not saving.");
+}
+
+/** state を読む（無ければ空の状態。古い版は今の版に上げる。opts は migrateState と同じ） */
+async function loadState(store, opts = {}) {
+  const state = await store.get("state");
+  return state ? migrateState(state, opts) : emptyState();
+}
+
+/** 保存済みの台帳をすべて読む（monthKey → 台帳の中身） */
+async function loadLedgers(store) {
+  const out = new Map();
+  for (const name of (await store.list("ledger/")).sort()) {
+    const data = await store.get(name);
+    if (!data) continue;
+    checkLedgerVersion(name, data);
+    out.set(name.slice("ledger/".length), data);
+  }
+  return out;
+}
+
+/** state と台帳を読んで台帳の入れ物を作る */
+async function loadBook(store, opts = {}) {
+  const state = await loadState(store, opts);
+  return openLedgerBook(state, await loadLedgers(store));
+}
+
+/**
+ * 変更のあった月の台帳と state をまとめて書く（sqlite は1トランザクション）
+ * - ロックを取った実行だけが書ける
+ */
+async function saveBook(store, book) {
+  checkLocked(store);
+  const entries = dirtyLedgers(book).map(([m, data]) => [`ledger/${m}`, data]);
+  await store.putMany([...entries, ["state", book.state]]);
+  book.dirty.clear();
+}
+
+/** ソースの状態と台帳を読むだけ（ロックを取らない。集計・書き出し用） */
+async function readBook(src) {
+  const store = openStorage(src);
+  try {
+    return await loadBook(store, { quiet: true });
+  } finally {
+    await closeStorage(store);
+  }
+}
+
+/**
+ * ロックを取ってソースの状態と台帳を読み、fn(book, store) のあとでロックを外す
+ * - 他の実行がロックを持っていれば例外（書き込む系のコマンド用）
+ */
+async function withLockedBook(src, fn) {
+  const store = openStorage(src);
+  try {
+    if (!(await lockStorage(store))) throw new Error(`Source ${src.id} is locked by another run. Try again later.`);
+    return await fn(await loadBook(store), store);
+  } finally {
+    await closeStorage(store);
+  }
+}
+
+// 実行の記録は RUN_HISTORY_KEEP（既定 288。5分おきで1日分）件だけ残す。最後に成功した時刻は別に持つので、失敗が続いて押し出されても消えない
+function emptyRuns() {
+  return { version: 1, lastSuccessAt: null, runs: [], updatedAt: null };
+}
+
+/** 実行の記録を読む（無ければ空） */
+async function loadRuns(store) {
+  return (await store.get("runs")) || emptyRuns();
+}
+
+/**
+ * 実行の記録を1件足して書く（ロックを取った実行だけ）
+ * - record: { startedAt, finishedAt, ok, ... }（commands/run.js の runRecord）
+ * - 戻り値: 書いた後の記録
+ */
+async function appendRun(store, record, keep = Number(process.env.RUN_HISTORY_KEEP || 288)) {
+  checkLocked(store);
+  const doc = await loadRuns(store);
+  doc.runs = [...(doc.runs || []), record].slice(-keep);
+  if (record.ok) doc.lastSuccessAt = record.finishedAt;
+  await store.putMany([["runs", doc]]);
+  return doc;
+}
+
+/** ソースの実行の記録を読むだけ（ロックを取らない） */
+async function readRuns(src) {
+  const store = openStorage(src);
+  try {
+    return await loadRuns(store);
+  } finally {
+    await closeStorage(store);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  STATE_VERSION,
+  emptyState,
+  migrateState,
+  openStorage,
+  lockStorage,
+  closeStorage,
+  loadState,
+  loadLedgers,
+  loadBook,
+  saveBook,
+  readBook,
+  withLockedBook,
+  loadRuns,
+  appendRun,
+  readRuns,
+};
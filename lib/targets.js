@@ -0,0 +1,193 @@
+// lib/targets.js (月次売上目標・進捗・ペース)
+//
+// targets.json（無ければ目標機能はオフ）
+// {
+//   "overall": 500000,                  全体の月次目標。月ごとに変えるなら { "default": 500000, "2026-03": 600000 }
+//   "byAdId": { "1755": 300000 },       広告ID別の目標（書式は overall と同じ）
+//   "byAdName": { "広告名": 100000 },   広告名別の目標
+//   "thresholds": [50, 100, 150],       到達を知らせる割合（%）
+//   "behindMargin": 10                  着地見込みが目標を何%下回ったら知らせるか（0 で無効）
+// }
+// 売上は見込み（未確定 + 承認）で比べる。着地見込みは JST の経過日数で日割りする。
+const fs = require("fs");
+const { getNowDateKeyJst } = require("./util");
+const { emptyMonth, hasLedger, getLedger } = require("./ledger");
+const { templated } = require("./templates");
+
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function invalid(where, msg) {
+  return new Error(`Invalid targets.json: ${where} ${msg}`);
+}
+
+function validateTarget(v, where) {
+  const check = (n, w) => {
+    if (typeof n !== "number" || !Number.isFinite(n) || n <= 0) throw invalid(w, `must be a positive number (got ${JSON.stringify(n)})`);
+  };
+  if (typeof v === "number") return check(v, where);
+  if (!isObj(v)) throw invalid(where, "must be a number or an object of month -> amount");
+  for (const [k, n] of Object.entries(v)) {
+    if (k !== "default" && !/^\d{4}-\d{2}$/.test(k)) throw invalid(where, `has invalid month "${k}" (use YYYY-MM or default)`);
+    check(n, `${where}[${JSON.stringify(k)}]`);
+  }
+}
+
+function validateTargets(t) {
+  if (!isObj(t)) throw invalid("root", "must be an object");
+  if (t.overall != null) validateTarget(t.overall, "overall");
+  for (const table of ["byAdId", "byAdName"]) {
+    if (t[table] == null) continue;
+    if (!isObj(t[table])) throw invalid(table, "must be an object");
+    for (const [k, v] of Object.entries(t[table])) validateTarget(v, `${table}[${JSON.stringify(k)}]`);
+  }
+  if (t.thresholds != null) {
+    if (!Array.isArray(t.thresholds) || t.thresholds.some((n) => typeof n !== "number" || n <= 0)) {
+      throw invalid("thresholds", "must be a list of positive percentages");
+    }
+  }
+  if (t.behindMargin != null && (typeof t.behindMargin !== "number" || t.behindMargin < 0 || t.behindMargin >= 100)) {
+    throw invalid("behindMargin", "must be a percentage between 0 and 100");
+  }
+  return t;
+}
+
+/** targets.json を読む（無ければ null） */
+function loadTargets(file) {
+  if (!fs.existsSync(file)) return null;
+
+  let t;
+  try {
+    t = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`targets.json is not valid JSON: ${err.message}`);
+  }
+  return validateTargets(t);
+}
+
+function targetOf(v, monthKey) {
+  if (v == null) return null;
+  if (typeof v === "number") return v;
+  return v[monthKey] ?? v.default ?? null;
+}
+
+function daysInMonth(monthKey) {
+  const [y, m] = monthKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+/** 月の経過日数（当月は今日まで、過去月は全日数、未来月は 0） */
+function elapsedDays(monthKey, today) {
+  const cur = today.slice(0, 7);
+  if (monthKey < cur) return daysInMonth(monthKey);
+  if (monthKey > cur) return 0;
+  return Number(today.slice(8, 10));
+}
+
+/** 経過日数で日割りした月末の着地見込み */
+function projectMonthEnd(revenue, monthKey, today = getNowDateKeyJst()) {
+  const elapsed = elapsedDays(monthKey, today);
+  if (elapsed <= 0) return revenue;
+  return Math.round((revenue / elapsed) * daysInMonth(monthKey));
+}
+
+/** 台帳から広告ごとの見込み売上（否認を除く）を出す。繰越は広告別の内訳が無いので含まない */
+function adRevenue(book, monthKey, field, value) {
+  if (!hasLedger(book, monthKey)) return 0;
+  let sum = 0;
+  for (const r of getLedger(book, monthKey).data.conversions) {
+    if (r[field] !== value || r.statusClass === "rejected") continue;
+    sum += Number(r.unit) || 0;
+  }
+  return sum;
+}
+
+/**
+ * 月の目標一覧（全体 + 広告別）と現在の売上
+ * - 通知の文面では overall（全体なら true）と value（広告ID・広告名）で「全体」「案件 1755」と出す
+ */
+function goalsOf(targets, state, book, monthKey) {
+  const goals = [];
+  const overall = targetOf(targets.overall, monthKey);
+  if (overall) {
+    const revenue = (state.monthly?.[monthKey] || emptyMonth()).revenue;
+    goals.push({ id: "overall", overall: true, value: "", target: overall, revenue });
+  }
+
+  for (const [table, field] of [
+    ["byAdId", "adId"],
+    ["byAdName", "adName"],
+  ]) {
+    for (const [k, v] of Object.entries(targets[table] || {})) {
+      const target = targetOf(v, monthKey);
+      if (!target) continue;
+      goals.push({ id: `${field}:${k}`, overall: false, field, value: k, target, revenue: adRevenue(book, monthKey, field, k) });
+    }
+  }
+  return goals;
+}
+
+// 文面に出す割合（小数1桁の文字列）
+const pct = (revenue, target) => ((revenue / target) * 100).toFixed(1);
+
+/**
+ * 成果通知に付ける目標の進捗（目標が無ければ空）
+ * - 戻り値: [{ overall, value, percent, target, projected }]（文面は lib/templates.js の conversion の progress）
+ */
+function progressOf(targets, state, book, x, today = getNowDateKeyJst()) {
+  if (!targets) return [];
+
+  const out = [];
+  for (const g of goalsOf(targets, state, book, x.monthKey)) {
+    if (g.field && x[g.field] !== g.value) continue;
+    out.push({
+      overall: g.overall,
+      value: g.value,
+      percent: pct(g.revenue, g.target),
+      target: g.target,
+      projected: projectMonthEnd(g.revenue, x.monthKey, today),
+    });
+  }
+  return out;
+}
+
+/**
+ * 目標の到達・ペース遅れの通知を作る（{ type: "target", text, data }。data.kind は reached / behind）
+ * - 到達は thresholds ごとに月1回、ペース遅れは1日1回まで（state.targetAlerts に記録）
+ */
+function checkTargetAlerts(targets, state, book, monthKey, today = getNowDateKeyJst()) {
+  if (!targets) return [];
+
+  state.targetAlerts ||= {};
+  const fired = (state.targetAlerts[monthKey] ||= {});
+  const thresholds = [...(targets.thresholds || [50, 100, 150])].sort((a, b) => a - b);
+  const margin = targets.behindMargin ?? 10;
+  const messages = [];
+
+  for (const g of goalsOf(targets, state, book, monthKey)) {
+    const p = (g.revenue / g.target) * 100;
+    const done = (fired[g.id] ||= { reached: [], behindOn: null });
+    const goal = { overall: g.overall, value: g.value, monthKey, revenue: g.revenue, target: g.target };
+
+    const crossed = thresholds.filter((t) => p >= t && !done.reached.includes(t));
+    if (crossed.length > 0) {
+      done.reached.push(...crossed);
+      const top = crossed[crossed.length - 1];
+      messages.push(templated("target", { kind: "reached", ...goal, threshold: top, percent: pct(g.revenue, g.target) }));
+    }
+
+    // 月初は日割りがぶれるので、経過日数が月の1/4を過ぎてから判定する
+    if (margin > 0 && monthKey === today.slice(0, 7) && done.behindOn !== today) {
+      const elapsed = elapsedDays(monthKey, today);
+      const projected = projectMonthEnd(g.revenue, monthKey, today);
+      if (elapsed >= daysInMonth(monthKey) / 4 && projected < g.target * (1 - margin / 100)) {
+        done.behindOn = today;
+        messages.push(
+          templated("target", { kind: "behind", ...goal, elapsedDays: elapsed, projected, projectedPercent: pct(projected, g.target) })
+        );
+      }
+    }
+  }
+  return messages;
+}
+
+module.exports = { loadTargets, projectMonthEnd, progressOf, checkTargetAlerts };
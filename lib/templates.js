@@ -0,0 +1,526 @@
+// lib/templates.js (通知の文面テンプレート：日本語 / 英語のセットと、案件・サイトごとの文面)
+//
+// templates.json（無ければ組み込みの文面だけ。言語は NOTIFY_LOCALE、既定 ja）
+// {
+//   "locale": "ja",                                  既定の言語（ja / en）。notifiers.json のチャンネルの "locale" が優先
+//   "sets": { "en": { "conversion": "🎉 {{adName}} {{unit|jpy}}" } },   言語ごとに組み込みの文面を差し替える
+//   "rules": [                                       案件・サイトごとの文面（上から最初に当たったもの）
+//     { "adId": "1755", "template": { "ja": "🚨🎉 高単価案件 {{adName}} {{unit|yen}}", "en": "🚨🎉 Big one: {{adName}} {{unit|jpy}}" } },
+//     { "siteName": "サイトX", "types": ["conversion", "rejected"], "template": "..." },
+//     { "minUnit": 10000, "template": "..." }
+//   ]
+// }
+// - sets のキーは種類か「種類.kind」（health.held・anomaly.burst・report.daily など。data.kind ごとの文面で、種類だけのものより優先）
+// - rules の types を省略すると conversion だけ。adId / adName / siteName / minUnit は書いたものがすべて合えば当たり
+// 書式:
+// - {{name}} は通知の data の項目（成果の通知は normalizeRows の全項目 + monthRevenue / url / sourceName など）
+// - {{name|yen}} は「1,234円」、{{name|jpy}} は「¥1,234」、{{name|number}} は「1,234」、{{name|or:(不明)}} は空の時の代わり
+// - {{kind|issue}} はヘルスアラートの種類（login_rejected など）をその言語の原因の説明にする
+// - {{#name}}...{{/name}} は name が空・0 でない時だけ出す（配列なら要素ごとに繰り返す）。{{^name}}...{{/name}} は空・0 の時だけ
+const fs = require("fs");
+const { fmtYen } = require("./util");
+
+const LOCALES = ["ja", "en"];
+const MESSAGE_TYPES = ["conversion", "digest", "rejected", "unpriced", "target", "report", "health", "anomaly"];
+
+const BUILTIN = {
+  ja: {
+    conversion: `🎉 新しい成果が発生しました！
+
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}日時: {{eventAt}}
+案件: {{adName|or:(不明)}}
+サイト: {{siteName|or:(不明)}}
+ステータス: {{status|or:(不明)}}
+報酬単価: {{#unit}}{{unit|yen}}{{/unit}}{{^unit}}未設定（prices.jsonに追加してください）{{/unit}}
+今月の売上合計（現在）: {{monthRevenue|yen}}（{{monthKey}}）
+{{#combinedRevenueYen}}全ASPの売上合計（現在）: {{combinedRevenueYen}}（{{monthKey}}）
+{{/combinedRevenueYen}}{{#progress}}{{#overall}}全体{{/overall}}{{^overall}}案件 {{value}}{{/overall}}の目標進捗: {{percent}}%（目標 {{target|yen}}） / 月末着地見込み: {{projected|yen}}
+{{/progress}}管理画面を確認する: <{{url}}|管理画面を確認する>`,
+
+    digest: `🎉 新しい成果が {{count}}件 発生しました！
+
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}合計: {{total|yen}}
+{{#months}}今月の売上合計（現在）: {{revenue|yen}}（{{monthKey}}）
+{{#combinedRevenueYen}}全ASPの売上合計（現在）: {{combinedRevenueYen}}（{{monthKey}}）
+{{/combinedRevenueYen}}{{/months}}
+広告別:
+{{#byAd}}- {{label|or:(不明)}}: {{count}}件 {{revenueYen}}
+{{/byAd}}
+管理画面を確認する: <{{url}}|管理画面を確認する>`,
+
+    rejected: `⚠️ 成果が否認/キャンセルされました
+
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}日時: {{eventAt}}
+案件: {{adName|or:(不明)}}
+サイト: {{siteName|or:(不明)}}
+ステータス: {{prevStatus|or:(不明)}} → {{status|or:(不明)}}
+減額: {{unit|yen}}
+今月の売上合計（現在）: {{monthRevenue|yen}}（{{monthKey}}）
+{{#combinedRevenueYen}}全ASPの売上合計（現在）: {{combinedRevenueYen}}（{{monthKey}}）
+{{/combinedRevenueYen}}管理画面を確認する: <{{url}}|管理画面を確認する>`,
+
+    unpriced: `⚠️ 単価が未設定の広告ID/広告名があります（prices.jsonに追加してください）
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}{{#list}}- {{name}}
+{{/list}}`,
+
+    "target.reached": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🎯 {{#overall}}全体{{/overall}}{{^overall}}案件 {{value}}{{/overall}}の売上が目標の{{threshold}}%に到達しました！（{{monthKey}}）
+
+売上: {{revenue|yen}} / 目標: {{target|yen}}（{{percent}}%）`,
+
+    "target.behind": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}⚠️ {{#overall}}全体{{/overall}}{{^overall}}案件 {{value}}{{/overall}}の売上ペースが目標を下回っています（{{monthKey}}）
+
+売上: {{revenue|yen}}（{{elapsedDays}}日経過）
+月末着地見込み: {{projected|yen}} / 目標: {{target|yen}}（{{projectedPercent}}%）`,
+
+    health: `🩺 CV監視でエラーが起きています
+
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}原因: {{kind|issue}}
+詳細: {{detail}}
+{{#url}}URL: {{url}}
+{{/url}}{{#files}}スクリーンショット・HTML: {{files}}
+{{/files}}このままだと成果を取りこぼすおそれがあります。`,
+
+    "health.recovered": `✅ CV監視が復旧しました
+
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}直前の問題: {{prevKind|issue|or:-}}`,
+
+    "health.held": `🚨 1回の実行で新規の成果が {{count}}件 見つかりました（上限 {{limit}}件）
+
+{{#sourceName}}ASP: {{sourceName}}
+{{/sourceName}}表の形式が変わって成果のキーが変わった可能性があるため、通知と集計を止めています。
+例:
+{{#sample}}- {{eventAt}} {{ad|or:(不明)}} / {{siteName|or:(不明)}}
+{{/sample}}
+確認して node commands/held.js --accept（成果として数える）か --discard（既知として捨てる）を実行してください。`,
+
+    "anomaly.burst": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🚩 同じサイトから短時間に成果が集中しています
+
+サイト: {{siteName|or:(不明)}}
+{{windowMin}}分以内に {{count}}件（{{eventAt}} 前後）`,
+
+    "anomaly.quick_order": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🚩 クリックから注文までが短すぎる成果があります（{{thresholdSec}}秒未満）
+
+{{#list}}- {{orderAt}} {{ad|or:(不明)}} / {{siteName|or:(不明)}}（{{seconds}}秒）
+{{/list}}`,
+
+    "anomaly.drop": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}📉 ふだん発生している案件の成果が止まっています
+
+案件: {{label}}
+最後の成果: {{lastDay}}（それまでの{{lookbackDays}}日中 {{activeDays}}日で発生）`,
+
+    "anomaly.referrer_spike": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🚩 リファラからの成果が急増しています
+
+リファラ: {{referrer|or:(なし)}}
+今日: {{count}}件 / ふだん: 1日平均 {{averageText}}件（直近{{lookbackDays}}日）`,
+
+    // 定期レポート（lib/report.js）。内訳の行は前に改行を付ける（内訳が無い時に空行を残さない）
+    "report.daily": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}📊 日次レポート（{{date}}）
+
+成果: {{count}}件 / 売上: {{revenue|yen}}{{#rejected}}（否認 {{rejected|yen}}）{{/rejected}}
+今月の売上合計（現在）: {{monthRevenue|yen}}（{{monthKey}}）{{#breakdown}}
+
+広告別:{{#byAd}}
+- {{label|or:(不明)}}: {{count}}件 {{revenue|yen}}{{/byAd}}{{#byAdOthers}}
+- ほか {{byAdOthers}} 件{{/byAdOthers}}{{/breakdown}}`,
+
+    "report.weekly": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}📈 週次レポート（{{from}}〜{{to}}）
+
+成果: {{count}}件 / 売上: {{revenue|yen}}
+前週（{{prevFrom}}〜{{prevTo}}）: {{prevCount}}件 / {{prevRevenue|yen}}
+前週比: {{changePct}}（{{diffSign}}{{diff|yen}}）{{#breakdown}}
+
+広告別:{{#byAd}}
+- {{label|or:(不明)}}: {{count}}件 {{revenue|yen}}{{/byAd}}{{#byAdOthers}}
+- ほか {{byAdOthers}} 件{{/byAdOthers}}{{/breakdown}}`,
+
+    "report.monthly": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🧾 月次締めレポート（{{monthKey}}）
+
+売上: {{revenue|yen}}（承認 {{approved|yen}} / 未確定 {{pending|yen}} / 否認 {{rejected|yen}}）
+成果: {{count}}件
+前月（{{prevKey}}）: {{prevRevenue|yen}} / {{prevCount}}件
+前月比: {{changePct}}（{{diffSign}}{{diff|yen}}）{{#paceDay}}
+前月同日（{{paceDay}}日まで）比ペース: {{paceRevenue|yen}} vs {{prevPaceRevenue|yen}}（{{pacePct}}）{{/paceDay}}{{#breakdown}}
+
+広告別:{{#byAd}}
+- {{label|or:(不明)}}: {{count}}件 {{revenue|yen}}{{/byAd}}{{#byAdOthers}}
+- ほか {{byAdOthers}} 件{{/byAdOthers}}
+
+サイト別:{{#bySite}}
+- {{label|or:(不明)}}: {{count}}件 {{revenue|yen}}{{/bySite}}{{#bySiteOthers}}
+- ほか {{bySiteOthers}} 件{{/bySiteOthers}}{{/breakdown}}{{#carryOver}}
+
+※ 台帳導入前の {{carryOver}}件は内訳なし{{/carryOver}}`,
+  },
+
+  en: {
+    conversion: `🎉 New conversion!
+
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}Time: {{eventAt}}
+Ad: {{adName|or:(unknown)}}
+Site: {{siteName|or:(unknown)}}
+Status: {{status|or:(unknown)}}
+Payout: {{#unit}}{{unit|jpy}}{{/unit}}{{^unit}}not set (add it to prices.json){{/unit}}
+Revenue this month so far: {{monthRevenue|jpy}} ({{monthKey}})
+{{#combinedRevenueYen}}All networks this month so far: {{combinedRevenue|jpy}} ({{monthKey}})
+{{/combinedRevenueYen}}{{#progress}}{{#overall}}Overall{{/overall}}{{^overall}}Ad {{value}}{{/overall}} target: {{percent}}% of {{target|jpy}} / projected month end: {{projected|jpy}}
+{{/progress}}Open CV log: <{{url}}|Open CV log>`,
+
+    digest: `🎉 {{count}} new conversions!
+
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}Total: {{total|jpy}}
+{{#months}}Revenue this month so far: {{revenue|jpy}} ({{monthKey}})
+{{#combinedRevenueYen}}All networks this month so far: {{combinedRevenue|jpy}} ({{monthKey}})
+{{/combinedRevenueYen}}{{/months}}
+By ad:
+{{#byAd}}- {{label|or:(unknown)}}: {{count}} / {{gross|jpy}}
+{{/byAd}}
+Open CV log: <{{url}}|Open CV log>`,
+
+    rejected: `⚠️ A conversion was rejected or cancelled
+
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}Time: {{eventAt}}
+Ad: {{adName|or:(unknown)}}
+Site: {{siteName|or:(unknown)}}
+Status: {{prevStatus|or:(unknown)}} → {{status|or:(unknown)}}
+Deducted: {{unit|jpy}}
+Revenue this month so far: {{monthRevenue|jpy}} ({{monthKey}})
+{{#combinedRevenueYen}}All networks this month so far: {{combinedRevenue|jpy}} ({{monthKey}})
+{{/combinedRevenueYen}}Open CV log: <{{url}}|Open CV log>`,
+
+    unpriced: `⚠️ Some ad IDs / names have no payout set (add them to prices.json)
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}{{#list}}- {{name}}
+{{/list}}`,
+
+    "target.reached": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🎯 {{#overall}}Overall revenue{{/overall}}{{^overall}}Revenue for ad {{value}}{{/overall}} reached {{threshold}}% of the target! ({{monthKey}})
+
+Revenue: {{revenue|jpy}} / Target: {{target|jpy}} ({{percent}}%)`,
+
+    "target.behind": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}⚠️ {{#overall}}Overall revenue{{/overall}}{{^overall}}Revenue for ad {{value}}{{/overall}} is behind the target pace ({{monthKey}})
+
+Revenue: {{revenue|jpy}} ({{elapsedDays}} day(s) in)
+Projected month end: {{projected|jpy}} / Target: {{target|jpy}} ({{projectedPercent}}%)`,
+
+    health: `🩺 The CV monitor is failing
+
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}Cause: {{kind|issue}}
+Detail: {{detail}}
+{{#url}}URL: {{url}}
+{{/url}}{{#files}}Screenshot / HTML: {{files}}
+{{/files}}Conversions may be missed until this is fixed.`,
+
+    "health.recovered": `✅ The CV monitor has recovered
+
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}Previous issue: {{prevKind|issue|or:-}}`,
+
+    "health.held": `🚨 {{count}} new conversions in one run (limit {{limit}})
+
+{{#sourceName}}Network: {{sourceName}}
+{{/sourceName}}The table layout may have changed and with it the conversion keys, so notifications and totals are on hold.
+Examples:
+{{#sample}}- {{eventAt}} {{ad|or:(unknown)}} / {{siteName|or:(unknown)}}
+{{/sample}}
+Check them and run node commands/held.js --accept (count them) or --discard (treat them as already seen).`,
+
+    "anomaly.burst": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🚩 Many conversions from one site in a short time
+
+Site: {{siteName|or:(unknown)}}
+{{count}} within {{windowMin}} min (around {{eventAt}})`,
+
+    "anomaly.quick_order": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🚩 Orders placed too soon after the click (under {{thresholdSec}}s)
+
+{{#list}}- {{orderAt}} {{ad|or:(unknown)}} / {{siteName|or:(unknown)}} ({{seconds}}s)
+{{/list}}`,
+
+    "anomaly.drop": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}📉 An ad that usually converts has stopped
+
+Ad: {{label}}
+Last conversion: {{lastDay}} (converted on {{activeDays}} of the {{lookbackDays}} days before)`,
+
+    "anomaly.referrer_spike": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🚩 Conversions from one referrer jumped
+
+Referrer: {{referrer|or:(none)}}
+Today: {{count}} / Usual: {{averageText}} a day (last {{lookbackDays}} days)`,
+
+    "report.daily": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}📊 Daily report ({{date}})
+
+Conversions: {{count}} / Revenue: {{revenue|jpy}}{{#rejected}} (rejected {{rejected|jpy}}){{/rejected}}
+Revenue this month so far: {{monthRevenue|jpy}} ({{monthKey}}){{#breakdown}}
+
+By ad:{{#byAd}}
+- {{label|or:(unknown)}}: {{count}} / {{revenue|jpy}}{{/byAd}}{{#byAdOthers}}
+- and {{byAdOthers}} more{{/byAdOthers}}{{/breakdown}}`,
+
+    "report.weekly": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}📈 Weekly report ({{from}} to {{to}})
+
+Conversions: {{count}} / Revenue: {{revenue|jpy}}
+Previous week ({{prevFrom}} to {{prevTo}}): {{prevCount}} / {{prevRevenue|jpy}}
+Week over week: {{changePct}} ({{diffSign}}{{diff|jpy}}){{#breakdown}}
+
+By ad:{{#byAd}}
+- {{label|or:(unknown)}}: {{count}} / {{revenue|jpy}}{{/byAd}}{{#byAdOthers}}
+- and {{byAdOthers}} more{{/byAdOthers}}{{/breakdown}}`,
+
+    "report.monthly": `{{#sourceName}}[{{sourceName}}] {{/sourceName}}🧾 Month-end report ({{monthKey}})
+
+Revenue: {{revenue|jpy}} (approved {{approved|jpy}} / pending {{pending|jpy}} / rejected {{rejected|jpy}})
+Conversions: {{count}}
+Previous month ({{prevKey}}): {{prevRevenue|jpy}} / {{prevCount}}
+Month over month: {{changePct}} ({{diffSign}}{{diff|jpy}}){{#paceDay}}
+Pace vs. last month (through day {{paceDay}}): {{paceRevenue|jpy}} vs {{prevPaceRevenue|jpy}} ({{pacePct}}){{/paceDay}}{{#breakdown}}
+
+By ad:{{#byAd}}
+- {{label|or:(unknown)}}: {{count}} / {{revenue|jpy}}{{/byAd}}{{#byAdOthers}}
+- and {{byAdOthers}} more{{/byAdOthers}}
+
+By site:{{#bySite}}
+- {{label|or:(unknown)}}: {{count}} / {{revenue|jpy}}{{/bySite}}{{#bySiteOthers}}
+- and {{bySiteOthers}} more{{/bySiteOthers}}{{/breakdown}}{{#carryOver}}
+
+Note: {{carryOver}} conversion(s) counted before the ledger existed have no breakdown{{/carryOver}}`,
+  },
+};
+
+// Slack の Block Kit の見出し
+const LABELS = {
+  ja: {
+    newConversion: "🎉 新しい成果が発生しました！",
+    newConversions: (n) => `🎉 新しい成果が ${n}件 発生しました！`,
+    source: "ASP",
+    ad: "案件",
+    site: "サイト",
+    os: "OS",
+    referrer: "リファラ",
+    unit: "報酬単価",
+    unitMissing: "未設定（prices.jsonに追加してください）",
+    monthRevenue: (m) => `今月の売上合計（${m}）`,
+    combinedRevenue: (m) => `全ASPの売上合計（${m}）`,
+    total: "合計",
+    byAd: "広告別",
+    time: "日時",
+    status: "ステータス",
+    unknown: "(不明)",
+    count: (n) => `${n}件`,
+    openDashboard: "管理画面を確認する",
+    progress: (p) => `${p.overall ? "全体" : `案件 ${p.value}`}の目標進捗: ${p.percent}%（目標 ${fmtYen(p.target)}） / 月末着地見込み: ${fmtYen(p.projected)}`,
+    // ヘルスアラートの原因（lib/diagnostics.js の KINDS）
+    issues: {
+      login_rejected: "ログインに失敗しました（ID・パスワードかログイン画面の変更）",
+      captcha: "CAPTCHA が表示されています",
+      maintenance: "管理画面がメンテナンス中です",
+      table_not_found: "CVログの表が見つかりません",
+      headers_changed: "CVログの表の見出しが変わっています（HEADER_* を確認してください）",
+      count_mismatch: "画面の総件数まで読めていません（ページ送りが途中で止まった可能性）",
+      unparsed_time: "日時が読めない成果があります（数えていません。日時の表示形式か SOURCE_TIMEZONE を確認してください）",
+      no_success: "しばらく成功した実行がありません（成果が無いのではなく、監視が動いていない可能性があります）",
+      unknown: "不明なエラー",
+    },
+  },
+  en: {
+    newConversion: "🎉 New conversion!",
+    newConversions: (n) => `🎉 ${n} new conversions!`,
+    source: "Network",
+    ad: "Ad",
+    site: "Site",
+    os: "OS",
+    referrer: "Referrer",
+    unit: "Payout",
+    unitMissing: "not set (add it to prices.json)",
+    monthRevenue: (m) => `Revenue this month (${m})`,
+    combinedRevenue: (m) => `All networks (${m})`,
+    total: "Total",
+    byAd: "By ad",
+    time: "Time",
+    status: "Status",
+    unknown: "(unknown)",
+    count: (n) => `${n}`,
+    openDashboard: "Open CV log",
+    progress: (p) => `${p.overall ? "Overall" : `Ad ${p.value}`} target: ${p.percent}% of ${FILTERS.jpy(p.target)} / projected month end: ${FILTERS.jpy(p.projected)}`,
+    issues: {
+      login_rejected: "Login failed (wrong ID / password or the login page changed)",
+      captcha: "A CAPTCHA is shown",
+      maintenance: "The dashboard is under maintenance",
+      table_not_found: "The CV log table was not found",
+      headers_changed: "The CV log table headers changed (check HEADER_*)",
+      count_mismatch: "Fewer rows were read than the total on the page (pagination may have stopped early)",
+      unparsed_time: "Some conversions have an unreadable date/time (not counted; check the date format or SOURCE_TIMEZONE)",
+      no_success: "No run has succeeded for a while (the monitor may not be running, rather than there being no conversions)",
+      unknown: "Unknown error",
+    },
+  },
+};
+
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function invalid(where, msg) {
+  return new Error(`Invalid templates.json: ${where} ${msg}`);
+}
+
+function checkLocale(locale, where) {
+  if (!LOCALES.includes(locale)) throw invalid(where, `must be one of ${LOCALES.join(" / ")} (got ${JSON.stringify(locale)})`);
+}
+
+function checkType(type, where) {
+  if (!MESSAGE_TYPES.includes(type)) throw invalid(where, `has unknown type ${JSON.stringify(type)} (use ${MESSAGE_TYPES.join(" / ")})`);
+}
+
+// sets のキー（"health.held" のように kind を付けてもよい）
+function checkTemplateKey(key, where) {
+  const [type, kind, ...rest] = key.split(".");
+  if (kind === "" || rest.length > 0) throw invalid(where, `has invalid key ${JSON.stringify(key)} (use type or type.kind)`);
+  checkType(type, where);
+}
+
+function validateTemplates(t) {
+  if (!isObj(t)) throw invalid("root", "must be an object");
+  if (t.locale != null) checkLocale(t.locale, "locale");
+
+  if (t.sets != null) {
+    if (!isObj(t.sets)) throw invalid("sets", "must be an object of locale -> templates");
+    for (const [locale, set] of Object.entries(t.sets)) {
+      checkLocale(locale, "sets key");
+      if (!isObj(set)) throw invalid(`sets.${locale}`, "must be an object of type -> template");
+      for (const [key, tpl] of Object.entries(set)) {
+        checkTemplateKey(key, `sets.${locale} key`);
+        if (typeof tpl !== "string") throw invalid(`sets.${locale}.${key}`, "must be a string");
+      }
+    }
+  }
+
+  if (t.rules != null) {
+    if (!Array.isArray(t.rules)) throw invalid("rules", "must be a list");
+    t.rules.forEach((r, i) => {
+      const where = `rules[${i}]`;
+      if (!isObj(r)) throw invalid(where, "must be an object");
+      if (r.adId == null && r.adName == null && r.siteName == null && r.minUnit == null) {
+        throw invalid(where, "needs adId, adName, siteName or minUnit");
+      }
+      if (r.minUnit != null && (typeof r.minUnit !== "number" || r.minUnit < 0)) throw invalid(`${where}.minUnit`, "must be a number");
+      if (r.types != null && !Array.isArray(r.types)) throw invalid(`${where}.types`, "must be a list");
+      for (const type of r.types || []) checkType(type, `${where}.types`);
+      if (typeof r.template === "string") return;
+      if (!isObj(r.template) || Object.keys(r.template).length === 0) {
+        throw invalid(`${where}.template`, "must be a string or an object of locale -> string");
+      }
+      for (const [locale, tpl] of Object.entries(r.template)) {
+        checkLocale(locale, `${where}.template key`);
+        if (typeof tpl !== "string") throw invalid(`${where}.template.${locale}`, "must be a string");
+      }
+    });
+  }
+  return t;
+}
+
+/** templates.json を読む（無ければ組み込みの文面だけ） */
+function loadTemplates(file, env = process.env) {
+  let t = {};
+  if (fs.existsSync(file)) {
+    try {
+      t = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`templates.json is not valid JSON: ${err.message}`);
+    }
+    validateTemplates(t);
+  }
+  const locale = t.locale || env.NOTIFY_LOCALE || "ja";
+  checkLocale(locale, "locale (NOTIFY_LOCALE)");
+  return { locale, sets: t.sets || {}, rules: t.rules || [] };
+}
+
+const FILTERS = {
+  yen: (v) => fmtYen(v),
+  jpy: (v) => `¥${new Intl.NumberFormat("en-US").format(Math.round(Number(v) || 0))}`,
+  number: (v) => new Intl.NumberFormat("ja-JP").format(Number(v) || 0),
+  issue: (v, locale) => labelsFor(locale).issues[v] || v,
+};
+
+function applyFilters(v, filters, locale) {
+  for (const f of filters) {
+    const [name, arg] = [f.split(":")[0].trim(), f.slice(f.indexOf(":") + 1)];
+    if (name === "or") v = v == null || v === "" ? arg : v;
+    else if (FILTERS[name]) v = v == null || v === "" ? v : FILTERS[name](v, locale);
+  }
+  return v;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : v != null && v !== "" && v !== 0 && v !== false);
+
+const SECTION = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+
+/** 文面のテンプレートを vars で埋める（書式はファイル冒頭のとおり。無い項目は空文字。locale は issue の言語） */
+function renderTemplate(template, vars, locale = "ja") {
+  const out = String(template).replace(SECTION, (_, kind, k, inner) => {
+    const v = vars[k];
+    if (kind === "^") return truthy(v) ? "" : renderTemplate(inner, vars, locale);
+    if (!truthy(v)) return "";
+    if (Array.isArray(v)) {
+      return v.map((item) => renderTemplate(inner, isObj(item) ? { ...vars, ...item } : { ...vars, ".": item }, locale)).join("");
+    }
+    return renderTemplate(inner, vars, locale);
+  });
+  return out.replace(/\{\{\s*([\w.]+)\s*((?:\|[^|}]+)*)\}\}/g, (_, k, filters) => {
+    const v = applyFilters(vars[k], filters.split("|").slice(1), locale);
+    return v == null ? "" : String(v);
+  });
+}
+
+/** 通知に当たる rules の文面（無ければ null） */
+function ruleTemplate(conf, msg, locale) {
+  const d = msg.data || {};
+  for (const r of conf.rules) {
+    if (!(r.types || ["conversion"]).includes(msg.type)) continue;
+    if (r.adId != null && String(d.adId ?? "") !== String(r.adId)) continue;
+    if (r.adName != null && d.adName !== r.adName) continue;
+    if (r.siteName != null && d.siteName !== r.siteName) continue;
+    if (r.minUnit != null && !(Number(d.unit) >= r.minUnit)) continue;
+    if (typeof r.template === "string") return r.template;
+    const tpl = r.template[locale] ?? r.template[conf.locale] ?? Object.values(r.template)[0];
+    if (tpl != null) return tpl;
+  }
+  return null;
+}
+
+/**
+ * 通知の文面を言語と rules に合わせて作る
+ * - conf: loadTemplates の戻り値（null なら組み込みの日本語）
+ * - 戻り値: { text, custom }（custom は rules の文面を使った時 true。Slack は Block Kit を使わずに text だけ送る）
+ * - 文面は sets の「種類.kind」→ sets の種類 → 組み込みの「種類.kind」→ 組み込みの種類 の順に探す
+ * - data が無い通知や組み込みの文面が無い種類は msg.text のまま
+ */
+function renderMessage(msg, conf = null, locale = conf?.locale || "ja") {
+  if (!msg.data) return { text: msg.text, custom: false };
+  const custom = conf ? ruleTemplate(conf, msg, locale) : null;
+  if (custom) return { text: renderTemplate(custom, msg.data, locale).trimEnd(), custom: true };
+
+  const keys = msg.data.kind ? [`${msg.type}.${msg.data.kind}`, msg.type] : [msg.type];
+  const sets = [conf?.sets?.[locale], BUILTIN[locale]];
+  const tpl = sets.flatMap((set) => keys.map((k) => set?.[k])).find((t) => t != null);
+  return { text: tpl ? renderTemplate(tpl, msg.data, locale).trimEnd() : msg.text, custom: false };
+}
+
+/** 組み込みの日本語の文面で作った通知（送る時にチャンネルの言語や templates.json の rules で作り直す） */
+function templated(type, data) {
+  return { type, text: renderMessage({ type, data }).text, data };
+}
+
+function labelsFor(locale) {
+  return LABELS[locale] || LABELS.ja;
+}
+
+/** 金額をその言語の書き方にする（ja は「1,234円」、en は「¥1,234」） */
+function fmtMoney(n, locale = "ja") {
+  return locale === "ja" ? FILTERS.yen(n) : FILTERS.jpy(n);
+}
+
+module.exports = { LOCALES, loadTemplates, renderTemplate, renderMessage, templated, labelsFor, fmtMoney };
@@ -0,0 +1,46 @@
+// lib/totp.js (2段階認証のワンタイムパスワード / RFC 6238 TOTP)
+//
+// 秘密鍵は認証アプリに登録する Base32 の文字列（QR コードの secret=...）。HMAC-SHA1・30秒・6桁。
+const crypto = require("crypto");
+
+/** Base32（RFC 4648）を Buffer にする。空白・ハイフン・"=" は無視する */
+function base32Decode(s) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  const clean = String(s || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+
+  for (const c of clean) {
+    const i = alphabet.indexOf(c);
+    if (i < 0) throw new Error(`Invalid base32 character in OTP secret: ${c}`);
+    value = (value << 5) | i;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * 今のワンタイムパスワードを作る
+ * - 戻り値: { code, remainingSec }（remainingSec は今のコードが切り替わるまでの秒数）
+ */
+function totp(secret, { now = Date.now(), step = 30, digits = 6 } = {}) {
+  const counter = Math.floor(now / 1000 / step);
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return {
+    code: String(bin % 10 ** digits).padStart(digits, "0"),
+    remainingSec: step - (Math.floor(now / 1000) % step),
+  };
+}
+
+module.exports = { base32Decode, totp };
@@ -0,0 +1,272 @@
+// lib/util.js (共通ユーティリティ・パス)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { applyConfig } = require("./config");
+
+// config.json の値を、環境変数が無い時の既定にする（環境変数を読む下の定数より先に当てはめる）
+const CONFIG = applyConfig();
+
+const ROOT = process.cwd();
+const STATE_FILE = path.join(ROOT, "cv_data.json");
+const PRICE_FILE = path.join(ROOT, "prices.json");
+const TARGET_FILE = path.join(ROOT, "targets.json");
+const NOTIFIER_FILE = path.join(ROOT, "notifiers.json");
+const TEMPLATE_FILE = path.join(ROOT, "templates.json");
+const LEDGER_DIR = path.join(ROOT, process.env.LEDGER_DIR || "ledger");
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const DEBUG = process.env.DEBUG === "1";
+
+function mustEnv(name, v) {
+  if (!v) throw new Error(`Missing env: ${name}`);
+  return v;
+}
+
+/**
+ * 一時的な失敗（タイムアウト・通信エラー）だけ間隔を倍にしながらやり直す
+ * - retries: やり直す回数（RETRIES、既定 2）。baseMs: 最初の待ち時間（RETRY_BASE_MS、既定 3000）
+ * - ID・パスワード違いのような失敗はやり直さない（アカウントのロックを避ける）。HTTP 5xx はやり直す
+ */
+async function withRetry(label, fn, { retries = Number(process.env.RETRIES || 2), baseMs = Number(process.env.RETRY_BASE_MS || 3000) } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isTransientError(err)) throw err;
+      const wait = baseMs * 2 ** attempt + Math.floor(Math.random() * 1000);
+      console.warn(`[WARN] ${label} failed (${err?.message || err}). Retry ${attempt + 1}/${retries} in ${Math.round(wait / 1000)}s.`);
+      await sleep(wait);
+    }
+  }
+}
+
+function isTransientError(err) {
+  const msg = err?.message || String(err);
+  return err?.name === "TimeoutError" || /timeout|net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|fetch failed|HTTP 5\d\d|Navigating frame was detached/i.test(msg);
+}
+
+function readJson(p, fallback) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/** 途中で落ちても壊れたファイルが残らないよう、一時ファイルに書いてから置き換える */
+function writeJson(p, obj) {
+  obj.updatedAt = new Date().toISOString();
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, p);
+}
+
+function norm(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim();
+}
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+function fmtYen(n) {
+  const v = Math.round(Number(n) || 0);
+  return `${new Intl.NumberFormat("ja-JP").format(v)}円`;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// ★重要：YYYY/MM, YYYY-MM, YYYY年MM月 などを確実に YYYY-MM に正規化
+function monthKeyFrom(dateTimeStr) {
+  const s = norm(dateTimeStr);
+  const m = s.match(/(\d{4})\s*[-\/\.年]\s*(\d{1,2})/);
+  if (m) return `${m[1]}-${pad2(m[2])}`;
+  // フォールバック
+  const t = s.slice(0, 7).replace("/", "-");
+  return t.length === 7 ? t : "unknown";
+}
+
+// YYYY/MM/DD, YYYY-MM-DD, YYYY年MM月DD日 などを YYYY-MM-DD に正規化（取れなければ ""）
+function dateKeyFrom(dateTimeStr) {
+  const m = norm(dateTimeStr).match(/(\d{4})\s*[-\/\.年]\s*(\d{1,2})\s*[-\/\.月]\s*(\d{1,2})/);
+  return m ? `${m[1]}-${pad2(m[2])}-${pad2(m[3])}` : "";
+}
+
+// 月・日の集計は JST で区切る（管理画面が別のタイムゾーンで表示していても JST に直して数える）
+const REPORT_TZ = "Asia/Tokyo";
+
+/** timeZone の utcMs 時点での UTC からのずれ（ミリ秒） */
+function zoneOffsetMs(timeZone, utcMs) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(utcMs))
+      .map((p) => [p.type, p.value])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(utcMs / 1000) * 1000;
+}
+
+/** タイムゾーン名が正しいか（IANA 名。例: Asia/Tokyo, America/Los_Angeles, UTC） */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 日時の文字列を epoch ミリ秒にする（読めなければ null）
+ * - "YYYY/MM/DD HH:MM(:SS)"・"YYYY-MM-DDTHH:MM:SS"・"YYYY年MM月DD日 HH時MM分" など（曜日の "(木)" は読み飛ばす）。時刻が無ければ 0時
+ * - 末尾に AM / PM、午前 / 午後があれば12時間制として読む
+ * - "Z" や "+09:00" が付いていればそのずれ、無ければ timeZone の時刻として読む
+ */
+function parseDateTime(dateTimeStr, timeZone = REPORT_TZ) {
+  const s = norm(dateTimeStr);
+  const m = s.match(
+    /^(\d{4})\s*[-\/\.年]\s*(\d{1,2})\s*[-\/\.月]\s*(\d{1,2})日?(?:\s*[(（][^)）]*[)）])?(?:\s*(?:T|\s)\s*(午前|午後)?\s*(\d{1,2})\s*[:時]\s*(\d{1,2})\s*分?(?:\s*:?\s*(\d{1,2})(?:\.\d+)?\s*秒?)?)?\s*(AM|PM)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+  );
+  if (!m) return null;
+
+  const [y, mo, d, mi, sec] = [m[1], m[2], m[3], m[6], m[7]].map((v) => Number(v || 0));
+  let h = Number(m[5] || 0);
+  const meridiem = (m[4] || m[8] || "").toUpperCase();
+  if (meridiem) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (meridiem === "PM" || meridiem === "午後" ? 12 : 0);
+  }
+
+  const local = Date.UTC(y, mo - 1, d, h, mi, sec);
+  const back = new Date(local);
+  // 2月30日や25時のような値は Date が繰り上げるので、読み直して一致しなければ無効
+  if (back.getUTCMonth() !== mo - 1 || back.getUTCDate() !== d || back.getUTCHours() !== h || mi > 59 || sec > 59) return null;
+
+  if (m[9]) {
+    if (m[9].toUpperCase() === "Z") return local;
+    const [, sign, oh, om] = m[9].match(/([+-])(\d{2}):?(\d{2})/);
+    return local - (sign === "-" ? -1 : 1) * (Number(oh) * 60 + Number(om)) * 60 * 1000;
+  }
+  // 夏時間の切り替わりをまたぐ時のため、ずれを2回求める
+  const guess = local - zoneOffsetMs(timeZone, local);
+  return local - zoneOffsetMs(timeZone, guess);
+}
+
+/** epoch ミリ秒を JST の "YYYY-MM-DD" にする */
+function dateKeyJst(ms) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: REPORT_TZ }).format(new Date(ms));
+}
+
+/**
+ * 成果の日時（epoch ミリ秒。読めなければ null）
+ * - eventTs（タイムゾーンを直した ISO 形式）が無い古い記録は eventAt を JST として読む
+ */
+function eventTime(x) {
+  if (x.eventTs) return Date.parse(x.eventTs);
+  return parseDateTime(x.eventAt);
+}
+
+/** 成果を数える日（JST の "YYYY-MM-DD"） */
+function eventDateKey(x) {
+  if (x.eventTs) return dateKeyJst(Date.parse(x.eventTs));
+  return dateKeyFrom(x.eventAt);
+}
+
+/** 成果を日時順に並べる比較関数（日時が読めないものは後ろ） */
+function compareEventTime(a, b) {
+  return (eventTime(a) ?? Infinity) - (eventTime(b) ?? Infinity) || String(a.eventAt).localeCompare(String(b.eventAt));
+}
+
+/** "2026-01" 〜 "2026-03" のような範囲を月キーの配列に展開 */
+function monthsBetween(fromKey, toKey) {
+  const a = monthKeyFrom(fromKey);
+  const b = monthKeyFrom(toKey);
+  if (a === "unknown" || b === "unknown") throw new Error(`Invalid month range: ${fromKey}..${toKey}`);
+
+  const out = [];
+  let [y, m] = a.split("-").map(Number);
+  for (;;) {
+    const k = `${y}-${pad2(m)}`;
+    if (k > b) break;
+    out.push(k);
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return out;
+}
+
+/** "2026-01-31" に n 日足す（日付だけの計算なので UTC で扱う） */
+function addDays(dateKey, n) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function prevMonthKey(monthKey) {
+  return addDays(`${monthKey}-01`, -1).slice(0, 7);
+}
+
+/** 月末日（"YYYY-MM" → "YYYY-MM-DD"） */
+function lastDayOfMonth(monthKey) {
+  const [y, m] = monthKey.split("-").map(Number);
+  return `${monthKey}-${pad2(new Date(Date.UTC(y, m, 0)).getUTCDate())}`;
+}
+
+function getNowDateKeyJst() {
+  return dateKeyJst(Date.now());
+}
+
+function getNowMonthKeyJst() {
+  return getNowDateKeyJst().slice(0, 7);
+}
+
+module.exports = {
+  CONFIG,
+  ROOT,
+  STATE_FILE,
+  PRICE_FILE,
+  TARGET_FILE,
+  NOTIFIER_FILE,
+  TEMPLATE_FILE,
+  LEDGER_DIR,
+  DEBUG,
+  sleep,
+  mustEnv,
+  withRetry,
+  readJson,
+  writeJson,
+  norm,
+  sha1,
+  fmtYen,
+  pad2,
+  monthKeyFrom,
+  dateKeyFrom,
+  REPORT_TZ,
+  isValidTimeZone,
+  parseDateTime,
+  dateKeyJst,
+  eventTime,
+  eventDateKey,
+  compareEventTime,
+  monthsBetween,
+  addDays,
+  prevMonthKey,
+  lastDayOfMonth,
+  getNowDateKeyJst,
+  getNowMonthKeyJst,
+};
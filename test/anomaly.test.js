@@ -0,0 +1,99 @@
+// test/anomaly.test.js (lib/anomaly.js の異常の疑いの検出)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { openLedgerBook, recordConversion } = require("../lib/ledger");
+const { anomalySettings, checkAnomalies } = require("../lib/anomaly");
+const { addDays } = require("../lib/util");
+
+const TODAY = "2026-03-20";
+const medium = anomalySettings("medium");
+
+let seq = 0;
+function conv(day, time, over = {}) {
+  const at = `${day.replace(/-/g, "/")} ${time}`;
+  return { key: `k${++seq}`, eventAt: at, orderAt: at, adId: "1755", adName: "広告A", siteName: "サイトA", referrer: "", monthKey: day.slice(0, 7), ...over };
+}
+
+// 台帳に記録して、その成果を返す
+function record(book, rows) {
+  for (const x of rows) recordConversion(book, x);
+  return rows;
+}
+
+const newBook = () => openLedgerBook({ initialized: true, seenKeys: [], monthly: {} });
+const kinds = (messages) => messages.map((m) => m.data.kind);
+
+test("感度の名前", () => {
+  assert.equal(anomalySettings("off"), null);
+  assert.equal(anomalySettings("high").burstCount, 3);
+  assert.throws(() => anomalySettings("max"), /Unknown ANOMALY_SENSITIVITY: max/);
+  assert.deepEqual(checkAnomalies(newBook(), [], null, TODAY), []);
+});
+
+test("集中：同じサイトから短時間に burstCount 件で1回だけ知らせる", () => {
+  const book = newBook();
+  record(book, [conv(TODAY, "10:00", { siteName: "サイトB" }), conv(TODAY, "10:01", { siteName: "サイトB" })]);
+  const newOnes = record(book, ["10:03", "10:05", "10:09"].map((t) => conv(TODAY, t, { siteName: "サイトB" })));
+
+  const messages = checkAnomalies(book, newOnes, medium, TODAY);
+  assert.deepEqual(kinds(messages), ["burst"]);
+  assert.equal(messages[0].type, "anomaly");
+  assert.equal(messages[0].data.siteName, "サイトB");
+  assert.equal(messages[0].data.count, 5);
+
+  assert.deepEqual(checkAnomalies(book, newOnes, medium, TODAY), []);
+  // 窓の外なら数えない
+  const spread = newBook();
+  const late = record(spread, ["09:00", "09:20", "09:40", "10:00", "10:20"].map((t) => conv(TODAY, t)));
+  assert.deepEqual(checkAnomalies(spread, late, medium, TODAY), []);
+});
+
+test("即時注文：クリックから注文まで minClickToOrderSec 秒未満（時刻の無い日時は見ない）", () => {
+  const book = newBook();
+  const newOnes = record(book, [
+    conv(TODAY, "12:00:10", { clickAt: "2026/03/20 12:00:00" }),
+    conv(TODAY, "12:05:00", { clickAt: "2026/03/20 12:00:00" }),
+    conv(TODAY, "12:00:05", { clickAt: "2026/03/20" }),
+  ]);
+  const messages = checkAnomalies(book, newOnes, medium, TODAY);
+  assert.deepEqual(kinds(messages), ["quick_order"]);
+  assert.equal(messages[0].data.count, 1);
+  assert.equal(messages[0].data.list[0].seconds, 10);
+});
+
+test("途絶：ふだん毎日出る広告が dropSilentDays 日ゼロなら、再開するまで1回だけ知らせる", () => {
+  const book = newBook();
+  const lastDay = addDays(TODAY, -medium.dropSilentDays - 1);
+  for (let i = 0; i < 12; i++) record(book, [conv(addDays(lastDay, -i), "10:00")]);
+
+  const messages = checkAnomalies(book, [], medium, TODAY);
+  assert.deepEqual(kinds(messages), ["drop"]);
+  assert.equal(messages[0].data.adKey, "1755");
+  assert.equal(messages[0].data.lastDay, lastDay);
+  assert.deepEqual(checkAnomalies(book, [], medium, addDays(TODAY, 1)), []);
+
+  // まばらにしか出ない広告は途絶とみなさない
+  const sparse = newBook();
+  for (let i = 0; i < 12; i += 2) record(sparse, [conv(addDays(lastDay, -i), "10:00")]);
+  assert.deepEqual(checkAnomalies(sparse, [], medium, TODAY), []);
+});
+
+test("リファラ急増：今日の件数がふだんの1日平均の spikeRatio 倍以上かつ spikeMinCount 件以上", () => {
+  const book = newBook();
+  for (let i = 1; i <= 14; i++) record(book, [conv(addDays(TODAY, -i), "03:00", { referrer: "https://blog.example/", siteName: `サイト${i}` })]);
+  const times = ["00:00", "01:00", "02:00", "03:00", "04:00", "05:00", "06:00", "07:00", "08:00", "09:00"];
+  const newOnes = record(book, times.map((t, i) => conv(TODAY, t, { referrer: "https://blog.example/", siteName: `サイト${i}` })));
+
+  const messages = checkAnomalies(book, newOnes, medium, TODAY);
+  assert.deepEqual(kinds(messages), ["referrer_spike"]);
+  assert.equal(messages[0].data.count, 10);
+  assert.equal(messages[0].data.averageText, "1.0");
+  assert.deepEqual(checkAnomalies(book, newOnes, medium, TODAY), []);
+
+  // ふだんから多いリファラは急増ではない
+  for (let i = 1; i <= 14; i++) {
+    record(book, times.slice(0, 4).map((t, j) => conv(addDays(TODAY, -i), t, { referrer: "https://blog.example/", siteName: `他${j}` })));
+  }
+  book.state.anomalyAlerts = {};
+  assert.deepEqual(checkAnomalies(book, newOnes, medium, TODAY), []);
+});
@@ -0,0 +1,67 @@
+// test/backfill.test.js (commands/backfill.js の台帳への取り込み)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { statusClassOf, openLedgerBook, getLedger, recordConversion, syncMonthly } = require("../lib/ledger");
+const { backfillBook } = require("../commands/backfill");
+
+const conv = (key, monthKey, status = "発生") => ({
+  key,
+  eventAt: `${monthKey.replace("-", "/")}/10 12:00`,
+  adId: "1755",
+  adName: "広告A",
+  status,
+  statusClass: statusClassOf(status),
+  unit: 0,
+  monthKey,
+});
+const prices = { byAdId: { 1755: { price: 1000, tiers: [{ after: 2, price: 1500 }] } } };
+
+// 2026-02 に d、2026-03 に a・b（b は承認済み）を数えた状態
+function sampleBook() {
+  const book = openLedgerBook({ seenKeys: ["a", "b", "d"], monthly: {} });
+  recordConversion(book, { ...conv("d", "2026-02"), unit: 1000 });
+  recordConversion(book, { ...conv("a", "2026-03"), unit: 1000 });
+  recordConversion(book, { ...conv("b", "2026-03", "承認"), unit: 1000 });
+  syncMonthly(book);
+  book.dirty.clear();
+  return book;
+}
+
+test("既定は足りない成果を段階単価の続きから足し、既知の成果はステータスだけ更新する", () => {
+  const book = sampleBook();
+  const rows = [conv("a", "2026-03", "否認"), conv("b", "2026-03", "承認"), conv("c", "2026-03")];
+  const out = backfillBook(book, prices, rows, ["2026-02", "2026-03"]);
+
+  assert.deepEqual(out["2026-03"], {
+    found: 3,
+    added: 1,
+    statusChanges: 1,
+    total: { revenue: 2500, count: 3, pending: 1500, approved: 1000, rejected: 1000 },
+  });
+  assert.deepEqual(out["2026-02"].found, 0);
+  assert.equal(getLedger(book, "2026-03").index.get("c").unit, 1500);
+  assert.deepEqual(book.state.seenKeys.slice().sort(), ["a", "b", "c", "d"]);
+});
+
+test("--replace は行が見つかった月だけ台帳を作り直し、既知の成果も数え直す", () => {
+  const book = sampleBook();
+  const rows = [conv("a", "2026-03", "否認"), conv("c", "2026-03")];
+  const out = backfillBook(book, prices, rows, ["2026-02", "2026-03"], { replace: true });
+
+  assert.deepEqual(out["2026-03"], {
+    found: 2,
+    added: 2,
+    statusChanges: 0,
+    total: { revenue: 1000, count: 2, pending: 1000, approved: 0, rejected: 1000 },
+  });
+  assert.deepEqual(
+    getLedger(book, "2026-03").data.conversions.map((r) => r.key),
+    ["a", "c"]
+  );
+  // 行の無かった月の台帳は消さない
+  assert.deepEqual(
+    getLedger(book, "2026-02").data.conversions.map((r) => r.key),
+    ["d"]
+  );
+  assert.deepEqual(out["2026-02"].total, { revenue: 1000, count: 1, pending: 1000, approved: 0, rejected: 0 });
+});
@@ -0,0 +1,57 @@
+// test/config.test.js (index.js のコマンドの選び方と config.json の既定値)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateConfig, applyConfig } = require("../lib/config");
+const { commandOf, main } = require("../index");
+
+function writeConfig(t, conf) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cv-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "config.json");
+  fs.writeFileSync(file, typeof conf === "string" ? conf : JSON.stringify(conf));
+  return file;
+}
+
+test("コマンド名は省略時 run、2語のコマンドも選べる", () => {
+  assert.equal(commandOf([]), "run");
+  assert.equal(commandOf(["status"]), "status");
+  assert.equal(commandOf(["prices", "check"]), "prices check");
+  assert.equal(commandOf(["prices"]), null);
+  assert.equal(commandOf(["summary"]), null);
+});
+
+test("知らないコマンドや形の違う --month は実行前に止める", async () => {
+  await assert.rejects(main(["nope"]), /Unknown command: nope/);
+  await assert.rejects(main(["status", "--month", "2026-3"]), /--month must be YYYY-MM/);
+  await assert.rejects(main(["--bogus"]), /Unknown option '--bogus'/);
+});
+
+test("config.json はまだ無い環境変数にだけ入れ、環境変数が優先される", (t) => {
+  const file = writeConfig(t, { MAX_PAGES: 30, HEADER_ORDER_AT: "成果日時", HEADLESS: false });
+  const env = { MAX_PAGES: "5" };
+  const out = applyConfig(file, env);
+
+  assert.deepEqual(out, { file, applied: ["HEADER_ORDER_AT", "HEADLESS"], overridden: ["MAX_PAGES"] });
+  assert.deepEqual(env, { MAX_PAGES: "5", HEADER_ORDER_AT: "成果日時", HEADLESS: "false" });
+});
+
+test("設定ファイルが無い時は既定なら何もせず、指定されていれば例外", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cv-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => process.chdir(cwd));
+
+  assert.equal(applyConfig(undefined, {}), null);
+  assert.throws(() => applyConfig("missing.json", {}), /Config file not found/);
+});
+
+test("config.json の中身を検査する", (t) => {
+  assert.throws(() => applyConfig(writeConfig(t, "{"), {}), /is not valid JSON/);
+  assert.throws(() => validateConfig([], "c.json"), /root must be an object/);
+  assert.throws(() => validateConfig({ maxPages: 1 }, "c.json"), /"maxPages" is not an env var name/);
+  assert.throws(() => validateConfig({ MAX_PAGES: [1] }, "c.json"), /MAX_PAGES must be a string, number or boolean/);
+});
@@ -0,0 +1,49 @@
+// test/csv.test.js (lib/csv.js の CSV の読み書きと文字コード)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv, decodeCsv, parseCsv } = require("../lib/csv");
+
+test("囲み・カンマ・改行・\"\" を読む", () => {
+  const text = '\uFEFF日時,広告名,メモ\r\n2026/03/01 10:00,"広告A, 春",""ok""\r\n2026/03/02 11:00,"2行\n目","言う""はい"""\n\n';
+  assert.deepEqual(parseCsv(text), [
+    ["日時", "広告名", "メモ"],
+    ["2026/03/01 10:00", "広告A, 春", "ok"],
+    ["2026/03/02 11:00", "2行\n目", '言う"はい"'],
+  ]);
+});
+
+test("最後の行に改行が無くても読み、空行は捨てる", () => {
+  assert.deepEqual(parseCsv("a,b\r\n\r\n,\r\nc,"), [
+    ["a", "b"],
+    ["c", ""],
+  ]);
+});
+
+test("toCsv は BOM と CRLF を付け、必要なセルだけ囲む（parseCsv で元に戻る）", () => {
+  const rows = [{ id: 1, name: '広告"A"', memo: "a,b" }, { id: 2, name: null, memo: "改\n行" }];
+  const csv = toCsv(rows, ["id", "name", "memo"]);
+  assert.equal(csv, '\uFEFFid,name,memo\r\n1,"広告""A""","a,b"\r\n2,,"改\n行"\r\n');
+  assert.deepEqual(parseCsv(csv), [
+    ["id", "name", "memo"],
+    ["1", '広告"A"', "a,b"],
+    ["2", "", "改\n行"],
+  ]);
+});
+
+// "成果,①～" を Shift_JIS（CP932）で
+const SJIS = Buffer.from([0x90, 0xac, 0x89, 0xca, 0x2c, 0x87, 0x40, 0x81, 0x60]);
+
+test("auto は UTF-8 として読めなければ Shift_JIS（CP932）で読む", () => {
+  assert.equal(decodeCsv(SJIS), "成果,①～");
+  // BOM は TextDecoder が取り除く
+  assert.equal(decodeCsv(Buffer.from("\uFEFF成果,①", "utf8")), "成果,①");
+  assert.equal(decodeCsv(Buffer.from("成果", "utf8")), "成果");
+});
+
+test("encoding の指定", () => {
+  assert.equal(decodeCsv(SJIS, "Shift_JIS"), "成果,①～");
+  assert.equal(decodeCsv(SJIS, "cp932"), "成果,①～");
+  assert.equal(decodeCsv(SJIS, "windows-31j"), "成果,①～");
+  assert.equal(decodeCsv(Buffer.from("成果", "utf8"), "utf-8"), "成果");
+  assert.throws(() => decodeCsv(SJIS, "euc-jp"), /Unknown CSV encoding: euc-jp/);
+});
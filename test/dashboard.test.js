@@ -0,0 +1,101 @@
+// test/dashboard.test.js (commands/dashboard.js の集計と API の入力チェック)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { statusClassOf, openLedgerBook, recordConversion, syncMonthly } = require("../lib/ledger");
+const { monthsOf, daysOf, breakdownOf, createDashboardServer } = require("../commands/dashboard");
+
+const conv = (key, eventAt, unit, over = {}) => ({
+  key,
+  eventAt,
+  adId: "1755",
+  adName: "広告A",
+  siteName: "サイトA",
+  os: "iOS",
+  status: "発生",
+  statusClass: "pending",
+  unit,
+  monthKey: eventAt.slice(0, 7).replace("/", "-"),
+  ...over,
+});
+
+function view(id, convs, monthly = {}) {
+  const book = openLedgerBook({ monthly });
+  for (const x of convs) recordConversion(book, x);
+  syncMonthly(book);
+  return { src: { id, name: id }, book, prices: {} };
+}
+
+function sampleViews() {
+  return [
+    view("a", [
+      conv("a1", "2026/02/28 23:00", 1000),
+      conv("a2", "2026/03/01 10:00", 1000),
+      conv("a3", "2026/03/01 11:00", 500, { status: "否認", statusClass: statusClassOf("否認") }),
+    ]),
+    view("b", [conv("b1", "2026/03/03 09:00", 2000, { adId: "900", adName: "広告B", siteName: "" })]),
+  ];
+}
+
+test("月ごとの合計はソースをまたいで足し、from / to で絞る", () => {
+  const views = sampleViews();
+  assert.deepEqual(
+    monthsOf(views).map((m) => [m.month, m.revenue, m.count, m.rejected]),
+    [
+      ["2026-02", 1000, 1, 0],
+      ["2026-03", 3000, 3, 500],
+    ]
+  );
+  assert.deepEqual(monthsOf(views, { from: "2026-03" }).map((m) => m.month), ["2026-03"]);
+  assert.deepEqual(monthsOf(views, { to: "2026-02" }).map((m) => m.month), ["2026-02"]);
+});
+
+test("日ごとの合計は成果の無い日も 0 で並べる", () => {
+  const days = daysOf(sampleViews(), "2026-03");
+  assert.equal(days.length, 31);
+  assert.deepEqual(days[0], { date: "2026-03-01", count: 2, revenue: 1000, rejected: 500 });
+  assert.deepEqual(days[1], { date: "2026-03-02", count: 0, revenue: 0, rejected: 0 });
+  assert.deepEqual(days[2], { date: "2026-03-03", count: 1, revenue: 2000, rejected: 0 });
+});
+
+test("内訳は売上の多い順、空の項目は (不明) にまとめる", () => {
+  const views = sampleViews();
+  assert.deepEqual(
+    breakdownOf(views, "2026-03", "ad").map((x) => [x.label, x.revenue, x.count]),
+    [
+      ["900 広告B", 2000, 1],
+      ["1755 広告A", 1000, 2],
+    ]
+  );
+  assert.deepEqual(breakdownOf(views, "2026-03", "site").map((x) => x.label), ["(不明)", "サイトA"]);
+  assert.throws(() => breakdownOf(views, "2026-03", "color"), /Unknown breakdown: color/);
+});
+
+async function listen(t, opts) {
+  const server = createDashboardServer([{ id: "a", name: "ソースA" }], opts);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (path, headers = {}) => {
+    const res = await fetch(base + path, { headers });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+test("DASHBOARD_TOKEN があればトークンの無いリクエストは 401", async (t) => {
+  const get = await listen(t, { token: "s3cret" });
+  assert.equal((await get("/api/sources")).status, 401);
+  assert.equal((await get("/api/sources?token=nope")).status, 401);
+  assert.deepEqual(await get("/api/sources", { Authorization: "Bearer s3cret" }), { status: 200, body: [{ id: "a", name: "ソースA" }] });
+  assert.equal((await get("/api/sources?token=s3cret")).status, 200);
+});
+
+test("存在しない月や知らないソースは 400、知らないパスは 404", async (t) => {
+  const get = await listen(t, {});
+  assert.deepEqual(await get("/api/days?month=2026-13"), { status: 400, body: { error: "month must be YYYY-MM" } });
+  assert.equal((await get("/api/days?month=2026-00")).status, 400);
+  assert.equal((await get("/api/days?month=2026-3")).status, 400);
+  assert.deepEqual(await get("/api/months?from=2026-01&to=2026-99"), { status: 400, body: { error: "to must be YYYY-MM" } });
+  assert.deepEqual(await get("/api/days?source=zzz"), { status: 400, body: { error: "Unknown source: zzz (have a)" } });
+  assert.equal((await get("/api/breakdown?by=color")).status, 400);
+  assert.equal((await get("/api/nope")).status, 404);
+});
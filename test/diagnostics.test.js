@@ -0,0 +1,24 @@
+// test/diagnostics.test.js (lib/diagnostics.js の成功が途絶えた時と記録が無い時の判定)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkNoSuccess, checkNoHistory } = require("../lib/diagnostics");
+
+const now = Date.parse("2026-03-10T12:00:00Z");
+const hoursAgo = (h) => new Date(now - h * 60 * 60 * 1000).toISOString();
+
+test("最後の成功から時間が過ぎたら no_success（一度も成功していなければ最初の実行から数える）", () => {
+  assert.equal(checkNoSuccess({ lastSuccessAt: hoursAgo(5), runs: [] }, 6, now), null);
+  assert.match(checkNoSuccess({ lastSuccessAt: hoursAgo(7), runs: [] }, 6, now).detail, /no successful run in 7 hour\(s\)/);
+  assert.match(checkNoSuccess({ lastSuccessAt: null, runs: [{ startedAt: hoursAgo(8) }] }, 6, now).detail, /never succeeded/);
+  assert.equal(checkNoSuccess({ lastSuccessAt: hoursAgo(100), runs: [] }, 0, now), null);
+  // 記録が無ければ判定しない（監視の実行では初回なので）
+  assert.equal(checkNoSuccess({ lastSuccessAt: null, runs: [] }, 6, now), null);
+});
+
+test("watchdog 用: 実行の記録が無ければ no_success として知らせる", () => {
+  const issue = checkNoHistory({ lastSuccessAt: null, runs: [] });
+  assert.equal(issue.kind, "no_success");
+  assert.match(issue.detail, /no run history found/);
+  assert.equal(checkNoHistory({ lastSuccessAt: null, runs: [{ startedAt: hoursAgo(1) }] }), null);
+  assert.equal(checkNoHistory({ lastSuccessAt: hoursAgo(1), runs: [] }), null);
+});
@@ -0,0 +1,68 @@
+// test/keys.test.js (成果のキー v2 と旧形式のキーからの移行)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeRows } = require("../lib/scraper");
+const { openLedgerBook, getLedger, recordConversion, migrateLegacyKeys } = require("../lib/ledger");
+
+const row = (over = {}) => ({
+  orderAt: "2026/03/10 12:00",
+  adId: "1755",
+  adName: "広告A",
+  siteName: "サイトA",
+  os: "iOS",
+  referrer: "",
+  status: "発生",
+  orderId: "",
+  rowId: "",
+  href: "",
+  ...over,
+});
+const keysOf = (rows, dup) => normalizeRows(rows, {}, undefined, null, dup).map((x) => x.key);
+
+test("注文IDがあれば注文IDだけでキーを決める", () => {
+  const [a] = keysOf([row({ orderId: "A-1" })]);
+  const [b] = keysOf([row({ orderId: "A-1", adName: "広告A（改名）", orderAt: "2026/03/10 12:01", href: "/cv/9" })]);
+  const [c] = keysOf([row({ orderId: "A-2" })]);
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+});
+
+test("注文IDが無ければ表示内容で決め、rowId / href の変化では変わらない（旧形式のキーは変わる）", () => {
+  const [a] = normalizeRows([row({ rowId: "r1", href: "/cv/1" })], {});
+  const [b] = normalizeRows([row({ rowId: "r7", href: "/cv/7" })], {});
+  assert.equal(a.key, b.key);
+  assert.notEqual(a.legacyKey, b.legacyKey);
+  assert.notEqual(a.key, a.legacyKey);
+  assert.notEqual(keysOf([row({ siteName: "サイトB" })])[0], a.key);
+});
+
+test("同じ内容の行は何件目かで区別し、ページをまたいでも同じキーになる", () => {
+  const same = [row(), row(), row()];
+  const onePage = keysOf(same);
+  assert.equal(new Set(onePage).size, 3);
+
+  const dup = new Map();
+  const paged = [...keysOf(same.slice(0, 2), dup), ...keysOf(same.slice(2), dup)];
+  assert.deepEqual(paged, onePage);
+  // dup を渡さなければページごとに数え直す
+  assert.equal(keysOf(same.slice(2))[0], onePage[0]);
+});
+
+test("旧形式のキーで数えた成果を今のキーに移す", () => {
+  const [x] = normalizeRows([row({ rowId: "r1" })], {});
+  const [other] = normalizeRows([row({ orderAt: "2026/03/11 09:00" })], {});
+  const book = openLedgerBook({ seenKeys: [x.legacyKey, "unrelated"], monthly: {} });
+  recordConversion(book, { ...x, key: x.legacyKey });
+
+  const seenSet = new Set(book.state.seenKeys);
+  assert.equal(migrateLegacyKeys(book, [x, other], seenSet), 1);
+  const l = getLedger(book, "2026-03");
+  assert.equal(l.index.get(x.key).legacyKey, x.legacyKey);
+  assert.equal(l.index.has(x.legacyKey), false);
+  assert.deepEqual(book.state.seenKeys, [x.key, "unrelated"]);
+  assert.ok(seenSet.has(x.key));
+  assert.deepEqual([...book.dirty], ["2026-03"]);
+
+  // 2回目は何もしない
+  assert.equal(migrateLegacyKeys(book, [x], seenSet), 0);
+});
@@ -0,0 +1,96 @@
+// test/ledger.test.js (lib/ledger.js のステータスの分類と台帳からの月次集計)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { statusClassOf, openLedgerBook, getLedger, recordConversion, applyStatusChanges, syncMonthly } = require("../lib/ledger");
+
+test("ステータスの分類", () => {
+  const cases = [
+    ["", "pending"],
+    ["発生", "pending"],
+    ["未承認", "pending"],
+    ["未確定", "pending"],
+    ["承認待ち", "pending"],
+    ["審査中", "pending"],
+    ["Pending", "pending"],
+    ["承認", "approved"],
+    ["確定", "approved"],
+    ["承認済み", "approved"],
+    ["Approved", "approved"],
+    ["否認", "rejected"],
+    ["非承認", "rejected"],
+    ["不承認", "rejected"],
+    ["承認不可", "rejected"],
+    ["キャンセル", "rejected"],
+    ["取り消し", "rejected"],
+    ["無効", "rejected"],
+    ["Rejected", "rejected"],
+    ["Cancelled", "rejected"],
+    ["Declined", "rejected"],
+    ["Denied", "rejected"],
+    ["よく分からない", "pending"],
+  ];
+  for (const [status, want] of cases) assert.equal(statusClassOf(status), want, status);
+});
+
+const conv = (key, unit, status = "発生", monthKey = "2026-03") => ({
+  key,
+  eventAt: `${monthKey.replace("-", "/")}/10 12:00`,
+  adId: "1755",
+  adName: "広告A",
+  status,
+  statusClass: statusClassOf(status),
+  unit,
+  monthKey,
+});
+
+test("台帳の成果から月次集計を作る（見込みは未確定 + 承認、否認は別）", () => {
+  const book = openLedgerBook({ monthly: {} });
+  recordConversion(book, conv("a", 1000));
+  recordConversion(book, conv("b", 2000, "承認"));
+  recordConversion(book, conv("c", 500, "否認"));
+  recordConversion(book, conv("a", 1000));
+  recordConversion(book, conv("d", 300, "発生", "2026-04"));
+  syncMonthly(book);
+
+  assert.deepEqual(book.state.monthly["2026-03"], { revenue: 3000, count: 3, pending: 1000, approved: 2000, rejected: 500 });
+  assert.deepEqual(book.state.monthly["2026-04"], { revenue: 300, count: 1, pending: 300, approved: 0, rejected: 0 });
+  assert.deepEqual([...book.dirty], ["2026-03", "2026-04"]);
+  assert.equal(getLedger(book, "2026-03").data.conversions.length, 3);
+});
+
+test("ステータスが変わった成果は台帳を書き換え、否認に変わったものを返す", () => {
+  const book = openLedgerBook({ monthly: {} });
+  recordConversion(book, conv("a", 1000));
+  recordConversion(book, conv("b", 2000));
+
+  const changes = applyStatusChanges(book, [conv("a", 1000, "否認"), conv("b", 2000, "承認"), conv("x", 9000, "承認")], new Set(["a", "b"]));
+  assert.deepEqual(
+    changes.map((c) => [c.key, c.prevClass, c.statusClass]),
+    [
+      ["a", "pending", "rejected"],
+      ["b", "pending", "approved"],
+    ]
+  );
+  syncMonthly(book);
+  assert.deepEqual(book.state.monthly["2026-03"], { revenue: 2000, count: 2, pending: 0, approved: 2000, rejected: 1000 });
+});
+
+test("台帳導入前の集計は繰越として持ち、見つかった既知の成果を繰越から台帳に移す", () => {
+  const book = openLedgerBook({ monthly: { "2026-03": { revenue: 5000, count: 3 } } });
+  assert.deepEqual(getLedger(book, "2026-03").data.carryOver, { count: 3, pending: 5000, approved: 0, rejected: 0 });
+
+  // 台帳に無い既知キーが承認になった
+  applyStatusChanges(book, [conv("old1", 2000, "承認")], new Set(["old1"]));
+  recordConversion(book, conv("new1", 1000));
+  syncMonthly(book);
+
+  const { data } = getLedger(book, "2026-03");
+  assert.deepEqual(data.carryOver, { count: 2, pending: 3000, approved: 0, rejected: 0 });
+  assert.equal(data.conversions.find((r) => r.key === "old1").legacy, true);
+  assert.deepEqual(book.state.monthly["2026-03"], { revenue: 6000, count: 4, pending: 4000, approved: 2000, rejected: 0 });
+
+  // 繰越を使い切ったら、それ以上の既知キーは取り込まない
+  applyStatusChanges(book, [conv("old2", 1000), conv("old3", 1000), conv("old4", 1000)], new Set(["old2", "old3", "old4"]));
+  assert.deepEqual(getLedger(book, "2026-03").data.carryOver, { count: 0, pending: 1000, approved: 0, rejected: 0 });
+  assert.equal(getLedger(book, "2026-03").data.conversions.length, 4);
+});
@@ -0,0 +1,69 @@
+// test/outbox.test.js (lib/outbox.js の送信待ちと再送)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.OUTBOX_MAX_ATTEMPTS = "3";
+const { enqueue, deliverOutbox } = require("../lib/outbox");
+
+const msg = (text) => ({ type: "conversion", text, data: { text } });
+
+// down に入っているチャンネルだけ失敗する notify
+function fakeNotify(down) {
+  const calls = [];
+  const notify = async (item, channels) => {
+    calls.push({ text: item.text, channels: [...channels] });
+    return {
+      sent: channels.filter((c) => !down.has(c)),
+      failed: channels.filter((c) => down.has(c)).map((channel) => ({ channel, error: "HTTP 500" })),
+    };
+  };
+  return { notify, calls };
+}
+
+test("積んだ順に送り、送れたものは outbox から消す", async () => {
+  const state = {};
+  enqueue(state, msg("1件目"), ["slack"]);
+  enqueue(state, msg("2件目"), ["slack", "mail"]);
+  assert.equal(state.outbox.length, 2);
+  assert.deepEqual(state.outbox[1].sent, []);
+
+  const { notify, calls } = fakeNotify(new Set());
+  let saved = 0;
+  const r = await deliverOutbox(state, notify, async () => saved++);
+  assert.deepEqual(calls.map((c) => c.text), ["1件目", "2件目"]);
+  assert.deepEqual(r, { sent: 3, failed: 0, dropped: 0, pending: 0 });
+  assert.equal(saved, 2);
+});
+
+test("一部のチャンネルだけ失敗したら、次回はそのチャンネルにだけ送り直す", async () => {
+  const state = {};
+  enqueue(state, msg("成果"), ["slack", "mail"]);
+  const down = new Set(["mail"]);
+  const { notify, calls } = fakeNotify(down);
+
+  let r = await deliverOutbox(state, notify, async () => {});
+  assert.deepEqual(r, { sent: 1, failed: 1, dropped: 0, pending: 1 });
+  assert.deepEqual(state.outbox[0].sent, ["slack"]);
+  assert.equal(state.outbox[0].lastError, "mail: HTTP 500");
+
+  down.clear();
+  r = await deliverOutbox(state, notify, async () => {});
+  assert.deepEqual(calls[1].channels, ["mail"]);
+  assert.deepEqual(r, { sent: 1, failed: 0, dropped: 0, pending: 0 });
+});
+
+test("OUTBOX_MAX_ATTEMPTS 回失敗したら諦めて捨てる", async (t) => {
+  const state = {};
+  enqueue(state, msg("届かない"), ["slack"]);
+  const { notify } = fakeNotify(new Set(["slack"]));
+  t.mock.method(console, "warn", () => {});
+
+  for (let i = 1; i < 3; i++) {
+    const r = await deliverOutbox(state, notify, async () => {});
+    assert.deepEqual(r, { sent: 0, failed: 1, dropped: 0, pending: 1 });
+    assert.equal(state.outbox[0].attempts, i);
+  }
+  const r = await deliverOutbox(state, notify, async () => {});
+  assert.deepEqual(r, { sent: 0, failed: 1, dropped: 1, pending: 0 });
+  assert.equal(console.warn.mock.callCount(), 1);
+});
@@ -0,0 +1,101 @@
+// test/prices.test.js (lib/prices.js の単価の検査と当てはめ)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validatePrices, getUnitPrice, priceInOrder, isUnpriced } = require("../lib/prices");
+const { parseAmount } = require("../lib/scraper");
+
+const row = (over = {}) => ({ adId: "1755", adName: "広告A", siteName: "", eventAt: "2026/03/10 12:00", amount: 0, ...over });
+
+test("固定単価と defaultUnitPrice", () => {
+  const prices = { defaultUnitPrice: 100, byAdId: { 1755: 12000 }, byAdName: { 広告B: 500 } };
+  assert.equal(getUnitPrice(prices, row()), 12000);
+  assert.equal(getUnitPrice(prices, row({ adId: "", adName: "広告B" })), 500);
+  assert.equal(getUnitPrice(prices, row({ adId: "999", adName: "" })), 100);
+});
+
+test("日付つきの配列は成果日に有効な一番新しい設定を使う", () => {
+  const prices = { byAdId: { 1755: [{ price: 12000 }, { from: "2026-02-10", price: 10000 }, { from: "2026-04-01", price: 9000 }] } };
+  assert.equal(getUnitPrice(prices, row({ eventAt: "2026/02/09 23:59" })), 12000);
+  assert.equal(getUnitPrice(prices, row({ eventAt: "2026/02/10 00:00" })), 10000);
+  assert.equal(getUnitPrice(prices, row({ eventAt: "2026/04/01 09:00" })), 9000);
+});
+
+test("percent は注文金額の割合（端数切り捨て、マイナスの金額は 0円）", () => {
+  const prices = { byAdId: { 1755: { percent: 5 } } };
+  assert.equal(getUnitPrice(prices, row({ amount: 1999 })), 99);
+  assert.equal(getUnitPrice(prices, row({ amount: -500 })), 0);
+});
+
+test("注文金額は最初の数値を読み、返金はマイナスにする", () => {
+  const cases = [
+    ["¥12,345", 12345],
+    ["12,345円", 12345],
+    ["1,000円(税抜8%)", 1000],
+    ["1,000円 (2点)", 1000],
+    ["12.5", 12.5],
+    ["-500", -500],
+    ["¥-500", -500],
+    ["▲4,980", -4980],
+    ["(500)", -500],
+    ["（1,200円）", -1200],
+    ["", 0],
+    ["なし", 0],
+  ];
+  for (const [v, want] of cases) assert.equal(parseAmount(v), want, v);
+
+  const prices = { byAdId: { 1755: { percent: 10 } } };
+  assert.equal(getUnitPrice(prices, row({ amount: parseAmount("1,000円(税抜8%)") })), 100);
+});
+
+test("bySite はサイト名で上書きする", () => {
+  const prices = { byAdId: { 1755: { price: 1000, bySite: { サイトA: 1500, サイトB: { percent: 10 } } } } };
+  assert.equal(getUnitPrice(prices, row({ siteName: "サイトA" })), 1500);
+  assert.equal(getUnitPrice(prices, row({ siteName: "サイトB", amount: 3000 })), 300);
+  assert.equal(getUnitPrice(prices, row({ siteName: "サイトC" })), 1000);
+});
+
+test("段階単価は同じ広告の月内の件数を時系列順に数える", () => {
+  const prices = { byAdId: { 1755: { price: 1000, tiers: [{ after: 2, price: 1500 }] } } };
+  const items = ["2026/03/03", "2026/03/01", "2026/03/02", "2026/04/01"].map((d) =>
+    row({ eventAt: `${d} 10:00`, monthKey: d.slice(0, 7).replace("/", "-") })
+  );
+  priceInOrder(prices, items);
+  assert.deepEqual(
+    items.map((x) => x.unit),
+    [1500, 1000, 1000, 1000]
+  );
+
+  // 台帳に既にある件数の続きから数える
+  const more = [row({ eventAt: "2026/03/20 10:00", monthKey: "2026-03" })];
+  priceInOrder(prices, more, () => 1);
+  assert.equal(more[0].unit, 1000);
+  priceInOrder(prices, more, () => 2);
+  assert.equal(more[0].unit, 1500);
+});
+
+test("単価が未設定の判定", () => {
+  const prices = { byAdId: { 1755: 0 } };
+  assert.equal(isUnpriced(prices, { adId: "1755", unit: 0 }), false);
+  assert.equal(isUnpriced(prices, { adId: "999", unit: 0 }), true);
+});
+
+test("検査：置けないキー・日付・値の範囲", () => {
+  const bad = [
+    [{ byAdId: { 1755: { from: "2026-02-10", price: 1 } } }, /cannot have key "from" here/],
+    [{ byAdId: { 1755: [{ from: "2026-02-30", price: 1 }] } }, /must be a date like/],
+    [{ byAdId: { 1755: [{ from: "来月", price: 1 }] } }, /must be a date like/],
+    [{ byAdId: { 1755: { after: 3, price: 1 } } }, /cannot have key "after" here/],
+    [{ byAdId: { 1755: { price: 1, tiers: [{ after: 1, from: "2026-01-01", price: 2 }] } } }, /cannot have key "from" here/],
+    [{ byAdId: { 1755: { price: 1, tiers: [{ after: 1, tiers: [{ after: 2, price: 3 }] }] } } }, /cannot have key "tiers" here/],
+    [{ byAdId: { 1755: { price: 1, tiers: [5] } } }, /must be an object like/],
+    [{ byAdId: { 1755: { price: 1, tiers: [{ after: -1, price: 2 }] } } }, /after must be a non-negative integer/],
+    [{ byAdId: { 1755: { price: 1, percent: 5 } } }, /cannot have both price and percent/],
+    [{ byAdId: { 1755: { percent: 120 } } }, /between 0 and 100/],
+    [{ byAdId: { 1755: -1 } }, /non-negative number/],
+    [{ byAdId: { 1755: { price: 1, bySite: { A: [{ price: 1 }, { from: "2026-01-01", price: 2 }] } } } }, null],
+  ];
+  for (const [prices, re] of bad) {
+    if (re) assert.throws(() => validatePrices(prices), re, JSON.stringify(prices));
+    else assert.doesNotThrow(() => validatePrices(prices));
+  }
+});
@@ -0,0 +1,69 @@
+// test/recompute.test.js (commands/recompute.js の単価の付け直し)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openLedgerBook, recordConversion, syncMonthly } = require("../lib/ledger");
+const { recompute } = require("../commands/recompute");
+
+function writePrices(t, prices) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cv-recompute-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "prices.json");
+  fs.writeFileSync(file, JSON.stringify(prices));
+  return file;
+}
+
+const conv = (key, day, unit, adId = "1755") => ({
+  key,
+  eventAt: `2026/03/${day} 12:00`,
+  adId,
+  adName: `広告${adId}`,
+  status: "発生",
+  statusClass: "pending",
+  unit,
+  monthKey: "2026-03",
+});
+
+function sampleBook() {
+  const book = openLedgerBook({ monthly: { "2026-03": { revenue: 500, count: 1 } } });
+  for (const x of [conv("b", "05", 1000), conv("a", "01", 1000), conv("c", "09", 1000), conv("z", "02", 700, "900")]) recordConversion(book, x);
+  syncMonthly(book);
+  book.dirty.clear();
+  return book;
+}
+
+test("差分を出すだけなら台帳を書き換えない", (t) => {
+  const pricesFile = writePrices(t, { byAdId: { 1755: 1200, 900: 700 } });
+  const book = sampleBook();
+  const [m] = recompute(book, { from: "2026-01", to: "2026-03", pricesFile });
+
+  assert.deepEqual({ month: m.month, before: m.before, after: m.after, carryOver: m.carryOver }, { month: "2026-03", before: 3700, after: 4300, carryOver: 1 });
+  assert.deepEqual(
+    m.byAd.map((a) => [a.adId, a.count, a.before, a.after]),
+    [
+      ["1755", 3, 3000, 3600],
+      ["900", 1, 700, 700],
+    ]
+  );
+  assert.equal(book.dirty.size, 0);
+  assert.equal(book.state.monthly["2026-03"].revenue, 4200);
+});
+
+test("--apply は段階単価を時系列順に付け直して月次集計も作り直す（繰越はそのまま）", (t) => {
+  const pricesFile = writePrices(t, { byAdId: { 1755: { price: 1000, tiers: [{ after: 2, price: 2000 }] }, 900: 700 } });
+  const book = sampleBook();
+  const [m] = recompute(book, { from: "2026-03", to: "2026-03", apply: true, pricesFile });
+
+  assert.equal(m.after, 4700);
+  const units = Object.fromEntries(book.months.get("2026-03").data.conversions.map((r) => [r.key, r.unit]));
+  assert.deepEqual(units, { a: 1000, b: 1000, c: 2000, z: 700 });
+  assert.deepEqual([...book.dirty], ["2026-03"]);
+  assert.deepEqual(book.state.monthly["2026-03"], { revenue: 5200, count: 5, pending: 5200, approved: 0, rejected: 0 });
+});
+
+test("台帳の無い月は飛ばす", (t) => {
+  const pricesFile = writePrices(t, {});
+  assert.deepEqual(recompute(sampleBook(), { from: "2025-12", to: "2026-02", pricesFile }), []);
+});
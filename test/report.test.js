@@ -0,0 +1,115 @@
+// test/report.test.js (lib/report.js の定期レポートの集計と、言語ごとの文面)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { statusClassOf, openLedgerBook, recordConversion, syncMonthly } = require("../lib/ledger");
+const { buildDailyReport, buildWeeklyReport, buildMonthCloseReport } = require("../lib/report");
+const { templated, renderMessage } = require("../lib/templates");
+
+const conv = (key, eventAt, unit, over = {}) => ({
+  key,
+  eventAt,
+  adId: "1755",
+  adName: "広告A",
+  siteName: "サイトA",
+  status: "発生",
+  statusClass: "pending",
+  unit,
+  monthKey: eventAt.slice(0, 7).replace("/", "-"),
+  ...over,
+});
+
+// 2026-03 は台帳導入前の1件（1,000円）を繰越に持つ
+function sampleBook() {
+  const book = openLedgerBook({ monthly: { "2026-03": { revenue: 1000, count: 1 } } });
+  recordConversion(book, conv("p1", "2026/02/03 10:00", 4000));
+  recordConversion(book, conv("a1", "2026/03/03 10:00", 1000));
+  recordConversion(book, conv("a2", "2026/03/03 11:00", 2000, { adId: "", adName: "", siteName: "" }));
+  recordConversion(book, conv("a3", "2026/03/03 12:00", 500, { status: "否認", statusClass: statusClassOf("否認") }));
+  recordConversion(book, conv("a4", "2026/03/09 09:00", 1500));
+  syncMonthly(book);
+  return book;
+}
+
+const render = (kind, data, locale) => renderMessage(templated("report", { kind, ...data, sourceName: "ASP-A" }), null, locale).text;
+
+test("日次レポート", () => {
+  const book = sampleBook();
+  const data = buildDailyReport(book.state, book, "2026-03-03");
+
+  assert.equal(
+    render("daily", data, "ja"),
+    [
+      "[ASP-A] 📊 日次レポート（2026-03-03）",
+      "",
+      "成果: 3件 / 売上: 3,000円（否認 500円）",
+      "今月の売上合計（現在）: 5,500円（2026-03）",
+      "",
+      "広告別:",
+      "- (不明): 1件 2,000円",
+      "- 1755 広告A: 2件 1,000円",
+    ].join("\n")
+  );
+  assert.equal(
+    render("daily", data, "en"),
+    [
+      "[ASP-A] 📊 Daily report (2026-03-03)",
+      "",
+      "Conversions: 3 / Revenue: ¥3,000 (rejected ¥500)",
+      "Revenue this month so far: ¥5,500 (2026-03)",
+      "",
+      "By ad:",
+      "- (unknown): 1 / ¥2,000",
+      "- 1755 広告A: 2 / ¥1,000",
+    ].join("\n")
+  );
+  // 成果が無い日は内訳を出さない
+  assert.equal(render("daily", buildDailyReport(book.state, book, "2026-03-04"), "en").split("\n").length, 4);
+});
+
+test("週次レポートは前週と比べる", () => {
+  const book = sampleBook();
+  const data = buildWeeklyReport(book.state, book, "2026-03-09");
+  assert.deepEqual(
+    [data.from, data.prevFrom, data.prevTo, data.count, data.revenue, data.prevRevenue, data.changePct, data.diffSign, data.diff],
+    ["2026-03-03", "2026-02-24", "2026-03-02", 4, 4500, 0, "-", "+", 4500]
+  );
+  assert.match(render("weekly", data, "ja"), /\n前週比: -（\+4,500円）\n/);
+  assert.match(render("weekly", data, "en"), /\nWeek over week: - \(\+¥4,500\)\n/);
+
+  const down = buildWeeklyReport(book.state, book, "2026-03-16");
+  assert.match(render("weekly", down, "ja"), /\n前週比: -100\.0%（-4,500円）$/);
+  assert.match(render("weekly", down, "en"), /\nWeek over week: -100\.0% \(-¥4,500\)$/);
+});
+
+test("月次締めレポートは内訳・前月同日比ペース・繰越を出す", () => {
+  const book = sampleBook();
+  const data = buildMonthCloseReport(book.state, book, "2026-03", "2026-03-05");
+
+  assert.equal(
+    render("monthly", data, "ja"),
+    [
+      "[ASP-A] 🧾 月次締めレポート（2026-03）",
+      "",
+      "売上: 5,500円（承認 0円 / 未確定 5,500円 / 否認 500円）",
+      "成果: 5件",
+      "前月（2026-02）: 4,000円 / 1件",
+      "前月比: +37.5%（+1,500円）",
+      "前月同日（05日まで）比ペース: 3,000円 vs 4,000円（-25.0%）",
+      "",
+      "広告別:",
+      "- 1755 広告A: 3件 2,500円",
+      "- (不明): 1件 2,000円",
+      "",
+      "サイト別:",
+      "- サイトA: 3件 2,500円",
+      "- (不明): 1件 2,000円",
+      "",
+      "※ 台帳導入前の 1件は内訳なし",
+    ].join("\n")
+  );
+  const en = render("monthly", buildMonthCloseReport(book.state, book, "2026-03", "2026-04-01"), "en");
+  assert.doesNotMatch(en, /Pace/);
+  assert.match(en, /^\[ASP-A\] 🧾 Month-end report \(2026-03\)\n/);
+  assert.match(en, /\nMonth over month: \+37\.5% \(\+¥1,500\)\n/);
+  assert.match(en, /\nNote: 1 conversion\(s\) counted before the ledger existed have no breakdown$/);
+});
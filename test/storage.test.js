@@ -0,0 +1,128 @@
+// test/storage.test.js (lib/storage.js の json 保存先のロックと読み取り)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openStorage, lockStorage, closeStorage, loadBook, saveBook, readBook } = require("../lib/storage");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function tmpSource(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cv-storage-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { id: "test", stateFile: path.join(dir, "cv_data.json"), ledgerDir: path.join(dir, "ledger") };
+}
+
+const readLockFile = (src) => JSON.parse(fs.readFileSync(`${src.stateFile}.lock`, "utf8"));
+
+test("ロックを持っている間は他の実行はロックを取れず、外せば取れる", async (t) => {
+  const src = tmpSource(t);
+  const a = openStorage(src, "json");
+  const b = openStorage(src, "json");
+
+  assert.equal(await lockStorage(a), true);
+  assert.equal(await lockStorage(b), false);
+  await assert.rejects(saveBook(b, await loadBook(b)), /Storage is not locked/);
+
+  await saveBook(a, await loadBook(a));
+  assert.ok(fs.existsSync(src.stateFile));
+  await closeStorage(a);
+  assert.equal(fs.existsSync(`${src.stateFile}.lock`), false);
+
+  assert.equal(await lockStorage(b), true);
+  await closeStorage(b);
+});
+
+test("期限切れのロックは引き取れる", async (t) => {
+  const src = tmpSource(t);
+  fs.writeFileSync(`${src.stateFile}.lock`, JSON.stringify({ owner: "crashed", expiresAt: Date.now() - 1 }));
+  const store = openStorage(src, "json");
+  assert.equal(await lockStorage(store), true);
+  assert.equal(readLockFile(src).owner, store.owner);
+  await closeStorage(store);
+});
+
+// lockFile を移す瞬間に other() を割り込ませる（1回だけ）
+function interruptRename(t, src, other) {
+  const rename = fs.renameSync;
+  let done = false;
+  t.mock.method(fs, "renameSync", (from, to) => {
+    if (!done && from === `${src.stateFile}.lock`) {
+      done = true;
+      other();
+    }
+    return rename(from, to);
+  });
+}
+
+test("期限切れのロックを2つの実行が同時に引き取っても、取れるのは片方だけ", async (t) => {
+  const src = tmpSource(t);
+  fs.writeFileSync(`${src.stateFile}.lock`, JSON.stringify({ owner: "crashed", expiresAt: Date.now() - 1 }));
+  const a = openStorage(src, "json");
+  const b = openStorage(src, "json");
+
+  // A が期限切れを見て .lock を移す直前に、B が引き取り終える
+  let fromB;
+  interruptRename(t, src, () => (fromB = b.acquireLock("B", 60000)));
+  const fromA = await a.acquireLock("A", 60000);
+
+  assert.deepEqual([fromA, await fromB], [false, true]);
+  assert.equal(readLockFile(src).owner, "B");
+  assert.deepEqual(fs.readdirSync(path.dirname(src.stateFile)), ["cv_data.json.lock"]);
+});
+
+test("延ばす途中で他の実行に引き取られたら、そのロックを上書きしない", async (t) => {
+  const src = tmpSource(t);
+  fs.writeFileSync(`${src.stateFile}.lock`, JSON.stringify({ owner: "A", expiresAt: Date.now() - 1 }));
+  const a = openStorage(src, "json");
+  const b = openStorage(src, "json");
+
+  let fromB;
+  interruptRename(t, src, () => (fromB = b.acquireLock("B", 60000)));
+  const fromA = await a.renewLock("A", 60000);
+
+  assert.deepEqual([fromA, await fromB], [false, true]);
+  assert.equal(readLockFile(src).owner, "B");
+  await a.releaseLock("A");
+  assert.equal(readLockFile(src).owner, "B");
+});
+
+test("持っている間は期限を延ばし、他の実行に引き取られたら保存しない", async (t) => {
+  const src = tmpSource(t);
+  const store = openStorage(src, "json");
+  // 期限 60ms（20ms ごとに延ばす）
+  assert.equal(await lockStorage(store, 0.001), true);
+  t.after(() => closeStorage(store));
+
+  const first = readLockFile(src).expiresAt;
+  await sleep(100);
+  assert.ok(readLockFile(src).expiresAt > first);
+  assert.equal(readLockFile(src).owner, store.owner);
+
+  t.mock.method(console, "warn", () => {});
+  fs.writeFileSync(`${src.stateFile}.lock`, JSON.stringify({ owner: "other", expiresAt: Date.now() + 60000 }));
+  await sleep(100);
+  assert.equal(store.lockLost, true);
+  assert.match(console.warn.mock.calls[0].arguments[0], /Lost the storage lock/);
+  await assert.rejects(saveBook(store, await loadBook(store)), /taken over by another run/);
+
+  // 引き取った実行のロックは外さない
+  await closeStorage(store);
+  assert.equal(readLockFile(src).owner, "other");
+});
+
+test("readBook は古い版の state を上げても表示しない", async (t) => {
+  const src = tmpSource(t);
+  fs.writeFileSync(src.stateFile, JSON.stringify({ initialized: true, seenKeys: ["a"] }));
+  const log = t.mock.method(console, "log", () => {});
+
+  const book = await readBook(src);
+  assert.equal(book.state.keyVersion, 1);
+  assert.equal(log.mock.callCount(), 0);
+
+  const store = openStorage(src, "json");
+  await loadBook(store);
+  await closeStorage(store);
+  assert.match(log.mock.calls[0].arguments[0], /Migrated state from version 1 to 2/);
+});
@@ -0,0 +1,124 @@
+// test/templates.test.js (lib/templates.js の文面の書式・言語・差し替え)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadTemplates, renderTemplate, renderMessage, templated } = require("../lib/templates");
+
+function writeTemplates(t, obj) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cv-templates-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "templates.json");
+  fs.writeFileSync(file, typeof obj === "string" ? obj : JSON.stringify(obj));
+  return file;
+}
+
+test("{{name}} とフィルタ", () => {
+  const vars = { adName: "広告A", unit: 12345.6, zero: 0, empty: "" };
+  assert.equal(renderTemplate("{{adName}} {{ unit|yen }} {{unit|jpy}} {{unit|number}}", vars), "広告A 12,346円 ¥12,346 12,345.6");
+  assert.equal(renderTemplate("[{{missing}}] {{empty|or:(不明)}} {{missing|yen|or:-}} {{zero|yen}}", vars), "[] (不明) - 0円");
+  assert.equal(renderTemplate("{{url|or:https://a.example/?x=1}}", {}), "https://a.example/?x=1");
+});
+
+test("{{#name}} と {{^name}}（配列は要素ごとに繰り返す）", () => {
+  const tpl = "{{#unit}}単価 {{unit|yen}}{{/unit}}{{^unit}}未設定{{/unit}}";
+  assert.equal(renderTemplate(tpl, { unit: 500 }), "単価 500円");
+  assert.equal(renderTemplate(tpl, { unit: 0 }), "未設定");
+  assert.equal(renderTemplate(tpl, {}), "未設定");
+
+  const list = "{{#byAd}}- {{label}}: {{count}}件（{{monthKey}}）\n{{/byAd}}{{^byAd}}なし{{/byAd}}";
+  assert.equal(
+    renderTemplate(list, { monthKey: "2026-03", byAd: [{ label: "A", count: 2 }, { label: "B", count: 1 }] }),
+    "- A: 2件（2026-03）\n- B: 1件（2026-03）\n"
+  );
+  assert.equal(renderTemplate(list, { byAd: [] }), "なし");
+  assert.equal(renderTemplate("{{#names}}[{{.}}]{{/names}}", { names: ["x", "y"] }), "[x][y]");
+  // 入れ子の区間
+  assert.equal(
+    renderTemplate("{{#progress}}{{#overall}}全体{{/overall}}{{^overall}}案件 {{value}}{{/overall}} {{percent}}%\n{{/progress}}", {
+      progress: [{ overall: true, value: "", percent: "50.0" }, { overall: false, value: "1755", percent: "12.5" }],
+    }),
+    "全体 50.0%\n案件 1755 12.5%\n"
+  );
+});
+
+test("{{kind|issue}} はその言語の原因の説明", () => {
+  assert.equal(renderTemplate("{{kind|issue}}", { kind: "captcha" }), "CAPTCHA が表示されています");
+  assert.equal(renderTemplate("{{kind|issue}}", { kind: "captcha" }, "en"), "A CAPTCHA is shown");
+  assert.equal(renderTemplate("{{kind|issue}}", { kind: "something_new" }, "en"), "something_new");
+});
+
+test("renderMessage は種類.kind → 種類 の順に組み込みの文面を探し、言語を切り替える", () => {
+  const msg = templated("health", { kind: "recovered", prevKind: "captcha", sourceName: "ASP-A" });
+  assert.match(msg.text, /^✅ /);
+  assert.match(msg.text, /CAPTCHA が表示されています/);
+  const en = renderMessage(msg, null, "en");
+  assert.equal(en.custom, false);
+  assert.equal(en.text, "✅ The CV monitor has recovered\n\nNetwork: ASP-A\nPrevious issue: A CAPTCHA is shown");
+
+  // kind ごとの文面が無ければ種類の文面
+  const failing = renderMessage(templated("health", { kind: "captcha", detail: "d" }), null, "en");
+  assert.match(failing.text, /^🩺 The CV monitor is failing\n\nCause: A CAPTCHA is shown\nDetail: d\n/);
+
+  // data の無い通知と組み込みの文面の無い種類（kind の無い report）は text のまま
+  assert.equal(renderMessage({ type: "report", text: "月次レポート", data: { a: 1 } }, null, "en").text, "月次レポート");
+  assert.equal(renderMessage({ type: "conversion", text: "そのまま" }, null, "en").text, "そのまま");
+});
+
+test("成果の通知のリンクはその言語の文面", () => {
+  const msg = templated("conversion", { adName: "広告", unit: 500, url: "https://asp.example/cv" });
+  assert.match(msg.text, /管理画面を確認する: <https:\/\/asp.example\/cv\|管理画面を確認する>$/);
+  assert.match(renderMessage(msg, null, "en").text, /Open CV log: <https:\/\/asp.example\/cv\|Open CV log>$/);
+});
+
+test("templates.json の sets と rules", (t) => {
+  const file = writeTemplates(t, {
+    locale: "en",
+    sets: { en: { conversion: "🎉 {{adName}} {{unit|jpy}}", "health.held": "held {{count}}" } },
+    rules: [
+      { adId: 1755, template: { ja: "高単価 {{adName}} {{unit|yen}}", en: "Big one: {{adName}}" } },
+      { siteName: "サイトX", types: ["rejected"], template: "否認 {{siteName}}" },
+      { minUnit: 10000, template: "{{unit|number}}!" },
+    ],
+  });
+  const conf = loadTemplates(file, {});
+  assert.equal(conf.locale, "en");
+
+  const conv = (data) => ({ type: "conversion", text: "", data: { adName: "広告", unit: 500, ...data } });
+  assert.deepEqual(renderMessage(conv({ adId: "1755" }), conf), { text: "Big one: 広告", custom: true });
+  assert.deepEqual(renderMessage(conv({ adId: "1755" }), conf, "ja"), { text: "高単価 広告 500円", custom: true });
+  assert.deepEqual(renderMessage(conv({ unit: 12000 }), conf), { text: "12,000!", custom: true });
+  assert.deepEqual(renderMessage(conv({ siteName: "サイトX" }), conf), { text: "🎉 広告 ¥500", custom: false });
+  assert.equal(renderMessage({ type: "rejected", text: "", data: { siteName: "サイトX" } }, conf).text, "否認 サイトX");
+
+  // sets の 種類.kind は組み込みより優先。ほかの kind は組み込みのまま
+  assert.equal(renderMessage(templated("health", { kind: "held", count: 3 }), conf).text, "held 3");
+  assert.match(renderMessage(templated("health", { kind: "recovered" }), conf).text, /^✅ The CV monitor has recovered/);
+  // sets に無い言語は組み込みの文面
+  assert.match(renderMessage(conv({}), conf, "ja").text, /^🎉 新しい成果が発生しました！/);
+});
+
+test("loadTemplates の既定と検査", (t) => {
+  assert.deepEqual(loadTemplates(path.join(os.tmpdir(), "no-such-templates.json"), { NOTIFY_LOCALE: "en" }), {
+    locale: "en",
+    sets: {},
+    rules: [],
+  });
+  assert.throws(() => loadTemplates(path.join(os.tmpdir(), "no-such-templates.json"), { NOTIFY_LOCALE: "fr" }), /NOTIFY_LOCALE\) must be one of ja \/ en/);
+
+  const bad = [
+    ["{", /templates.json is not valid JSON/],
+    [{ locale: "fr" }, /locale must be one of ja \/ en/],
+    [{ sets: { en: { conversions: "x" } } }, /sets.en key has unknown type "conversions"/],
+    [{ sets: { en: { "health.": "x" } } }, /has invalid key "health\."/],
+    [{ sets: { en: { "anomaly.burst.x": "x" } } }, /has invalid key "anomaly\.burst\.x"/],
+    [{ sets: { en: { conversion: 1 } } }, /sets.en.conversion must be a string/],
+    [{ rules: [{ template: "x" }] }, /rules\[0\] needs adId, adName, siteName or minUnit/],
+    [{ rules: [{ adId: "1", types: ["digest", "mail"], template: "x" }] }, /rules\[0\].types has unknown type "mail"/],
+    [{ rules: [{ adId: "1", template: { fr: "x" } }] }, /rules\[0\].template key must be one of/],
+    [{ rules: [{ adId: "1", template: {} }] }, /rules\[0\].template must be a string or an object/],
+  ];
+  for (const [obj, re] of bad) assert.throws(() => loadTemplates(writeTemplates(t, obj), {}), re, JSON.stringify(obj));
+  assert.doesNotThrow(() => loadTemplates(writeTemplates(t, { sets: { ja: { "anomaly.drop": "x", digest: "y" } } }), {}));
+});
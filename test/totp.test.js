@@ -0,0 +1,30 @@
+// test/totp.test.js (lib/totp.js を RFC 6238 の検証用の値で確かめる)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { base32Decode, totp } = require("../lib/totp");
+
+// RFC 6238 Appendix B（SHA1）の秘密鍵 "12345678901234567890" を Base32 にしたもの
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("base32Decode は空白・ハイフン・小文字・= を許す", () => {
+  assert.equal(base32Decode(SECRET).toString(), "12345678901234567890");
+  assert.equal(base32Decode("gezd-gnbv gy3t qojq====").toString(), "1234567890");
+  assert.throws(() => base32Decode("GEZD1"), /Invalid base32 character in OTP secret: 1/);
+});
+
+test("RFC 6238 の検証用の値（8桁）", () => {
+  const vectors = [
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1111111111, "14050471"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+    [20000000000, "65353130"],
+  ];
+  for (const [sec, code] of vectors) assert.equal(totp(SECRET, { now: sec * 1000, digits: 8 }).code, code, `T=${sec}`);
+});
+
+test("既定は6桁で、切り替わるまでの秒数も返す", () => {
+  assert.deepEqual(totp(SECRET, { now: 59 * 1000 }), { code: "287082", remainingSec: 1 });
+  assert.deepEqual(totp(SECRET, { now: 1111111111 * 1000 }), { code: "050471", remainingSec: 29 });
+});
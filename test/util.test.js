@@ -0,0 +1,74 @@
+// test/util.test.js (lib/util.js の日時の読み取りと日付キー)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDateTime, dateKeyFrom, dateKeyJst, monthKeyFrom, monthsBetween, addDays, lastDayOfMonth, isValidTimeZone } = require("../lib/util");
+
+const iso = (s, tz) => {
+  const ms = parseDateTime(s, tz);
+  return ms == null ? null : new Date(ms).toISOString();
+};
+
+test("管理画面でよく見る書式は JST として読む", () => {
+  const cases = [
+    ["2026/03/05 14:07", "2026-03-05T05:07:00.000Z"],
+    ["2026/3/5 9:07:30", "2026-03-05T00:07:30.000Z"],
+    ["2026-03-05T14:07:09", "2026-03-05T05:07:09.000Z"],
+    ["2026-03-05 14:07:09.123", "2026-03-05T05:07:09.000Z"],
+    ["2026.03.05 14:07", "2026-03-05T05:07:00.000Z"],
+    ["2026年3月5日 14時07分", "2026-03-05T05:07:00.000Z"],
+    ["2026年03月05日 14時07分09秒", "2026-03-05T05:07:09.000Z"],
+    ["2026/03/05(木) 14:07", "2026-03-05T05:07:00.000Z"],
+    ["2026年3月5日（木） 14:07", "2026-03-05T05:07:00.000Z"],
+    ["  2026/03/05\n14:07  ", "2026-03-05T05:07:00.000Z"],
+    ["2026/03/05", "2026-03-04T15:00:00.000Z"],
+  ];
+  for (const [s, want] of cases) assert.equal(iso(s), want, s);
+});
+
+test("午前・午後と AM・PM は12時間制として読む", () => {
+  const cases = [
+    ["2026/03/05 午前12:30", "2026-03-04T15:30:00.000Z"],
+    ["2026/03/05 午前9:05", "2026-03-05T00:05:00.000Z"],
+    ["2026/03/05 午後12:30", "2026-03-05T03:30:00.000Z"],
+    ["2026/03/05 午後2:07", "2026-03-05T05:07:00.000Z"],
+    ["2026/03/05 2:07 PM", "2026-03-05T05:07:00.000Z"],
+    ["2026/03/05 12:00 am", "2026-03-04T15:00:00.000Z"],
+    ["2026/03/05 13:00 PM", null],
+    ["2026/03/05 午後0:30", null],
+  ];
+  for (const [s, want] of cases) assert.equal(iso(s), want, s);
+});
+
+test("Z や +09:00 が付いていればそのずれで読む", () => {
+  assert.equal(iso("2026-03-05T14:07:00Z"), "2026-03-05T14:07:00.000Z");
+  assert.equal(iso("2026-03-05T14:07:00+09:00"), "2026-03-05T05:07:00.000Z");
+  assert.equal(iso("2026-03-05 14:07 -0500"), "2026-03-05T19:07:00.000Z");
+  assert.equal(iso("2026-03-05T14:07:00+05:30", "America/New_York"), "2026-03-05T08:37:00.000Z");
+});
+
+test("無い日付・時刻と読めない文字列は null", () => {
+  for (const s of ["2026/02/30 10:00", "2025/02/29", "2026/13/01", "2026/03/05 24:00", "2026/03/05 10:60", "2026/03/05 10:00:61", "", null, "昨日 10:00", "03/05/2026 10:00"]) {
+    assert.equal(parseDateTime(s), null, String(s));
+  }
+  assert.notEqual(parseDateTime("2028/02/29"), null);
+});
+
+test("timeZone の時刻として読む（夏時間の切り替わりをまたいでも）", () => {
+  assert.equal(iso("2026/03/05 14:07", "UTC"), "2026-03-05T14:07:00.000Z");
+  assert.equal(iso("2026/03/08 01:30", "America/New_York"), "2026-03-08T06:30:00.000Z");
+  assert.equal(iso("2026/03/08 03:30", "America/New_York"), "2026-03-08T07:30:00.000Z");
+  assert.equal(iso("2026/07/01 12:00", "America/New_York"), "2026-07-01T16:00:00.000Z");
+  assert.equal(isValidTimeZone("Asia/Tokyo"), true);
+  assert.equal(isValidTimeZone("Asia/Osaka"), false);
+});
+
+test("日付キーと月キー", () => {
+  assert.equal(dateKeyFrom("2026年3月5日 14時07分"), "2026-03-05");
+  assert.equal(dateKeyFrom("不明"), "");
+  assert.equal(monthKeyFrom("2026/3/5"), "2026-03");
+  assert.equal(dateKeyJst(Date.parse("2026-03-04T15:00:00Z")), "2026-03-05");
+  assert.equal(addDays("2026-03-01", -1), "2026-02-28");
+  assert.equal(lastDayOfMonth("2028-02"), "2028-02-29");
+  assert.deepEqual(monthsBetween("2025-11", "2026/02"), ["2025-11", "2025-12", "2026-01", "2026-02"]);
+  assert.throws(() => monthsBetween("いつか", "2026-02"), /Invalid month range/);
+});